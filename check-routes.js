@@ -5,12 +5,15 @@ const paths = [
   "./routes/products.routes",
   "./routes/recentlyViewed.routes",
   "./routes/wishlist.routes",
+  "./routes/wishlists.routes",
   "./routes/cart.routes",
   "./routes/order.routes",
+  "./routes/returns.routes",
   "./routes/imagekit.routes",
   "./routes/push.routes",
   "./routes/contact.routes",
   "./routes/payments.routes",
+  "./routes/shipments.routes",
   "./routes/message.routes",
   "./routes/notifications.routes",
 ];
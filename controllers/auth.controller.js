@@ -6,10 +6,27 @@ const UAParser = require("ua-parser-js");
 const ms = require("ms"); // ← added
 
 const User = require("../models/User");
-const { createAccessToken, createRefreshToken } = require("../utils/token");
-const { sendVerificationEmail } = require("../utils/email");
-const { sendResetPasswordEmail } = require("../utils/email");
-const { sendMagicLinkEmail } = require("../utils/email");
+const {
+  createAccessToken,
+  createRefreshToken,
+  createMfaPendingToken,
+  verifyMfaPendingToken,
+} = require("../utils/token");
+const {
+  generateTotpSecret,
+  buildQrDataUrl,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require("../utils/twoFactor");
+const { enqueue } = require("../lib/jobs");
+const { mergeGuestCart } = require("../lib/guestCart");
+const { claimGuestOrders } = require("../lib/guestOrders");
+
+// emails are delivered by the "email.account" background job (retried on
+// failure), which reads the link's token from the user when it runs
+const queueAccountEmail = (user, kind) =>
+  enqueue("email.account", { userId: user._id, kind }, { priority: 10 });
 
 // Helper: cookie options (consistent, production-ready for cross-site)
 const isProd = process.env.NODE_ENV === "production";
@@ -29,6 +46,112 @@ function clearCookieOptions() {
   };
 }
 
+const frontendUrl = () =>
+  process.env.FRONTEND_URL || process.env.FRONTEND_ORIGIN || "/";
+
+function publicUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    avatarUrl: user.avatarUrl || null,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+  };
+}
+
+function clientIp(req) {
+  return req.ip || (req.connection && req.connection.remoteAddress) || "";
+}
+
+/**
+ * Issue an access/refresh pair bound to session `sid`. The refresh token also
+ * carries its own rotating `jti`, which must match `sessions[].refreshJti`.
+ */
+function issueSessionTokens(user, sid, refreshJti) {
+  const accessToken = createAccessToken({
+    userId: user._id,
+    role: user.role,
+    sid,
+  });
+  const refreshToken = createRefreshToken({
+    userId: user._id,
+    sid,
+    jti: refreshJti,
+  });
+  return { accessToken, refreshToken };
+}
+
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  // ─── sync cookie maxAge with your .env ────────────────────────────────────
+  const accessMaxAge = ms(process.env.ACCESS_TOKEN_EXPIRES_IN || "15m");
+  const refreshMaxAge = ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
+  // ───────────────────────────────────────────────────────────────────────────
+
+  return res
+    .cookie("accessToken", accessToken, cookieOptions(accessMaxAge))
+    .cookie("refreshToken", refreshToken, cookieOptions(refreshMaxAge));
+}
+
+/**
+ * startSession(req, res, user)
+ * Records a session entry for this device, saves the user, merges the
+ * visitor's guest cart into theirs and sets the access/refresh cookies.
+ * Returns `res` so callers can chain .json()/.redirect().
+ */
+async function startSession(req, res, user) {
+  const tokenId = crypto.randomUUID();
+  const refreshJti = crypto.randomUUID();
+
+  const parser = new UAParser(req.get("User-Agent"));
+  const ua = parser.getResult();
+  const ip = clientIp(req);
+
+  // drop sessions idle for longer than a refresh token lives — they can
+  // never be refreshed again
+  const idleCutoff =
+    Date.now() - ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
+  const live = user.sessions.filter(
+    (s) => new Date(s.lastUsedAt || s.createdAt).getTime() > idleCutoff
+  );
+  if (live.length !== user.sessions.length) user.sessions = live;
+
+  user.sessions.push({
+    tokenId,
+    refreshJti,
+    ip,
+    lastIp: ip,
+    lastUsedAt: new Date(),
+    browser: `${ua.browser.name || "Unknown"} ${
+      ua.browser.version || ""
+    }`.trim(),
+    os: `${ua.os.name || "Unknown"} ${ua.os.version || ""}`.trim(),
+    device: ua.device.type || "Desktop",
+  });
+  await user.save();
+
+  // a failed merge must not block the login; the guest cart just expires
+  try {
+    await mergeGuestCart(req, res, user._id);
+  } catch (e) {
+    console.warn("merge guest cart failed:", e && e.message);
+  }
+
+  res.clearCookie("mfaToken", clearCookieOptions());
+  return setAuthCookies(res, issueSessionTokens(user, tokenId, refreshJti));
+}
+
+/**
+ * Second-factor challenge: instead of session cookies, hand out a short-lived
+ * "mfa pending" token (cookie + body) that only POST /auth/2fa/verify accepts.
+ */
+function setMfaChallenge(res, user, method) {
+  const mfaToken = createMfaPendingToken({ userId: user._id, method });
+  const maxAge = ms(process.env.MFA_TOKEN_EXPIRES_IN || "5m");
+  res.cookie("mfaToken", mfaToken, cookieOptions(maxAge));
+  return mfaToken;
+}
+
 // ─── POST /auth/register ───────────────────────────────────────────────────────
 async function register(req, res) {
   try {
@@ -55,9 +178,8 @@ async function register(req, res) {
     newUser.verificationTokenExpiry = Date.now() + 60 * 60 * 1000;
     await newUser.save();
 
-    await sendVerificationEmail(newUser.email, token);
+    await queueAccountEmail(newUser, "verify");
 
-    // after await sendVerificationEmail(newUser.email, token);
     return res.status(201).json({
       message:
         "Registration successful! Please check your email to verify your account.",
@@ -98,41 +220,29 @@ async function verifyEmail(req, res) {
     user.verificationToken = undefined;
     user.verificationTokenExpiry = undefined;
 
-    // Auto-login: issue tokens
-    const payload = { userId: user._id, role: user.role };
-    const accessToken = createAccessToken(payload);
-    const refreshToken = createRefreshToken(payload);
-
-    const parser = new UAParser(req.get("User-Agent"));
-    const { browser, os, device } = parser.getResult();
-
-    user.sessions.push({
-      tokenId: `${user.sessions.length + 1}-${Date.now()}`,
-      ip: req.ip || req.connection.remoteAddress,
-      browser: `${browser.name} ${browser.version}`,
-      os: `${os.name} ${os.version}`,
-      device: device.type || "Desktop",
-    });
-    await user.save();
-
-    // ─── sync cookie maxAge with your .env ────────────────────────────────────
-    const accessMaxAge = ms(process.env.ACCESS_TOKEN_EXPIRES_IN || "15m");
-    const refreshMaxAge = ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
-    // ───────────────────────────────────────────────────────────────────────────
+    // the address is proven now: earlier guest orders move into the account
+    try {
+      await claimGuestOrders(user);
+    } catch (claimErr) {
+      console.warn("claim guest orders failed:", claimErr && claimErr.message);
+    }
 
-    return res
-      .cookie("accessToken", accessToken, cookieOptions(accessMaxAge))
-      .cookie("refreshToken", refreshToken, cookieOptions(refreshMaxAge))
-      .json({
-        message: "Email verified and logged in successfully.",
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          avatarUrl: user.avatarUrl || null, // <-- ADDED: include avatar immediately
-        },
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+      const mfaToken = setMfaChallenge(res, user, "verify-email");
+      return res.json({
+        message: "Email verified. Two-factor code required to log in.",
+        mfaRequired: true,
+        mfaToken,
       });
+    }
+
+    // Auto-login: issue tokens
+    await startSession(req, res, user);
+    return res.json({
+      message: "Email verified and logged in successfully.",
+      user: publicUser(user),
+    });
   } catch (err) {
     console.error("Verify email error:", err);
     return res.status(500).json({ message: "Server error verifying email." });
@@ -188,7 +298,7 @@ async function resendVerification(req, res) {
     user.lastVerificationSent = new Date(now);
     await user.save();
 
-    await sendVerificationEmail(user.email, token);
+    await queueAccountEmail(user, "verify");
 
     return res.json({
       message: "Verification email resent. Please check your inbox.",
@@ -227,45 +337,21 @@ async function login(req, res) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
 
-    // 1. Issue tokens
-    const payload = { userId: user._id, role: user.role };
-    const accessToken = createAccessToken(payload);
-    const refreshToken = createRefreshToken(payload);
-
-    // 2. Parse User-Agent
-    const parser = new UAParser(req.get("User-Agent"));
-    const ua = parser.getResult();
-
-    // 3. Save session entry
-    user.sessions.push({
-      tokenId: `${user.sessions.length + 1}-${Date.now()}`,
-      ip: req.ip || req.connection.remoteAddress,
-      browser: `${ua.browser.name || "Unknown"} ${
-        ua.browser.version || ""
-      }`.trim(),
-      os: `${ua.os.name || "Unknown"} ${ua.os.version || ""}`.trim(),
-      device: ua.device.type || "Desktop",
-    });
-    await user.save();
-
-    // ─── sync cookie maxAge with your .env ────────────────────────────────────
-    const accessMaxAge = ms(process.env.ACCESS_TOKEN_EXPIRES_IN || "15m");
-    const refreshMaxAge = ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
-    // ───────────────────────────────────────────────────────────────────────────
-
-    return res
-      .cookie("accessToken", accessToken, cookieOptions(accessMaxAge))
-      .cookie("refreshToken", refreshToken, cookieOptions(refreshMaxAge))
-      .json({
-        message: "Logged in successfully.",
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          avatarUrl: user.avatarUrl || null, // <-- ADDED: include avatar immediately
-        },
+    // Second factor required: don't issue session cookies yet
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const mfaToken = setMfaChallenge(res, user, "login");
+      return res.json({
+        message: "Two-factor code required.",
+        mfaRequired: true,
+        mfaToken,
       });
+    }
+
+    await startSession(req, res, user);
+    return res.json({
+      message: "Logged in successfully.",
+      user: publicUser(user),
+    });
   } catch (err) {
     console.error("Login error:", err);
     return res.status(500).json({ message: "Server error during login." });
@@ -292,6 +378,11 @@ async function setAvatarUrl(req, res) {
 }
 
 // ─── POST /auth/refresh ────────────────────────────────────────────────────────
+// Rotates the refresh token. A refresh token whose jti is no longer the
+// session's current one has been used before: treat it as stolen and kill the
+// whole session, so both the thief and the victim have to log in again.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // concurrent tabs refreshing at once
+
 async function refreshToken(req, res) {
   try {
     const token = req.cookies.refreshToken;
@@ -300,24 +391,76 @@ async function refreshToken(req, res) {
     }
 
     const payload = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
-    const user = await User.findById(payload.userId);
-    if (!user) {
+    const { sid, jti } = payload;
+    if (!sid || !jti) {
       return res.status(401).json({ message: "Invalid refresh token." });
     }
 
-    const newPayload = { userId: user._id, role: user.role };
-    const newAccessToken = createAccessToken(newPayload);
-    const newRefreshToken = createRefreshToken(newPayload);
+    const user = await User.findById(payload.userId).select(
+      "role status sessions"
+    );
+    if (!user || user.status !== "active") {
+      return res.status(401).json({ message: "Invalid refresh token." });
+    }
 
-    // ─── sync cookie maxAge with your .env ────────────────────────────────────
-    const accessMaxAge = ms(process.env.ACCESS_TOKEN_EXPIRES_IN || "15m");
-    const refreshMaxAge = ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
-    // ───────────────────────────────────────────────────────────────────────────
+    const session = user.sessions.find((s) => s.tokenId === sid);
+    if (!session) {
+      return res
+        .status(401)
+        .json({ message: "Session has been revoked. Please log in again." });
+    }
 
-    return res
-      .cookie("accessToken", newAccessToken, cookieOptions(accessMaxAge))
-      .cookie("refreshToken", newRefreshToken, cookieOptions(refreshMaxAge))
-      .json({ message: "Tokens refreshed." });
+    const now = new Date();
+    const newJti = crypto.randomUUID();
+    const ip = clientIp(req);
+    const isCurrent = session.refreshJti === jti;
+    const isRecentPrevious =
+      session.prevRefreshJti === jti &&
+      session.rotatedAt &&
+      now - session.rotatedAt < REFRESH_REUSE_GRACE_MS;
+
+    if (!isCurrent && !isRecentPrevious) {
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { sessions: { tokenId: sid } } }
+      );
+      console.warn(
+        `Refresh token reuse detected for user ${user._id}, session ${sid} revoked`
+      );
+      return res
+        .clearCookie("accessToken", clearCookieOptions())
+        .clearCookie("refreshToken", clearCookieOptions())
+        .status(401)
+        .json({ message: "Refresh token reuse detected. Please log in again." });
+    }
+
+    // compare-and-swap on the jti we just validated so two concurrent
+    // rotations can't both win
+    const rotated = await User.updateOne(
+      {
+        _id: user._id,
+        sessions: {
+          $elemMatch: { tokenId: sid, refreshJti: session.refreshJti },
+        },
+      },
+      {
+        $set: {
+          "sessions.$.refreshJti": newJti,
+          "sessions.$.prevRefreshJti": session.refreshJti,
+          "sessions.$.rotatedAt": now,
+          "sessions.$.lastUsedAt": now,
+          "sessions.$.lastIp": ip,
+        },
+      }
+    );
+    if (!rotated || rotated.modifiedCount === 0) {
+      return res
+        .status(409)
+        .json({ message: "Session refreshed concurrently, please retry." });
+    }
+
+    setAuthCookies(res, issueSessionTokens(user, sid, newJti));
+    return res.json({ message: "Tokens refreshed." });
   } catch (err) {
     console.error("Refresh token error:", err);
     return res
@@ -341,7 +484,7 @@ async function requestPasswordReset(req, res) {
     user.resetPasswordExpiry = Date.now() + 60 * 60 * 1000;
     await user.save();
 
-    await sendResetPasswordEmail(user.email, token);
+    await queueAccountEmail(user, "reset");
     return res.json({ message: "Password reset email sent." });
   } catch (err) {
     console.error("Request password reset error:", err);
@@ -383,8 +526,35 @@ async function resetPassword(req, res) {
 }
 
 // ─── POST /auth/logout ────────────────────────────────────────────────────────
+// Deletes the current session server-side (best-effort: the refresh token is
+// preferred, an expired access token is good enough to identify the session).
+function sessionFromCookies(req) {
+  const attempts = [
+    [req.cookies.refreshToken, process.env.REFRESH_TOKEN_SECRET],
+    [req.cookies.accessToken, process.env.JWT_SECRET],
+  ];
+  for (const [token, secret] of attempts) {
+    if (!token) continue;
+    try {
+      const payload = jwt.verify(token, secret, { ignoreExpiration: true });
+      if (payload && payload.userId && payload.sid) return payload;
+    } catch (e) {
+      // try next cookie
+    }
+  }
+  return null;
+}
+
 async function logout(req, res) {
   try {
+    const current = sessionFromCookies(req);
+    if (current) {
+      await User.updateOne(
+        { _id: current.userId },
+        { $pull: { sessions: { tokenId: current.sid } } }
+      );
+    }
+
     return res
       .clearCookie("accessToken", clearCookieOptions())
       .clearCookie("refreshToken", clearCookieOptions())
@@ -397,15 +567,34 @@ async function logout(req, res) {
 
 // ─── GET /auth/sessions ───────────────────────────────────────────────────────
 async function getSessions(req, res) {
-  return res.json({ sessions: req.user.sessions });
+  const sessions = (req.user.sessions || []).map((s) => ({
+    tokenId: s.tokenId,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt || s.createdAt,
+    ip: s.ip,
+    lastIp: s.lastIp || s.ip,
+    browser: s.browser,
+    os: s.os,
+    device: s.device,
+    current: s.tokenId === req.sessionId,
+  }));
+  return res.json({ sessions });
 }
 
 // ─── DELETE /auth/sessions/:tokenId ──────────────────────────────────────────
 async function revokeSession(req, res) {
   const { tokenId } = req.params;
-  const user = req.user;
-  user.sessions = user.sessions.filter((s) => s.tokenId !== tokenId);
-  await user.save();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { sessions: { tokenId } } }
+  );
+
+  // revoking the session we're using is a logout
+  if (tokenId === req.sessionId) {
+    res
+      .clearCookie("accessToken", clearCookieOptions())
+      .clearCookie("refreshToken", clearCookieOptions());
+  }
   return res.json({ message: "Session revoked." });
 }
 
@@ -423,7 +612,7 @@ async function requestMagicLink(req, res) {
   user.magicLinkExpiry = Date.now() + 15 * 60 * 1000;
   await user.save();
 
-  await sendMagicLinkEmail(user.email, token);
+  await queueAccountEmail(user, "magic-link");
   return res.json({ message: "Magic link sent! Check your email." });
 }
 
@@ -444,32 +633,16 @@ async function magicLogin(req, res) {
     user.magicLinkToken = undefined;
     user.magicLinkExpiry = undefined;
 
-    const payload = { userId: user._id, role: user.role };
-    const accessToken = createAccessToken(payload);
-    const refreshToken = createRefreshToken(payload);
-
-    const parser = new UAParser(req.get("User-Agent"));
-    const ua = parser.getResult();
-    user.sessions.push({
-      tokenId: `${user.sessions.length + 1}-${Date.now()}`,
-      ip: req.ip || req.connection.remoteAddress,
-      browser: `${ua.browser.name} ${ua.browser.version}`.trim(),
-      os: `${ua.os.name} ${ua.os.version}`.trim(),
-      device: ua.device.type || "Desktop",
-    });
-    await user.save();
-
-    // ─── sync cookie maxAge with your .env ────────────────────────────────────
-    const accessMaxAge = ms(process.env.ACCESS_TOKEN_EXPIRES_IN || "15m");
-    const refreshMaxAge = ms(process.env.REFRESH_TOKEN_EXPIRES_IN || "7d");
-    // ───────────────────────────────────────────────────────────────────────────
+    // Magic link is a browser redirect: stash the pending token in a cookie
+    // and let the frontend collect the code.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+      setMfaChallenge(res, user, "magic-link");
+      return res.redirect(`${frontendUrl().replace(/\/$/, "")}/auth/2fa`);
+    }
 
-    return res
-      .cookie("accessToken", accessToken, cookieOptions(accessMaxAge))
-      .cookie("refreshToken", refreshToken, cookieOptions(refreshMaxAge))
-      .redirect(
-        `${process.env.FRONTEND_URL || process.env.FRONTEND_ORIGIN || "/"}`
-      );
+    await startSession(req, res, user);
+    return res.redirect(frontendUrl());
   } catch (err) {
     console.error("Magic login error:", err);
     return res.status(500).send("Server error during magic login.");
@@ -515,6 +688,223 @@ async function deleteAccount(req, res) {
   }
 }
 
+// ─── Two-factor authentication (TOTP) ─────────────────────────────────────────
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+/**
+ * checkSecondFactor(user, { code, recoveryCode })
+ * Validates a TOTP code or burns an unused recovery code. Mutates `user`
+ * (lastUsedStep / recovery usedAt) — caller must save. Returns true when valid.
+ */
+function checkSecondFactor(user, { code, recoveryCode } = {}) {
+  const tf = user.twoFactor || {};
+  if (code) {
+    const step = verifyTotp(tf.secret, code, tf.lastUsedStep);
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = (tf.recoveryCodes || []).find(
+      (rc) => rc.hash === hash && !rc.usedAt
+    );
+    if (!entry) return false;
+    entry.usedAt = new Date();
+    return true;
+  }
+  return false;
+}
+
+function remainingRecoveryCodes(user) {
+  return ((user.twoFactor && user.twoFactor.recoveryCodes) || []).filter(
+    (rc) => !rc.usedAt
+  ).length;
+}
+
+// ─── POST /auth/2fa/setup ─────────────────────────────────────────────────────
+async function setupTwoFactor(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    const { base32, otpauthUrl } = generateTotpSecret(user.email);
+    user.twoFactor.pendingSecret = base32;
+    await user.save();
+
+    const qrCodeDataUrl = await buildQrDataUrl(otpauthUrl);
+    return res.json({ secret: base32, otpauthUrl, qrCodeDataUrl });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    return res.status(500).json({ message: "Could not start 2FA setup." });
+  }
+}
+
+// ─── POST /auth/2fa/enable ────────────────────────────────────────────────────
+async function enableTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "Code is required." });
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled." });
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start 2FA setup before confirming a code." });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid code." });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes.map((hash) => ({ hash }));
+    await user.save();
+
+    return res.json({
+      message: "Two-factor authentication enabled.",
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    return res.status(500).json({ message: "Could not enable 2FA." });
+  }
+}
+
+// ─── POST /auth/2fa/disable ───────────────────────────────────────────────────
+async function disableTwoFactor(req, res) {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled." });
+    }
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: "Invalid code." });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    return res.json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    return res.status(500).json({ message: "Could not disable 2FA." });
+  }
+}
+
+// ─── POST /auth/2fa/recovery-codes ────────────────────────────────────────────
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "Code is required." });
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled." });
+    }
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(400).json({ message: "Invalid code." });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes.map((hash) => ({ hash }));
+    await user.save();
+
+    return res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    return res
+      .status(500)
+      .json({ message: "Could not regenerate recovery codes." });
+  }
+}
+
+// ─── GET /auth/2fa ────────────────────────────────────────────────────────────
+async function getTwoFactorStatus(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    return res.json({
+      enabled: !!(user.twoFactor && user.twoFactor.enabled),
+      enabledAt: (user.twoFactor && user.twoFactor.enabledAt) || null,
+      recoveryCodesRemaining: remainingRecoveryCodes(user),
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    return res.status(500).json({ message: "Could not load 2FA status." });
+  }
+}
+
+// ─── POST /auth/2fa/verify ────────────────────────────────────────────────────
+// Second login step: exchanges the mfa pending token + code for a session.
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { code, recoveryCode } = req.body;
+    const token = req.body.mfaToken || req.cookies.mfaToken;
+    if (!token) {
+      return res.status(401).json({ message: "MFA token missing." });
+    }
+    if (!code && !recoveryCode) {
+      return res
+        .status(400)
+        .json({ message: "Code or recovery code is required." });
+    }
+
+    let payload;
+    try {
+      payload = verifyMfaPendingToken(token);
+    } catch (e) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired MFA token. Please log in again." });
+    }
+
+    const user = await User.findById(payload.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || user.status !== "active") {
+      return res.status(401).json({ message: "Invalid credentials." });
+    }
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor is not enabled." });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ message: "Invalid code." });
+    }
+
+    await startSession(req, res, user);
+    return res.json({
+      message: "Logged in successfully.",
+      user: publicUser(user),
+      recoveryCodesRemaining: recoveryCode
+        ? remainingRecoveryCodes(user)
+        : undefined,
+    });
+  } catch (err) {
+    console.error("2FA verify error:", err);
+    return res.status(500).json({ message: "Server error during 2FA login." });
+  }
+}
+
 module.exports = {
   register,
   verifyEmail,
@@ -531,4 +921,10 @@ module.exports = {
   magicLogin,
   deleteAccount,
   updateProfile,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  verifyTwoFactorLogin,
 };
@@ -1,87 +1,504 @@
-const Cart = require("../models/Cart");
+const mongoose = require("mongoose");
+const Joi = require("joi");
 const Product = require("../models/Product");
+const {
+  priceOrderItems,
+  shippingFeeCents,
+  toDollars,
+  unitPriceFor,
+} = require("../lib/pricing");
+const { normalizeCouponCodes, evaluateCoupons } = require("../lib/coupons");
+const {
+  isVersionConflict,
+  sameLine,
+  lineStock,
+  validateCart,
+} = require("../lib/cart");
 
-// Get current user’s cart (or empty)
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+// cart version the client last saw (optional); 409 when it moved on
+const version = Joi.number().integer().min(0);
+
+const lineJoi = Joi.object({
+  productId: objectId.required(),
+  color: Joi.string().trim().max(100).required(),
+  size: Joi.string().trim().max(50).required(),
+  quantity: Joi.number().integer().min(1).max(999).required(),
+});
+
+const addJoi = Joi.object({
+  productId: objectId.required(),
+  color: Joi.string().trim().max(100).required(),
+  size: Joi.string().trim().max(50).required(),
+  // added to the line's quantity when the line exists already
+  quantity: Joi.number().integer().min(-999).max(999).default(1),
+  version,
+});
+
+const updateJoi = Joi.object({
+  quantity: Joi.number().integer().min(0).max(999).required(),
+  version,
+});
+
+const replaceJoi = Joi.object({
+  items: Joi.array().items(lineJoi).max(100).required(),
+  version,
+}).required();
+
+const CONFLICT_MESSAGE = "Cart was updated meanwhile, please reload.";
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+// req.cartOwner (middleware/cartOwner) points at the user's Cart or the
+// visitor's GuestCart
+const findCart = (req) => req.cartOwner.Model.findOne(req.cartOwner.filter);
+
+function newCart(req) {
+  const { Model, filter } = req.cartOwner;
+  return new Model({ ...filter, items: [] });
+}
+
+/** version from the body, or an If-Match header (DELETE has no body) */
+function expectedVersion(req, value) {
+  if (value && value.version != null) return value.version;
+  const header = String(req.get("If-Match") || "").replace(/^W\/|"/g, "");
+  return /^\d+$/.test(header) ? Number(header) : null;
+}
+
+/** 409 unless the client's version (if sent) is the stored one */
+function versionConflict(res, cart, expected) {
+  const current = cart ? cart.version || 0 : 0;
+  if (expected == null || expected === current) return false;
+  res.status(409).json({ message: CONFLICT_MESSAGE, version: current });
+  return true;
+}
+
+/**
+ * Saves with the Cart versioning check (models/Cart). Returns false after
+ * answering 409 when another request changed or created the cart meanwhile.
+ */
+async function saveCart(res, cart) {
+  try {
+    await cart.save();
+    return true;
+  } catch (e) {
+    // 11000: a concurrent first write created the cart
+    if (isVersionConflict(e) || (e && e.code === 11000)) {
+      res.status(409).json({ message: CONFLICT_MESSAGE });
+      return false;
+    }
+    throw e;
+  }
+}
+
+async function sendCart(res, cart) {
+  await cart.populate(["items.product", "saved.product"]);
+  return res.json(cart);
+}
+
+/** 409 body for a line the stock (or the catalog) can't cover */
+function stockProblem(check, quantity) {
+  if (check.issue) return { reason: check.issue, message: check.message };
+  if (quantity <= check.available) return null;
+  return {
+    reason: check.available > 0 ? "insufficient_stock" : "out_of_stock",
+    message:
+      check.available > 0
+        ? `Only ${check.available} left in stock.`
+        : "This item is out of stock.",
+    available: check.available,
+  };
+}
+
+// Get current user’s (or visitor's) cart (or empty)
 exports.getCart = async (req, res) => {
-  const userId = req.user._id;
-  let cart = await Cart.findOne({ user: userId }).populate("items.product");
-  if (!cart) cart = { items: [] };
+  let cart = await findCart(req).populate(["items.product", "saved.product"]);
+  if (!cart) cart = { items: [], saved: [], version: 0 };
   res.json(cart);
 };
 
-// Add/update an item
+// Add an item, or add to the quantity of the same product/color/size
+// Body: { productId, color, size, quantity?, version? }
 exports.addToCart = async (req, res) => {
-  const userId = req.user._id;
-  const { productId, color, size, quantity } = req.body;
-  // validate product exists
-  const prod = await Product.findById(productId);
-  if (!prod) return res.status(404).json({ message: "Product not found" });
-
-  let cart = await Cart.findOne({ user: userId });
-  if (!cart) cart = new Cart({ user: userId, items: [] });
-
-  const existing = cart.items.find(
-    (i) => i.product.equals(productId) && i.color === color && i.size === size
-  );
-
-  if (existing) {
-    existing.quantity = Math.max(1, existing.quantity + quantity);
-  } else {
-    cart.items.push({ product: productId, color, size, quantity });
+  try {
+    const { error, value } = addJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+    const { productId, color, size, quantity } = value;
+
+    const prod = await Product.findById(productId).lean();
+    if (!prod) return res.status(404).json({ message: "Product not found" });
+    const check = lineStock(prod, color, size);
+    if (check.issue) {
+      return res
+        .status(409)
+        .json({ message: check.message, reason: check.issue });
+    }
+
+    let cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, value))) return;
+    if (!cart) cart = newCart(req);
+
+    const line = { product: productId, color, size };
+    const existing = cart.items.find((i) => sameLine(i, line));
+    const wanted = Math.max(1, (existing ? existing.quantity : 0) + quantity);
+    const problem = stockProblem(check, wanted);
+    if (problem) return res.status(409).json(problem);
+
+    if (existing) {
+      existing.quantity = wanted;
+      existing.issue = null;
+    } else {
+      cart.items.push({
+        product: productId,
+        color: check.variation.color,
+        size,
+        quantity: wanted,
+        unitPrice: unitPriceFor(prod, color, size),
+      });
+    }
+
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("addToCart error:", err);
+    return res.status(500).json({ message: "Could not add to cart" });
   }
+};
 
-  await cart.save();
-  await cart.populate("items.product");
-  res.json(cart);
+// Replace the whole cart in one write (e.g. after editing it offline).
+// PUT /cart  Body: { items: [{ productId, color, size, quantity }], version? }
+// Lines of the same product/color/size are combined and keep their id when
+// already in the cart. Nothing is written unless every line fits the stock.
+exports.replaceCart = async (req, res) => {
+  try {
+    const { error, value } = replaceJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    let cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, value))) return;
+    if (!cart) cart = newCart(req);
+
+    const lines = [];
+    value.items.forEach((it) => {
+      const line = { product: it.productId, color: it.color, size: it.size };
+      const same = lines.find((l) => sameLine(l, line));
+      if (same) same.quantity += it.quantity;
+      else lines.push({ ...line, quantity: it.quantity });
+    });
+
+    const products = new Map(
+      (
+        await Product.find({
+          _id: { $in: lines.map((l) => l.product) },
+        }).lean()
+      ).map((p) => [String(p._id), p])
+    );
+
+    const problems = [];
+    const items = lines.map((line, index) => {
+      const product = products.get(String(line.product));
+      const check = lineStock(product, line.color, line.size);
+      const problem = stockProblem(check, line.quantity);
+      if (problem) {
+        problems.push({
+          index,
+          product: String(line.product),
+          color: line.color,
+          size: line.size,
+          quantity: line.quantity,
+          ...problem,
+        });
+        return null;
+      }
+      const existing = cart.items.find((i) => sameLine(i, line));
+      return {
+        _id: existing ? existing._id : undefined,
+        product: line.product,
+        color: check.variation.color,
+        size: line.size,
+        quantity: line.quantity,
+        unitPrice: unitPriceFor(product, check.variation.color, line.size),
+      };
+    });
+    if (problems.length) {
+      return res
+        .status(409)
+        .json({ message: "Some items can't be added to the cart.", problems });
+    }
+
+    cart.items = items;
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("replaceCart error:", err);
+    return res.status(500).json({ message: "Could not update cart" });
+  }
 };
 
-// Update an item's quantity (or remove if quantity <= 0)
+// Re-check the cart against current prices, stock and availability.
+// GET /cart/validate?fix=true also removes dead lines, clamps quantities to
+// the stock left and accepts the new prices.
+exports.validateCart = async (req, res) => {
+  try {
+    const fix = ["1", "true"].includes(String(req.query.fix || ""));
+    const cart = await findCart(req);
+    if (!cart || !cart.items.length) {
+      return res.json({
+        valid: true,
+        fixed: false,
+        items: [],
+        removed: [],
+        subtotalCents: 0,
+        shippingCents: 0,
+        totalCents: 0,
+      });
+    }
+    const report = await validateCart(cart, { fix });
+    return res.json({ ...report, version: cart.version });
+  } catch (err) {
+    if (isVersionConflict(err)) {
+      return res.status(409).json({ message: CONFLICT_MESSAGE });
+    }
+    console.error("validateCart error:", err);
+    return res.status(500).json({ message: "Could not validate cart" });
+  }
+};
+
+/**
+ * The line addressed by :itemId in cart.items (or cart.saved), or null after
+ * answering 404.
+ */
+function findLine(req, res, cart, list = "items") {
+  const line =
+    cart && mongoose.Types.ObjectId.isValid(req.params.itemId)
+      ? cart[list].id(req.params.itemId)
+      : null;
+  if (!line) res.status(404).json({ message: "Cart item not found" });
+  return line;
+}
+
+// Update a line's quantity (or remove it if quantity is 0)
+// PATCH /cart/:itemId  Body: { quantity, version? }
 exports.updateCartItem = async (req, res) => {
-  const userId = req.user._id;
-  const { index } = req.params;
-  const { quantity } = req.body;
+  try {
+    const { error, value } = updateJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
 
-  const cart = await Cart.findOne({ user: userId });
-  if (!cart) return res.status(404).json({ message: "Cart not found" });
+    const cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, value))) return;
+    const line = findLine(req, res, cart);
+    if (!line) return;
 
-  const idx = parseInt(index, 10);
-  if (isNaN(idx) || idx < 0 || idx >= cart.items.length) {
-    return res.status(400).json({ message: "Invalid item index" });
+    if (value.quantity === 0) {
+      line.deleteOne();
+    } else {
+      const prod = await Product.findById(line.product).lean();
+      const problem = stockProblem(
+        lineStock(prod, line.color, line.size),
+        value.quantity
+      );
+      if (problem) return res.status(409).json(problem);
+      line.quantity = value.quantity;
+      line.issue = null; // re-reported if still invalid
+    }
+
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("updateCartItem error:", err);
+    return res.status(500).json({ message: "Could not update cart item" });
   }
+};
+
+// Remove a line
+// DELETE /cart/:itemId  (version in the body or an If-Match header)
+exports.removeFromCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, req.body))) return;
+    const line = findLine(req, res, cart);
+    if (!line) return;
 
-  const q = Number(quantity);
-  if (isNaN(q)) {
-    return res.status(400).json({ message: "Invalid quantity" });
+    line.deleteOne();
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("removeFromCart error:", err);
+    return res.status(500).json({ message: "Could not remove cart item" });
   }
+};
+
+// Move a line to "saved for later", keeping color, size and quantity
+// POST /cart/:itemId/move-to-saved  Body: { version? }
+exports.moveToSaved = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, req.body))) return;
+    const line = findLine(req, res, cart);
+    if (!line) return;
+
+    const saved = cart.saved.find((i) => sameLine(i, line));
+    if (saved) {
+      saved.quantity += line.quantity;
+    } else {
+      cart.saved.push({
+        _id: line._id,
+        product: line.product,
+        color: line.color,
+        size: line.size,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+      });
+    }
+    line.deleteOne();
 
-  if (q <= 0) {
-    // remove the item
-    cart.items.splice(idx, 1);
-  } else {
-    cart.items[idx].quantity = Math.max(1, q);
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("moveToSaved error:", err);
+    return res.status(500).json({ message: "Could not save item for later" });
   }
+};
 
-  await cart.save();
-  await cart.populate("items.product");
-  res.json(cart);
+// Move a saved line back into the cart; the stock must cover it
+// POST /cart/saved/:itemId/move-to-cart  Body: { version? }
+exports.moveToCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, req.body))) return;
+    const line = findLine(req, res, cart, "saved");
+    if (!line) return;
+
+    const existing = cart.items.find((i) => sameLine(i, line));
+    const wanted = line.quantity + (existing ? existing.quantity : 0);
+    const prod = await Product.findById(line.product).lean();
+    const check = lineStock(prod, line.color, line.size);
+    const problem = stockProblem(check, wanted);
+    if (problem) return res.status(409).json(problem);
+
+    if (existing) {
+      existing.quantity = wanted;
+      existing.issue = null;
+    } else {
+      cart.items.push({
+        _id: line._id,
+        product: line.product,
+        color: line.color,
+        size: line.size,
+        quantity: line.quantity,
+        unitPrice: unitPriceFor(prod, line.color, line.size),
+      });
+    }
+    line.deleteOne();
+
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("moveToCart error:", err);
+    return res.status(500).json({ message: "Could not move item to cart" });
+  }
 };
 
-// Remove an item
-exports.removeFromCart = async (req, res) => {
-  const userId = req.user._id;
-  const { index } = req.params;
-  const cart = await Cart.findOne({ user: userId });
-  if (!cart) return res.status(404).json({ message: "Cart not found" });
-
-  cart.items.splice(index, 1);
-  await cart.save();
-  await cart.populate("items.product");
-  res.json(cart);
+// Remove a saved line
+// DELETE /cart/saved/:itemId  (version in the body or an If-Match header)
+exports.removeSaved = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (versionConflict(res, cart, expectedVersion(req, req.body))) return;
+    const line = findLine(req, res, cart, "saved");
+    if (!line) return;
+
+    line.deleteOne();
+    if (!(await saveCart(res, cart))) return;
+    return sendCart(res, cart);
+  } catch (err) {
+    console.error("removeSaved error:", err);
+    return res.status(500).json({ message: "Could not remove saved item" });
+  }
 };
 
-// Clear entire cart
+// Clear the cart's items; "saved for later" stays
 exports.clearCart = async (req, res) => {
-  const userId = req.user._id;
-  await Cart.findOneAndDelete({ user: userId });
+  await req.cartOwner.Model.updateOne(req.cartOwner.filter, {
+    $set: { items: [] },
+    $inc: { version: 1 },
+  });
   res.json({ message: "Cart cleared" });
 };
+
+// Preview coupon(s) against the current cart. Nothing is consumed here;
+// checkout re-validates and takes the usage atomically.
+// Body: { couponCode } or { couponCodes: [] }
+exports.applyCoupon = async (req, res) => {
+  try {
+    const userId = req.user ? req.user._id : null;
+    const codes = normalizeCouponCodes(req.body || {});
+    if (!codes.length) {
+      return res.status(400).json({ message: "Coupon code is required" });
+    }
+
+    const cart = await findCart(req).lean();
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ message: "Cart is empty" });
+    }
+
+    let pricing;
+    try {
+      pricing = await priceOrderItems(
+        cart.items.map((i) => ({
+          product: i.product,
+          color: i.color,
+          quantity: i.quantity,
+        }))
+      );
+    } catch (e) {
+      return res.status(400).json({ message: e.message });
+    }
+    const { lines, subtotalCents } = pricing;
+    const shippingCents = shippingFeeCents(subtotalCents);
+
+    const result = await evaluateCoupons({
+      codes,
+      lines,
+      subtotalCents,
+      shippingCents,
+      userId,
+    });
+    if (!result.ok) {
+      return res.status(400).json({ valid: false, message: result.message });
+    }
+
+    return res.json({
+      valid: true,
+      couponCodes: codes,
+      subtotal: toDollars(subtotalCents),
+      shippingPrice: toDollars(shippingCents),
+      discountTotal: toDollars(result.discountCents),
+      totalPrice: toDollars(result.totalCents),
+      discounts: result.applied.map((a) => ({
+        code: a.code,
+        type: a.type,
+        amount: toDollars(a.amountCents),
+        shipping: a.shipping,
+        lines: a.lines.map((l) => ({
+          itemId: String(cart.items[l.index]._id),
+          amount: toDollars(l.amountCents),
+        })),
+      })),
+    });
+  } catch (err) {
+    console.error("applyCoupon error:", err);
+    return res.status(500).json({ message: "Could not apply coupon" });
+  }
+};
@@ -1,10 +1,7 @@
 const InboundContact = require("../models/InboundContact");
 const { body, validationResult } = require("express-validator");
 
-const {
-  sendInboundContactEmail,
-  sendContactAutoReply,
-} = require("../utils/email");
+const { enqueueSafe } = require("../lib/jobs");
 
 // POST /contacts
 const createContactValidators = [
@@ -30,12 +27,11 @@ async function createContact(req, res) {
       user: req.user ? req.user._id : undefined,
     });
 
-    // send admin email (await so we know if it fails — but don't block core case)
-    try {
-      await sendInboundContactEmail({ name, email, phone, message });
-    } catch (err) {
-      console.error("Inbound contact email failed:", err);
-    }
+    // admin email goes through the job queue (retried on SMTP failure)
+    await enqueueSafe("email.send", {
+      template: "sendInboundContactEmail",
+      args: [{ name, email, phone, message }],
+    });
 
     // notify admin(s) via socket.io if available
     try {
@@ -126,16 +122,11 @@ async function replyContact(req, res) {
     const contact = await InboundContact.findById(id).lean();
     if (!contact) return res.status(404).json({ message: "Contact not found" });
 
-    // send reply email to sender (do not throw on failure)
-    try {
-      await sendContactAutoReply({
-        to: contact.email,
-        name: contact.name,
-        message: response,
-      });
-    } catch (err) {
-      console.error("sendContactAutoReply failed:", err);
-    }
+    // send reply email to sender via the job queue (do not throw on failure)
+    await enqueueSafe("email.send", {
+      template: "sendContactAutoReply",
+      args: [{ to: contact.email, name: contact.name, message: response }],
+    });
 
     // save reply metadata and mark as read
     const updatedRaw = await InboundContact.findByIdAndUpdate(
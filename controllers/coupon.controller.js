@@ -0,0 +1,183 @@
+// backend/controllers/coupon.controller.js
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const Coupon = require("../models/Coupon");
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const couponFields = {
+  code: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .regex(/^[A-Za-z0-9_-]+$/),
+  description: Joi.string().allow("").max(1000),
+  type: Joi.string().valid("percent", "fixed", "free_shipping"),
+  value: Joi.number().min(0),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minSubtotal: Joi.number().min(0),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  active: Joi.boolean(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  categories: Joi.array().items(Joi.string().trim()),
+  tags: Joi.array().items(Joi.string().trim()),
+  products: Joi.array().items(objectId),
+  stackable: Joi.boolean(),
+};
+
+const createCouponJoi = Joi.object({
+  ...couponFields,
+  code: couponFields.code.required(),
+  type: couponFields.type.required(),
+}).custom((value, helpers) => {
+  const msg = couponRuleError(value);
+  return msg ? helpers.message(msg) : value;
+});
+
+const updateCouponJoi = Joi.object(couponFields).min(1);
+
+/** cross-field rules, checked on create and on the merged doc on update */
+function couponRuleError(c) {
+  if (c.type === "percent" && !(c.value > 0 && c.value <= 100)) {
+    return "percent coupons need a value between 0 and 100";
+  }
+  if (c.type === "fixed" && !(c.value > 0)) {
+    return "fixed coupons need a positive value";
+  }
+  if (c.startsAt && c.endsAt && new Date(c.startsAt) >= new Date(c.endsAt)) {
+    return "endsAt must be after startsAt";
+  }
+  return null;
+}
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+/**
+ * Admin: GET /admin/coupons?active=true&search=SUM
+ */
+exports.listCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === "true") filter.active = true;
+    if (req.query.active === "false") filter.active = false;
+    if (req.query.search) {
+      const q = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.code = { $regex: q, $options: "i" };
+    }
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+    return res.json({ coupons });
+  } catch (err) {
+    console.error("Admin list coupons error:", err);
+    return res.status(500).json({ message: "Could not fetch coupons." });
+  }
+};
+
+/**
+ * Admin: GET /admin/coupons/:id
+ */
+exports.getCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+    const coupon = await Coupon.findById(id).lean();
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    return res.json({ coupon });
+  } catch (err) {
+    console.error("Admin get coupon error:", err);
+    return res.status(500).json({ message: "Could not fetch coupon." });
+  }
+};
+
+/**
+ * Admin: POST /admin/coupons
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    const { error, value } = createCouponJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const coupon = await Coupon.create({ ...value, createdBy: req.user._id });
+    return res.status(201).json({ coupon });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return res.status(409).json({ message: "Coupon code already exists." });
+    }
+    console.error("Admin create coupon error:", err);
+    return res.status(500).json({ message: "Could not create coupon." });
+  }
+};
+
+/**
+ * Admin: PUT /admin/coupons/:id
+ * usageCount is managed by checkout and can't be edited here.
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+    const { error, value } = updateCouponJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    coupon.set(value);
+    const ruleError = couponRuleError(coupon.toObject());
+    if (ruleError) return res.status(400).json({ message: ruleError });
+
+    await coupon.save();
+    return res.json({ coupon });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return res.status(409).json({ message: "Coupon code already exists." });
+    }
+    console.error("Admin update coupon error:", err);
+    return res.status(500).json({ message: "Could not update coupon." });
+  }
+};
+
+/**
+ * Admin: DELETE /admin/coupons/:id
+ * Coupons already used by orders are deactivated instead of deleted so the
+ * order discount breakdown keeps a valid reference.
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    if (coupon.usageCount > 0) {
+      coupon.active = false;
+      await coupon.save();
+      return res.json({
+        message: "Coupon deactivated (already used).",
+        coupon,
+      });
+    }
+
+    await coupon.deleteOne();
+    return res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("Admin delete coupon error:", err);
+    return res.status(500).json({ message: "Could not delete coupon." });
+  }
+};
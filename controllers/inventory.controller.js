@@ -0,0 +1,250 @@
+// backend/controllers/inventory.controller.js
+// Admin inventory: manual stock adjustments, the per-product stock history
+// from the StockMovement ledger (lib/stock), low-stock thresholds and the
+// restock overview (lib/lowStock).
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const StockThreshold = require("../models/StockThreshold");
+const {
+  decrementStock,
+  incrementStock,
+  notifyRestocked,
+} = require("../lib/stock");
+const { stockOf, stockObject } = require("../lib/sizes");
+const { findVariation } = require("../lib/pricing");
+const { runInTransaction } = require("../lib/transactions");
+const { enqueueSafe } = require("../lib/jobs");
+const { loadThresholds, lowStockVariants } = require("../lib/lowStock");
+
+const adjustmentJoi = Joi.object({
+  color: Joi.string().trim().min(1).required(),
+  size: Joi.string().trim().min(1).required(),
+  // signed: -3 takes three off the shelf
+  quantity: Joi.number().integer().invalid(0).required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+const thresholdsJoi = Joi.object({
+  global: Joi.number().integer().min(0).allow(null),
+  // { "<category>": threshold, or null to drop the category's own one }
+  categories: Joi.object().pattern(
+    Joi.string().trim().min(1).max(100),
+    Joi.number().integer().min(0).allow(null)
+  ),
+}).min(1);
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+/**
+ * Admin: POST /admin/products/:id/stock-adjustments
+ * Body: { color, size, quantity (signed, non-zero), reason }
+ * Only sizes that already have a stock entry can be adjusted; stock can't go
+ * below zero (409).
+ */
+async function adjustStock(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+    const { error, value } = adjustmentJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+    const { color, size, quantity, reason } = value;
+
+    const product = await Product.findById(id).lean();
+    if (!product) return res.status(404).json({ message: "Product not found" });
+    const variation = findVariation(product, color);
+    if (!variation || stockOf(variation, size) === null) {
+      return res.status(404).json({
+        message: `Product has no stock entry for color "${color}", size "${size}".`,
+      });
+    }
+
+    const movement = {
+      type: "adjustment",
+      reason,
+      actor: req.user._id,
+      actorType: "admin",
+    };
+    const line = { product: product._id, color, size };
+    const ok = await runInTransaction((session) =>
+      quantity < 0
+        ? decrementStock(
+            { ...line, quantity: -quantity },
+            { session, movement }
+          )
+        : incrementStock({ ...line, quantity }, { session, movement })
+    );
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ message: "Not enough stock for this adjustment." });
+    }
+
+    await enqueueSafe("cart.revalidate", { productIds: [String(product._id)] });
+    const lines = [{ product: String(product._id), color, size }];
+    if (quantity < 0) {
+      await enqueueSafe("inventory.low-stock-check", { lines });
+    } else if (!(stockOf(variation, size) > 0)) {
+      // was sold out before this adjustment
+      await notifyRestocked(lines);
+    }
+
+    const updated = await Product.findById(id).lean();
+    const after = findVariation(updated, color);
+    return res.status(201).json({
+      color: after.color,
+      size,
+      stock: stockOf(after, size),
+    });
+  } catch (err) {
+    console.error("Admin stock adjustment error:", err);
+    return res.status(500).json({ message: "Could not adjust stock." });
+  }
+}
+
+/**
+ * Admin: GET /admin/products/:id/stock-movements?color=&size=&type=&page=&limit=
+ * Ledger entries for a product, newest first, with its current stock.
+ */
+async function getStockMovements(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+    const product = await Product.findById(id).lean();
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const filter = { product: product._id };
+    const { color, size, type } = req.query;
+    if (color) {
+      const variation = findVariation(product, String(color));
+      filter.color = variation ? variation.color : String(color);
+    }
+    if (size) filter.size = String(size);
+    if (type) filter.type = String(type);
+
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit || "50", 10) || 50, 1),
+      500
+    );
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "username email")
+        .lean(),
+      StockMovement.countDocuments(filter),
+    ]);
+
+    return res.json({
+      product: { _id: product._id, name: product.name },
+      stock: (product.variations || []).map((v) => ({
+        color: v.color,
+        stockBySize: stockObject(v),
+      })),
+      movements,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("Admin stock movements error:", err);
+    return res
+      .status(500)
+      .json({ message: "Could not fetch stock movements." });
+  }
+}
+
+const sendThresholds = async (res) => {
+  const { global, categories } = await loadThresholds();
+  return res.json({ global, categories: Object.fromEntries(categories) });
+};
+
+/**
+ * Admin: GET /admin/inventory/thresholds
+ * { global, categories: { "<category>": threshold } }; products can override
+ * both with lowStockThreshold (PUT /admin/products/:id).
+ */
+async function getThresholds(req, res) {
+  try {
+    return await sendThresholds(res);
+  } catch (err) {
+    console.error("Admin get stock thresholds error:", err);
+    return res.status(500).json({ message: "Could not fetch thresholds." });
+  }
+}
+
+/**
+ * Admin: PUT /admin/inventory/thresholds
+ * Body: { global?, categories?: { "<category>": n | null } }
+ * global: null goes back to LOW_STOCK_THRESHOLD.
+ */
+async function updateThresholds(req, res) {
+  try {
+    const { error, value } = thresholdsJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const entries = Object.entries(value.categories || {}).map(([c, n]) => [
+      c.trim().toLowerCase(),
+      n,
+    ]);
+    if (value.global !== undefined) entries.push([null, value.global]);
+
+    for (const [category, threshold] of entries) {
+      if (threshold === null) {
+        await StockThreshold.deleteOne({ category });
+      } else {
+        await StockThreshold.updateOne(
+          { category },
+          { $set: { threshold } },
+          { upsert: true }
+        );
+      }
+    }
+    return await sendThresholds(res);
+  } catch (err) {
+    console.error("Admin update stock thresholds error:", err);
+    return res.status(500).json({ message: "Could not update thresholds." });
+  }
+}
+
+/**
+ * Admin: GET /admin/inventory/low-stock?days=14
+ * Variants at or below their threshold with sales velocity over `days`
+ * (1–90), most urgent first.
+ */
+async function getLowStock(req, res) {
+  try {
+    const days = Math.min(
+      Math.max(parseInt(req.query.days || "14", 10) || 14, 1),
+      90
+    );
+    const items = await lowStockVariants({ days });
+    return res.json({ days, items });
+  } catch (err) {
+    console.error("Admin low stock error:", err);
+    return res.status(500).json({ message: "Could not fetch low stock." });
+  }
+}
+
+module.exports = {
+  adjustStock,
+  getStockMovements,
+  getThresholds,
+  updateThresholds,
+  getLowStock,
+};
@@ -0,0 +1,101 @@
+// backend/controllers/job.controller.js
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const { retryJob, cancelJob, listSchedules } = require("../lib/jobs");
+
+/**
+ * Admin: GET /admin/jobs?status=dead&name=email.send&page=1&limit=50
+ */
+exports.listJobs = async (req, res) => {
+  try {
+    const { status, name } = req.query;
+    const page = Math.max(parseInt(req.query.page || "1", 10), 1);
+    const limit = Math.min(parseInt(req.query.limit || "50", 10), 500);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (name) filter.name = name;
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    return res.json({
+      jobs,
+      counts: counts.reduce((acc, c) => ({ ...acc, [c._id]: c.count }), {}),
+      schedules: listSchedules(),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("Admin list jobs error:", err);
+    return res.status(500).json({ message: "Could not fetch jobs." });
+  }
+};
+
+/**
+ * Admin: GET /admin/jobs/:id
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid job id" });
+    }
+    const job = await Job.findById(id).lean();
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    return res.json({ job });
+  } catch (err) {
+    console.error("Admin get job error:", err);
+    return res.status(500).json({ message: "Could not fetch job." });
+  }
+};
+
+/**
+ * Admin: POST /admin/jobs/:id/retry  (dead, cancelled or waiting jobs)
+ */
+exports.retryJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid job id" });
+    }
+    const job = await retryJob(id);
+    if (!job) {
+      return res
+        .status(409)
+        .json({ message: "Job not found or not in a retryable state" });
+    }
+    return res.json({ job });
+  } catch (err) {
+    console.error("Admin retry job error:", err);
+    return res.status(500).json({ message: "Could not retry job." });
+  }
+};
+
+/**
+ * Admin: POST /admin/jobs/:id/cancel  (queued jobs only)
+ */
+exports.cancelJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid job id" });
+    }
+    const job = await cancelJob(id);
+    if (!job) {
+      return res
+        .status(409)
+        .json({ message: "Job not found or no longer queued" });
+    }
+    return res.json({ job });
+  } catch (err) {
+    console.error("Admin cancel job error:", err);
+    return res.status(500).json({ message: "Could not cancel job." });
+  }
+};
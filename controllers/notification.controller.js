@@ -1,6 +1,6 @@
 // backend/controllers/notification.controller.js
 const Notification = require("../models/Notification");
-const { sendPushToUser } = require("../lib/push");
+const { enqueueSafe } = require("../lib/jobs");
 
 /**
  * GET /notifications?unread=true&limit=50
@@ -121,7 +121,7 @@ exports.createAndEmitNotification = async ({
       console.warn("Failed to emit notification via socket:", emitErr);
     }
 
-    // Send web-push to user subscriptions (best-effort, non-blocking from UX POV)
+    // Queue web-push to user subscriptions (delivered by the "push.send" job)
     try {
       const pushPayload = {
         title: note.title,
@@ -133,9 +133,12 @@ exports.createAndEmitNotification = async ({
         icon: "/icons/192.png",
         badge: "/icons/badge-72.png",
       };
-      await sendPushToUser(String(userId), pushPayload);
+      await enqueueSafe("push.send", {
+        userId: String(userId),
+        payload: pushPayload,
+      });
     } catch (pushErr) {
-      console.warn("sendPushToUser error:", pushErr);
+      console.warn("queue push error:", pushErr);
     }
 
     return note;
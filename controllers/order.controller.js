@@ -1,15 +1,35 @@
 const Order = require("../models/Order");
-const Product = require("../models/Product");
 const nc = require("./notification.controller");
 const mongoose = require("mongoose");
 const Joi = require("joi");
 const { parsePhoneNumberFromString } = require("libphonenumber-js");
-const User = require("../models/User"); // <-- ADDED: used to notify admins
-
-/** escape user-provided regex text safely */
-function escapeRegExp(string = "") {
-  return string.replace(/[.*+?^${}()|[\\]\\]/g, "\\$&");
-}
+const { enqueueSafe } = require("../lib/jobs");
+const {
+  priceOrderItems,
+  shippingFeeCents,
+  toDollars,
+} = require("../lib/pricing");
+const { normalizeCouponCodes, evaluateCoupons } = require("../lib/coupons");
+const { newReservation } = require("../lib/reservations");
+const { placeOrder, cancelOrder } = require("../lib/checkout");
+const { snapshotCartItems } = require("../lib/cart");
+const {
+  normalizeEmail,
+  guestOrderToken,
+  verifyGuestOrderToken,
+  guestOrderUrl,
+  publicOrderView,
+} = require("../lib/guestOrders");
+const { issueRefund } = require("../lib/refunds");
+const { nextOrderNumber, orderRef } = require("../lib/orderNumbers");
+const { escapeRegExp } = require("../lib/pricing");
+const { ensureInvoice } = require("../lib/invoices");
+const { renderInvoicePdf, renderPackingSlipPdf } = require("../lib/documents");
+const {
+  ORDER_STATUSES,
+  canTransition,
+  historyEntry,
+} = require("../lib/orderState");
 
 /**
  * Joi schemas for request validation
@@ -45,6 +65,40 @@ const createOrderJoi = Joi.object({
   shipping: shippingJoi.optional(),
   idempotencyKey: Joi.string().allow("", null).max(500),
   fingerprint: Joi.string().allow("", null), // optional client fingerprint
+  couponCode: Joi.string().allow("", null).max(100),
+  couponCodes: Joi.array().items(Joi.string().max(100)).max(5),
+}).required();
+
+const checkoutJoi = Joi.object({
+  shipping: shippingJoi.optional(),
+  idempotencyKey: Joi.string().allow("", null).max(500),
+  fingerprint: Joi.string().allow("", null),
+  couponCode: Joi.string().allow("", null).max(100),
+  couponCodes: Joi.array().items(Joi.string().max(100)).max(5),
+  // total the client showed the customer; 409 when prices changed since
+  expectedTotal: Joi.number().precision(2).min(0),
+  // guest checkout only: where the confirmation and order link go
+  email: Joi.string().trim().email().max(254),
+}).required();
+
+const lookupJoi = Joi.object({
+  email: Joi.string().trim().email().max(254).required(),
+  orderNumber: Joi.string().trim().max(50).required(),
+}).required();
+
+const refundJoi = Joi.object({
+  reason: Joi.string().trim().min(2).max(1000).required(),
+  // omit for a full refund; otherwise per-line quantities (index into items)
+  items: Joi.array()
+    .items(
+      Joi.object({
+        index: Joi.number().integer().min(0).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .max(200),
+  includeShipping: Joi.boolean().default(false),
+  restock: Joi.boolean().default(false),
 }).required();
 
 /**
@@ -62,76 +116,6 @@ function isValidPhone(phone, country) {
   }
 }
 
-/**
- * Recalculate total price server-side from DB products.
- * Returns integer cents.
- *
- * Logic: prefer variation.salePrice -> variation.price -> product.salePrice -> product.price -> client-provided price
- */
-async function recalcTotalPriceCents(items) {
-  let totalCents = 0;
-  for (const it of items) {
-    const qty = Number(it.quantity) || 1;
-    let unitPrice = null;
-
-    const prodId = it.product || it.productId;
-    if (prodId) {
-      // fetch product to get authoritative price (supports variations if present)
-      const p = await Product.findById(prodId).lean();
-      if (!p) {
-        throw new Error(`Product not found: ${prodId}`);
-      }
-
-      // Attempt to find matching variation by color (case-insensitive)
-      let variation = null;
-      if (Array.isArray(p.variations) && (it.color || "")) {
-        const colorRegex = new RegExp(
-          `^${escapeRegExp((it.color || "").toString())}$`,
-          "i"
-        );
-        variation = p.variations.find((v) => {
-          try {
-            return colorRegex.test(String(v.color || ""));
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-
-      // Prefer variation.salePrice -> variation.price -> product.salePrice -> product.price -> client price
-      if (variation) {
-        if (typeof variation.salePrice === "number") {
-          unitPrice = Number(variation.salePrice);
-        } else if (typeof variation.price === "number") {
-          unitPrice = Number(variation.price);
-        }
-      }
-
-      if (unitPrice === null) {
-        if (typeof p.salePrice === "number") {
-          unitPrice = Number(p.salePrice);
-        } else if (typeof p.price === "number") {
-          unitPrice = Number(p.price);
-        } else if (it.price) {
-          unitPrice = Number(it.price);
-        } else {
-          throw new Error(`Price missing for product ${prodId}`);
-        }
-      }
-    } else {
-      // Non-product fallback: use provided price (e.g., gift card)
-      unitPrice = Number(it.price || 0);
-    }
-
-    if (!Number.isFinite(unitPrice)) unitPrice = 0;
-
-    // convert to cents and multiply by quantity
-    const unitCents = Math.round(unitPrice * 100);
-    totalCents += unitCents * qty;
-  }
-  return totalCents;
-}
-
 /**
  * Minimal server-side shipping validation fallback
  * (kept for compatibility but main validation is Joi + phone)
@@ -145,8 +129,220 @@ function validateShippingMinimal(shipping = {}) {
   return { ok: true };
 }
 
+/**
+ * Shipping address for a checkout: body.shipping, falling back to the user's
+ * saved address. Returns { ok: true, shipping } or { ok: false, message }.
+ */
+function resolveShipping(user, shippingBody) {
+  // Phone validation (prefer the shipping country if provided)
+  const shippingCandidate =
+    shippingBody && typeof shippingBody === "object" ? shippingBody : {};
+  if (!isValidPhone(shippingCandidate.phone, shippingCandidate.country)) {
+    // fallback: check minimally with original validator
+    const sv = validateShippingMinimal(shippingCandidate);
+    if (!sv.ok) {
+      return {
+        ok: false,
+        message: `Missing shipping fields: ${sv.missing.join(", ")}`,
+      };
+    }
+    return { ok: false, message: "Phone number appears invalid." };
+  }
+
+  // prefer body.shipping, fallback to the user snapshot (as before)
+  let shipping = shippingCandidate;
+  if (Object.keys(shipping).length === 0 && user) {
+    shipping = {
+      fullName: user.fullName || user.username || "",
+      phone: user.phone || "",
+      country: user.country || "",
+      state: user.state || "",
+      city: user.city || "",
+      postalCode: user.postalCode || "",
+      addressLine1: user.addressLine1 || "",
+      addressLine2: user.addressLine2 || "",
+      notes: "",
+    };
+  }
+
+  const sv = validateShippingMinimal(shipping);
+  if (!sv.ok) {
+    return {
+      ok: false,
+      message: `Missing shipping fields: ${sv.missing.join(", ")}`,
+    };
+  }
+  return { ok: true, shipping };
+}
+
+/** Idempotency-Key from the body or the request header */
+function idempotencyKeyFrom(req, value) {
+  return (
+    value.idempotencyKey ||
+    req.headers["idempotency-key"] ||
+    req.headers["Idempotency-Key"] ||
+    null
+  );
+}
+
+/**
+ * Shared tail of POST /orders and POST /orders/checkout: builds the order
+ * from priced items, takes stock, coupon uses and the cart in one unit
+ * (lib/checkout), notifies and responds 201.
+ */
+async function submitOrder(
+  req,
+  res,
+  {
+    items,
+    subtotalCents,
+    shippingCents,
+    couponResult,
+    shipping,
+    key,
+    fingerprint,
+    guestEmail = null,
+    cart,
+  }
+) {
+  const userId = req.user ? req.user._id : null;
+  const orderDoc = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId || undefined,
+    guest: !userId,
+    contactSnapshot: userId
+      ? { email: req.user.email, username: req.user.username }
+      : { email: normalizeEmail(guestEmail), username: shipping.fullName },
+    shipping,
+    items: items.map((it, index) => ({
+      ...it,
+      discount: toDollars(couponResult.lineDiscounts[index] || 0),
+    })),
+    subtotal: toDollars(subtotalCents),
+    shippingPrice: toDollars(shippingCents),
+    discountTotal: toDollars(couponResult.discountCents),
+    discounts: couponResult.applied.map((a) => ({
+      coupon: a.coupon,
+      code: a.code,
+      type: a.type,
+      amount: toDollars(a.amountCents),
+      shipping: a.shipping,
+      lines: a.lines.map((l) => ({
+        index: l.index,
+        amount: toDollars(l.amountCents),
+      })),
+    })),
+    totalPrice: toDollars(couponResult.totalCents),
+    status: "pending",
+    // stock taken by placeOrder is held until payment or expiry
+    // (lib/reservations)
+    reservation: newReservation(),
+    history: [
+      historyEntry({
+        type: "status",
+        to: "pending",
+        actor: userId || undefined,
+        actorType: "customer",
+        note: userId ? "Order placed" : "Order placed as guest",
+      }),
+    ],
+    meta: {
+      ip: req.ip || (req.headers["x-forwarded-for"] || "").split(",")[0],
+      userAgent: req.get("User-Agent") || "",
+      fingerprint: fingerprint || null,
+    },
+  };
+
+  if (key) orderDoc.idempotencyKey = key;
+
+  // numbered outside the transaction: a failed checkout leaves a gap
+  // instead of every checkout contending on the counter document
+  orderDoc.orderNumber = await nextOrderNumber();
+
+  // Take stock, consume coupon uses, insert the order and empty the cart
+  // as one unit (lib/checkout)
+  const placed = await placeOrder(orderDoc, {
+    applied: couponResult.applied,
+    cart,
+  });
+  if (!placed.ok) {
+    return res.status(placed.status).json({ message: placed.message });
+  }
+  const order = placed.order;
+
+  if (userId) {
+    // Create + emit notification to user
+    try {
+      await nc.createAndEmitNotification({
+        req,
+        userId,
+        type: "order",
+        title: "Order placed",
+        body: `Your order ${order.orderNumber} was placed successfully.`,
+        data: { orderId: String(order._id), orderNumber: order.orderNumber },
+      });
+    } catch (notifyErr) {
+      console.warn(
+        "create order: failed to notify user:",
+        notifyErr && (notifyErr.stack || notifyErr)
+      );
+    }
+  } else {
+    // guests have no inbox here: confirmation email with the signed link
+    await enqueueSafe("order.guest-email", { orderId: String(order._id) });
+  }
+
+  // the sale took stock other shoppers may have in their carts
+  const productIds = [
+    ...new Set(
+      order.items.filter((it) => it.product).map((it) => String(it.product))
+    ),
+  ];
+  if (productIds.length) {
+    await enqueueSafe("cart.revalidate", { productIds });
+    await enqueueSafe("inventory.low-stock-check", {
+      lines: order.items
+        .filter((it) => it.product)
+        .map((it) => ({
+          product: String(it.product),
+          color: it.color,
+          size: it.size,
+        })),
+    });
+  }
+
+  // Notify all admins about the new order via the background queue
+  // (doesn't block the checkout response)
+  const who = userId
+    ? req.user.username || req.user.email || String(userId)
+    : `guest ${order.contactSnapshot.email}`;
+  await enqueueSafe("notify.admins", {
+    type: "order",
+    title: "New order placed",
+    body: `Order ${order.orderNumber} placed by ${who}.`,
+    data: {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      url: `/admin/dashboard/orders/${order._id}`,
+    },
+  });
+
+  if (!userId) {
+    // lets the guest pay and come back to the order (also in the email)
+    return res.status(201).json({
+      order,
+      guestToken: guestOrderToken(order),
+      orderUrl: guestOrderUrl(order),
+    });
+  }
+  return res.status(201).json({ order });
+}
+
 /**
  * POST /orders
+ * Legacy checkout from client-submitted items; prices are re-checked against
+ * the DB and the submitted totalPrice must match. New clients use
+ * POST /orders/checkout.
  */
 async function createOrder(req, res) {
   try {
@@ -163,33 +359,16 @@ async function createOrder(req, res) {
         details: error.details.map((d) => d.message),
       });
     }
-    const {
-      items,
-      totalPrice,
-      shipping: shippingBody,
-      idempotencyKey,
-      fingerprint,
-    } = value;
-
-    // Phone validation (prefer the shipping country if provided)
-    const shippingCandidate =
-      shippingBody && typeof shippingBody === "object" ? shippingBody : {};
-    if (!isValidPhone(shippingCandidate.phone, shippingCandidate.country)) {
-      // fallback: check minimally with original validator
-      const sv = validateShippingMinimal(shippingCandidate);
-      if (!sv.ok) {
-        return res.status(400).json({
-          message: `Missing shipping fields: ${sv.missing.join(", ")}`,
-        });
-      }
-      return res.status(400).json({ message: "Phone number appears invalid." });
+    const { items, totalPrice, fingerprint } = value;
+    const couponCodes = normalizeCouponCodes(value);
+
+    const shippingResult = resolveShipping(req.user, value.shipping);
+    if (!shippingResult.ok) {
+      return res.status(400).json({ message: shippingResult.message });
     }
 
     // Idempotency: if key provided, return existing order for this user
-    const key =
-      idempotencyKey ||
-      req.headers["idempotency-key"] ||
-      req.headers["Idempotency-Key"];
+    const key = idempotencyKeyFrom(req, value);
     if (key) {
       const existing = await Order.findOne({
         idempotencyKey: key,
@@ -201,14 +380,29 @@ async function createOrder(req, res) {
     }
 
     // Recalculate total price from DB (in cents)
-    let calcCents;
+    let pricing;
     try {
-      calcCents = await recalcTotalPriceCents(items);
+      pricing = await priceOrderItems(items);
     } catch (e) {
       return res
         .status(400)
         .json({ message: e.message || "Error recalculating total price" });
     }
+    const { lines, subtotalCents } = pricing;
+    const shippingCents = shippingFeeCents(subtotalCents);
+
+    // Validate coupons server-side (usage is consumed with the stock)
+    const couponResult = await evaluateCoupons({
+      codes: couponCodes,
+      lines,
+      subtotalCents,
+      shippingCents,
+      userId,
+    });
+    if (!couponResult.ok) {
+      return res.status(400).json({ message: couponResult.message });
+    }
+    const calcCents = couponResult.totalCents;
 
     // Compare with submitted totalPrice (convert to cents)
     const submittedCents = Math.round(Number(totalPrice) * 100);
@@ -225,191 +419,203 @@ async function createOrder(req, res) {
       });
     }
 
-    // Build shipping info: prefer body.shipping, fallback to req.user snapshot (as before)
-    let shippingInfo =
-      shippingBody && typeof shippingBody === "object" ? shippingBody : {};
-    if ((!shippingInfo || Object.keys(shippingInfo).length === 0) && req.user) {
-      shippingInfo = {
-        fullName: req.user.fullName || req.user.username || "",
-        phone: req.user.phone || "",
-        country: req.user.country || "",
-        state: req.user.state || "",
-        city: req.user.city || "",
-        postalCode: req.user.postalCode || "",
-        addressLine1: req.user.addressLine1 || "",
-        addressLine2: req.user.addressLine2 || "",
-        notes: "",
-      };
+    return await submitOrder(req, res, {
+      items: items.map((it, index) => ({
+        product: it.product || it.productId || undefined,
+        name: it.name || "",
+        sku: lines[index].sku || undefined,
+        color: (it.color || "").toString().trim(),
+        size: (it.size || "").toString().trim(),
+        quantity: lines[index].quantity,
+        // the server's unit price: refunds (lib/refunds) are based on it
+        price: toDollars(lines[index].unitCents),
+        image: it.image || "",
+      })),
+      subtotalCents,
+      shippingCents,
+      couponResult,
+      shipping: shippingResult.shipping,
+      key,
+      fingerprint,
+    });
+  } catch (err) {
+    console.error("createOrder error:", err && err.stack ? err.stack : err);
+    return res.status(500).json({
+      message: "Could not create order.",
+      error: err?.message || String(err),
+    });
+  }
+}
+
+/**
+ * POST /orders/checkout
+ * Body: { shipping?, couponCode(s)?, expectedTotal?, idempotencyKey?,
+ *   fingerprint?, email? }
+ *
+ * Builds the order from the server-side cart (middleware/cartOwner) with
+ * names, images and prices taken from Product. Cart lines that can't be
+ * bought as is (gone, hidden, not enough stock) come back as 409 `problems`;
+ * when expectedTotal is sent and the server total differs, 409 with the new
+ * total. The cart is emptied together with the order insert.
+ *
+ * Visitors check out as guests from their guest cart: email and shipping are
+ * required and the response carries the signed guestToken/orderUrl
+ * (lib/guestOrders).
+ */
+async function checkoutFromCart(req, res) {
+  try {
+    const userId = req.user ? req.user._id : null;
+    const { error, value } = checkoutJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        message: "Invalid payload",
+        details: error.details.map((d) => d.message),
+      });
     }
 
-    // Server-side validate shipping again (Joi already validated shape if passed earlier)
-    const sv = validateShippingMinimal(shippingInfo);
-    if (!sv.ok) {
+    if (!userId && !value.email) {
       return res
         .status(400)
-        .json({ message: `Missing shipping fields: ${sv.missing.join(", ")}` });
-    }
-
-    const processedItems = [];
-    const decremented = []; // track successful decrements to rollback if needed
-
-    // For each item attempt an atomic decrement on product variation's stock
-    for (const it of items) {
-      const quantity = Number(it.quantity) || 1;
-      const price = Number(it.price) || 0;
-      const name = it.name || "";
-      const image = it.image || "";
-      const color = (it.color || "").toString().trim();
-      const size = (it.size || "").toString().trim();
-
-      const prodId = it.product || it.productId;
-      if (prodId) {
-        // Build query to match product AND a variation with matching color (case-insensitive)
-        // and sufficient stock for the requested size.
-        const colorRegex = new RegExp(`^${escapeRegExp(color)}$`, "i");
-
-        const elemMatch = {
-          color: colorRegex,
-        };
-        // dynamic stock path for size inside variation
-        elemMatch[`stockBySize.${size}`] = { $gte: quantity };
-
-        const query = { _id: prodId, variations: { $elemMatch: elemMatch } };
-
-        // dynamic update path to decrement that size
-        const update = {
-          $inc: { [`variations.$.stockBySize.${size}`]: -quantity },
-        };
-
-        const result = await Product.updateOne(query, update).exec();
-
-        // result.matchedCount / modifiedCount used to determine success
-        if (
-          !result ||
-          result.matchedCount === 0 ||
-          result.modifiedCount === 0
-        ) {
-          // rollback prior decrements (best-effort)
-          for (const d of decremented) {
-            try {
-              const dColorRegex = new RegExp(`^${escapeRegExp(d.color)}$`, "i");
-              await Product.updateOne(
-                {
-                  _id: d.prodId,
-                  variations: { $elemMatch: { color: dColorRegex } },
-                },
-                { $inc: { [`variations.$.stockBySize.${d.size}`]: d.qty } }
-              ).exec();
-            } catch (e) {
-              console.error(
-                "Rollback failed for",
-                d,
-                e && e.stack ? e.stack : e
-              );
-            }
-          }
-
-          return res.status(400).json({
-            message: `Not enough stock or selected variation missing for product ${prodId}, color="${color}", size="${size}".`,
-          });
-        }
-
-        // record successful decrement so we can revert if needed later
-        decremented.push({ prodId, color, size, qty: quantity });
-      }
+        .json({ message: "Email is required to check out as a guest." });
+    }
 
-      processedItems.push({
-        product: prodId || undefined,
-        name,
-        color,
-        size,
-        quantity,
-        price,
-        image,
-      });
+    const shippingResult = resolveShipping(req.user, value.shipping);
+    if (!shippingResult.ok) {
+      return res.status(400).json({ message: shippingResult.message });
     }
 
-    // Build order doc
-    const orderDoc = {
-      user: userId,
-      contactSnapshot: {
-        email: req.user?.email,
-        username: req.user?.username,
-      },
-      shipping: shippingInfo,
-      items: processedItems,
-      totalPrice: Number((calcCents / 100).toFixed(2)),
-      status: "pending",
-      meta: {
-        ip: req.ip || (req.headers["x-forwarded-for"] || "").split(",")[0],
-        userAgent: req.get("User-Agent") || "",
-        fingerprint: fingerprint || null,
-      },
-    };
+    const key = idempotencyKeyFrom(req, value);
+    if (key) {
+      const existing = await Order.findOne(
+        userId
+          ? { idempotencyKey: key, user: userId }
+          : {
+              idempotencyKey: key,
+              guest: true,
+              "contactSnapshot.email": normalizeEmail(value.email),
+            }
+      ).lean();
+      if (existing) return res.status(200).json({ order: existing });
+    }
 
-    if (key) orderDoc.idempotencyKey = key;
+    const cart = await req.cartOwner.Model.findOne(req.cartOwner.filter).lean();
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ message: "Cart is empty" });
+    }
 
-    // Create order document (all stock updates already applied)
-    const order = await Order.create(orderDoc);
+    const snapshot = await snapshotCartItems(cart.items);
+    if (snapshot.problems.length) {
+      return res.status(409).json({
+        message: "Some items in your cart can't be ordered.",
+        problems: snapshot.problems,
+      });
+    }
 
-    // Create + emit notification to user
+    let pricing;
     try {
-      await nc.createAndEmitNotification({
-        req,
-        userId,
-        type: "order",
-        title: "Order placed",
-        body: `Your order ${order._id} was placed successfully.`,
-        data: { orderId: String(order._id) },
+      pricing = await priceOrderItems(snapshot.items, {
+        products: snapshot.products,
       });
-    } catch (notifyErr) {
-      console.warn(
-        "create order: failed to notify user:",
-        notifyErr && (notifyErr.stack || notifyErr)
-      );
+    } catch (e) {
+      return res.status(400).json({ message: e.message });
+    }
+    const { lines, subtotalCents } = pricing;
+    const shippingCents = shippingFeeCents(subtotalCents);
+
+    const couponResult = await evaluateCoupons({
+      codes: normalizeCouponCodes(value),
+      lines,
+      subtotalCents,
+      shippingCents,
+      userId,
+    });
+    if (!couponResult.ok) {
+      return res.status(400).json({ message: couponResult.message });
     }
 
-    // --- NEW: Notify all admins about the new order (fire-and-forget) ---
-    try {
-      const admins = await User.find({ role: "admin" })
-        .select("_id username email")
-        .lean();
-      if (admins && admins.length) {
-        const who = req.user?.username || req.user?.email || String(userId);
-        const notifyPromises = admins.map((a) =>
-          nc
-            .createAndEmitNotification({
-              req,
-              userId: a._id,
-              type: "order",
-              title: "New order placed",
-              body: `Order ${order._id} placed by ${who}.`,
-              data: {
-                orderId: String(order._id),
-                url: `/admin/dashboard/orders/${order._id}`,
-              },
-            })
-            .catch((e) => {
-              console.warn(
-                `Failed to notify admin ${a._id}:`,
-                e && e.message ? e.message : e
-              );
-            })
-        );
-        // run in background — don't block the checkout response
-        Promise.all(notifyPromises).catch(() => {});
-      }
-    } catch (adminNotifyErr) {
-      console.warn("Failed to find/notify admins:", adminNotifyErr);
+    if (
+      value.expectedTotal != null &&
+      Math.round(value.expectedTotal * 100) !== couponResult.totalCents
+    ) {
+      return res.status(409).json({
+        message: "Your cart total has changed, please review it.",
+        expected: toDollars(couponResult.totalCents),
+        provided: value.expectedTotal,
+      });
     }
 
-    return res.status(201).json({ order });
+    return await submitOrder(req, res, {
+      items: snapshot.items,
+      subtotalCents,
+      shippingCents,
+      couponResult,
+      shipping: shippingResult.shipping,
+      key,
+      fingerprint: value.fingerprint,
+      guestEmail: userId ? null : value.email,
+      cart: req.cartOwner,
+    });
   } catch (err) {
-    console.error("createOrder error:", err && err.stack ? err.stack : err);
-    return res.status(500).json({
-      message: "Could not create order.",
-      error: err?.message || String(err),
+    console.error(
+      "checkoutFromCart error:",
+      err && err.stack ? err.stack : err
+    );
+    return res.status(500).json({ message: "Could not create order." });
+  }
+}
+
+/**
+ * POST /orders/lookup
+ * Body: { email, orderNumber }
+ * Status of a guest order for whoever knows both; no shipping address.
+ */
+async function lookupGuestOrder(req, res) {
+  try {
+    const { error, value } = lookupJoi.validate(req.body || {}, {
+      abortEarly: false,
     });
+    if (error) {
+      return res.status(400).json({
+        message: "Invalid payload",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const order = await Order.findOne({
+      guest: true,
+      orderNumber: value.orderNumber.toUpperCase(),
+      "contactSnapshot.email": normalizeEmail(value.email),
+    }).lean();
+    // same answer for a wrong email and a wrong number
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    return res.json({ order: publicOrderView(order, { withAddress: false }) });
+  } catch (err) {
+    console.error("Order lookup error:", err);
+    return res.status(500).json({ message: "Could not look up order." });
+  }
+}
+
+/**
+ * GET /orders/guest/:id?token=
+ * Full guest view through the signed link from the confirmation email.
+ */
+async function getGuestOrder(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+    const order = await Order.findById(id).lean();
+    if (!order || !verifyGuestOrderToken(order, req.query.token)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    return res.json({ order: publicOrderView(order) });
+  } catch (err) {
+    console.error("Get guest order error:", err);
+    return res.status(500).json({ message: "Server error fetching order." });
   }
 }
 
@@ -418,8 +624,10 @@ async function createOrder(req, res) {
  */
 async function getMyOrders(req, res) {
   try {
+    // the timeline is shown to the customer without admin identities
     const orders = await Order.find({ user: req.user._id })
       .sort({ createdAt: -1 })
+      .select("-history.actor")
       .populate("items.product", "name")
       .lean();
     return res.json({ orders });
@@ -430,12 +638,26 @@ async function getMyOrders(req, res) {
 }
 
 /**
- * Admin: GET /admin/orders
+ * Admin: GET /admin/orders?search=PX39-2026-0001
+ * search matches the start of the order number (e.g. PX39-2026-), or an
+ * exact order id.
  */
 async function getAllOrders(req, res) {
   try {
     const limit = Math.min(parseInt(req.query.limit || "100", 10), 1000);
-    const orders = await Order.find({})
+    const filter = {};
+    const search = String(req.query.search || "").trim();
+    if (search) {
+      // order numbers are stored upper-case, so an anchored, case-sensitive
+      // prefix regex can walk the orderNumber index
+      filter.$or = [
+        { orderNumber: { $regex: `^${escapeRegExp(search.toUpperCase())}` } },
+      ];
+      if (mongoose.Types.ObjectId.isValid(search)) {
+        filter.$or.push({ _id: search });
+      }
+    }
+    const orders = await Order.find(filter)
       .sort({ createdAt: -1 })
       .limit(limit)
       .populate("user", "username email")
@@ -460,6 +682,7 @@ async function getOrderById(req, res) {
         path: "items.product",
         select: "title slug price",
       })
+      .populate("history.actor", "username role")
       .lean();
 
     if (!order) {
@@ -474,74 +697,75 @@ async function getOrderById(req, res) {
 }
 
 /**
- * Admin: PATCH /admin/dashboard/orders/:id/status
+ * Admin: PATCH /admin/orders/:id/status
+ * Body: { status, note? }
  *
- * - If new status === "cancelled" and previous status !== "cancelled",
- *   increment stock back for each order item that references a product.
- * - Uses atomic updateOne increments per product/variation size (no transactions),
- *   and logs errors but continues where possible.
+ * Only moves declared in lib/orderState are allowed (409 otherwise). The
+ * status is switched with a conditional update on the previous status, so a
+ * cancellation (lib/checkout.cancelOrder) restocks items and releases coupons
+ * exactly once.
  */
 async function updateOrderStatus(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body || {};
 
     if (!id || !mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid order id" });
     }
 
     // NOTE: "paid" removed — payment is tracked via order.payed boolean now
-    const validStatuses = ["pending", "shipped", "delivered", "cancelled"];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    const order = await Order.findById(id).populate("user", "username email");
-    if (!order) return res.status(404).json({ message: "Order not found" });
+    const current = await Order.findById(id).select("status").lean();
+    if (!current) return res.status(404).json({ message: "Order not found" });
 
-    const previousStatus = order.status;
-
-    // If we're moving into 'cancelled' and it wasn't cancelled already, restock items
-    if (status === "cancelled" && previousStatus !== "cancelled") {
-      // best-effort: increment the stock for each item that has a product reference
-      for (const it of order.items || []) {
-        try {
-          const prodId = it.product;
-          const color = (it.color || "").toString().trim();
-          const size = (it.size || "").toString().trim();
-          const qty = Number(it.quantity) || 0;
-
-          if (!prodId || !size || qty <= 0) continue;
-
-          const colorRegex = new RegExp(`^${escapeRegExp(color)}$`, "i");
-
-          // increment the matching variation's stockBySize[size] by qty
-          const updateRes = await Product.updateOne(
-            { _id: prodId, variations: { $elemMatch: { color: colorRegex } } },
-            { $inc: { [`variations.$.stockBySize.${size}`]: qty } }
-          ).exec();
-
-          if (!updateRes || updateRes.modifiedCount === 0) {
-            console.warn(
-              `Restock: could not increment stock for product ${prodId}, color="${color}", size="${size}" — product/variation not found`
-            );
-          }
-        } catch (e) {
-          console.error(
-            "Error restocking item on cancel:",
-            e && e.stack ? e.stack : e
-          );
-        }
-      }
+    const previousStatus = current.status;
+    if (!canTransition(previousStatus, status)) {
+      return res.status(409).json({
+        message: `Cannot move an order from "${previousStatus}" to "${status}".`,
+      });
     }
 
-    // update the status (fulfillment lifecycle)
-    order.status = status;
-    await order.save();
+    const entry = historyEntry({
+      type: "status",
+      from: previousStatus,
+      to: status,
+      actor: req.user._id,
+      actorType: "admin",
+      note: typeof note === "string" ? note.trim().slice(0, 2000) : "",
+    });
+
+    let order;
+    if (status === "cancelled") {
+      // cancelled orders give their stock hold, stock and coupon uses back
+      // in the same transaction as the status switch (lib/checkout)
+      order = await cancelOrder(
+        { _id: id, status: previousStatus },
+        { history: entry }
+      );
+    } else {
+      const $set = { status };
+      if (status === "delivered") $set.deliveredAt = new Date();
+      order = await Order.findOneAndUpdate(
+        { _id: id, status: previousStatus },
+        { $set, $push: { history: entry } },
+        { new: true }
+      );
+    }
+    if (!order) {
+      return res
+        .status(409)
+        .json({ message: "Order status changed meanwhile, please reload." });
+    }
 
     // Build notification title based on new status values (no "paid" here)
     let title =
-      status === "shipped"
+      status === "processing"
+        ? "Order is being prepared"
+        : status === "shipped"
         ? "Order shipped"
         : status === "delivered"
         ? "Order delivered"
@@ -550,14 +774,20 @@ async function updateOrderStatus(req, res) {
         : "Order status updated";
 
     try {
-      await nc.createAndEmitNotification({
-        req,
-        userId: order.user._id,
-        type: "order",
-        title,
-        body: `Your order ${order._id} is now "${status}".`,
-        data: { orderId: String(order._id), status },
-      });
+      if (order.user) {
+        await nc.createAndEmitNotification({
+          req,
+          userId: order.user,
+          type: "order",
+          title,
+          body: `Your order ${orderRef(order)} is now "${status}".`,
+          data: {
+            orderId: String(order._id),
+            orderNumber: order.orderNumber,
+            status,
+          },
+        });
+      }
     } catch (notifyErr) {
       console.warn(
         "Failed to create/emit order notification:",
@@ -568,6 +798,7 @@ async function updateOrderStatus(req, res) {
     const updated = await Order.findById(id)
       .populate("user", "username email")
       .populate("items.product", "name")
+      .populate("history.actor", "username")
       .lean();
 
     return res.json({ order: updated });
@@ -577,10 +808,122 @@ async function updateOrderStatus(req, res) {
   }
 }
 
+/**
+ * Admin: POST /admin/orders/:id/refunds
+ * Body: { reason, items?: [{ index, quantity }], includeShipping?, restock? }
+ * Without items the whole remaining amount (shipping included) is refunded.
+ */
+async function refundOrder(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const { error, value } = refundJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        message: "Invalid payload",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const result = await issueRefund(order, {
+      items: value.items,
+      includeShipping: value.includeShipping,
+      reason: value.reason,
+      restock: value.restock,
+      actorId: req.user._id,
+      app: req.app,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.status(201).json({ refund: result.refund, order: result.order });
+  } catch (err) {
+    console.error("Refund order error:", err);
+    return res.status(500).json({ message: "Could not refund order." });
+  }
+}
+
+function sendPdf(res, filename, buffer) {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Content-Length": buffer.length,
+    "Cache-Control": "private, no-store",
+  });
+  return res.send(buffer);
+}
+
+/**
+ * GET /orders/:id/invoice.pdf — order owner only, once the order is paid.
+ * The invoice number is assigned on first download.
+ */
+async function getInvoicePdf(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const owned = await Order.exists({ _id: id, user: req.user._id });
+    if (!owned) return res.status(404).json({ message: "Order not found" });
+
+    const order = await ensureInvoice(id);
+    if (!order) {
+      return res
+        .status(409)
+        .json({ message: "The invoice is available once the order is paid." });
+    }
+
+    const pdf = await renderInvoicePdf(order);
+    return sendPdf(res, `${order.invoice.number}.pdf`, pdf);
+  } catch (err) {
+    console.error("Invoice PDF error:", err);
+    return res.status(500).json({ message: "Could not generate invoice." });
+  }
+}
+
+/**
+ * Admin: GET /admin/orders/:id/packing-slip.pdf
+ */
+async function getPackingSlipPdf(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(id).lean();
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const pdf = await renderPackingSlipPdf(order);
+    return sendPdf(res, `packing-slip-${order._id}.pdf`, pdf);
+  } catch (err) {
+    console.error("Packing slip PDF error:", err);
+    return res
+      .status(500)
+      .json({ message: "Could not generate packing slip." });
+  }
+}
+
 module.exports = {
   createOrder,
+  checkoutFromCart,
+  lookupGuestOrder,
+  getGuestOrder,
   getMyOrders,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  refundOrder,
+  getInvoicePdf,
+  getPackingSlipPdf,
 };
@@ -1,135 +1,555 @@
 // backend/controllers/payments.controller.js
+// Payments go through a provider from lib/payments. Creating an intent adds
+// an attempt to order.payments[]; the order's payment state only changes when
+// the provider's signed webhook arrives (POST /payments/webhook/:provider).
 const Order = require("../models/Order");
-const Product = require("../models/Product");
+const PaymentEvent = require("../models/PaymentEvent");
 const nc = require("./notification.controller");
 const mongoose = require("mongoose");
+const { toDollars } = require("../lib/pricing");
+const { enqueueSafe } = require("../lib/jobs");
+const {
+  getProvider,
+  defaultProviderName,
+  paymentCurrency,
+} = require("../lib/payments");
+const { historyEntry } = require("../lib/orderState");
+const { orderRef } = require("../lib/orderNumbers");
+const {
+  convertReservation,
+  expireReservation,
+} = require("../lib/reservations");
+const { cancelOrder } = require("../lib/checkout");
+const { verifyGuestOrderToken } = require("../lib/guestOrders");
+const { recordProviderRefund } = require("../lib/refunds");
 
-/** escape user-provided regex text safely */
-function escapeRegExp(string = "") {
-  return String(string || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+/**
+ * Loads an order the current user may pay for. Guests pay their own guest
+ * orders with the guestToken returned by checkout (body.guestToken).
+ * Returns { order } or { status, body } describing the error response.
+ */
+async function findPayableOrder(req, orderId) {
+  const userId = req.user && req.user._id;
+  const guestToken = req.body && req.body.guestToken;
+  if (!userId && !guestToken) {
+    return { status: 401, body: { message: "Not authenticated" } };
+  }
+
+  if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+    return { status: 400, body: { message: "Invalid orderId" } };
+  }
+
+  const order = await Order.findById(orderId).populate(
+    "user",
+    "username email"
+  );
+  if (!order) return { status: 404, body: { message: "Order not found" } };
+
+  // Only the order owner, the guest holding the link, or admin may pay
+  const isOwner = userId
+    ? order.user && String(order.user._id) === String(userId)
+    : verifyGuestOrderToken(order, guestToken);
+  const isAdmin = req.user && req.user.role === "admin";
+  if (!isOwner && !isAdmin) {
+    return { status: 403, body: { message: "Forbidden" } };
+  }
+
+  // If already marked payed, return current order (idempotent)
+  if (order.payed) {
+    return { status: 200, body: { message: "Already payed", order } };
+  }
+
+  // cancelled orders (admin cancel, expired reservation) can't be paid or
+  // failed again — their stock has already been released
+  if (order.status === "cancelled") {
+    return {
+      status: 409,
+      body: { message: "Order is cancelled and can no longer be paid." },
+    };
+  }
+
+  // refuse up front when the stock hold already ran out
+  const r = order.reservation;
+  if (r && r.status === "active" && r.expiresAt && r.expiresAt <= new Date()) {
+    await expireReservation(order._id, { app: req.app });
+    return {
+      status: 409,
+      body: {
+        message:
+          "Reservation expired: the items were released. Please place the order again.",
+      },
+    };
+  }
+
+  return { order };
+}
+
+/** Creates a provider intent and records it as a new payment attempt. */
+async function startPaymentAttempt(order, provider, userId) {
+  const intent = await provider.createPaymentIntent({
+    orderId: order._id,
+    amountCents: toCents(order.totalPrice),
+    currency: paymentCurrency(),
+    metadata: userId ? { userId: String(userId) } : { guest: "true" },
+  });
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $push: {
+        payments: {
+          provider: provider.name,
+          intentId: intent.id,
+          status: "requires_confirmation",
+          amount: toDollars(intent.amountCents),
+          currency: intent.currency,
+          createdBy: userId || undefined,
+        },
+      },
+    }
+  );
+  return intent;
+}
+
+// ─── webhook event handling ───────────────────────────────────────────────────
+
+/**
+ * Updates one attempt (by intent id), appends the event to its log and to
+ * the order timeline.
+ */
+function recordAttemptEvent(orderId, attempt, event, fields = {}) {
+  const $set = {};
+  Object.entries(fields).forEach(([k, v]) => {
+    if (v !== undefined) $set[`payments.$.${k}`] = v;
+  });
+  return Order.updateOne(
+    { _id: orderId, "payments.intentId": attempt.intentId },
+    {
+      $set,
+      $push: {
+        "payments.$.events": { id: event.id, type: event.type },
+        history: historyEntry({
+          type: "payment",
+          actorType: "provider",
+          note: event.type,
+          data: {
+            provider: attempt.provider,
+            intentId: attempt.intentId,
+            eventId: event.id,
+          },
+        }),
+      },
+    }
+  );
 }
 
 /**
- * Best-effort restock helper (same logic as order cancellation)
+ * Money arrived for an order that can't take it any more (cancelled,
+ * expired, or already paid by another attempt): hand it back.
  */
-async function restockOrderItems(order) {
-  for (const it of order.items || []) {
-    try {
-      const prodId = it.product;
-      const color = (it.color || "").toString().trim();
-      const size = (it.size || "").toString().trim();
-      const qty = Number(it.quantity) || 0;
-      if (!prodId || !size || qty <= 0) continue;
+async function refundUnusablePayment(provider, order, attempt, reason) {
+  try {
+    await provider.refundPayment({
+      intentId: attempt.intentId,
+      amountCents: toCents(attempt.amount),
+      reason,
+    });
+    await Order.updateOne(
+      { _id: order._id, "payments.intentId": attempt.intentId },
+      {
+        $set: {
+          "payments.$.status": "refunded",
+          "payments.$.refundedAt": new Date(),
+          "payments.$.failureReason": reason,
+        },
+        $push: {
+          history: historyEntry({
+            type: "refund",
+            actorType: "system",
+            note: `Automatic refund of unusable payment (${reason})`,
+            data: { intentId: attempt.intentId, amount: attempt.amount },
+          }),
+        },
+      }
+    );
+  } catch (err) {
+    console.error(
+      `Automatic refund of ${attempt.intentId} failed:`,
+      err && (err.stack || err)
+    );
+    await enqueueSafe("notify.admins", {
+      type: "order",
+      title: "Payment needs a manual refund",
+      body: `Payment ${attempt.intentId} for order ${orderRef(
+        order
+      )} succeeded but the order could not accept it (${reason}).`,
+      data: { orderId: String(order._id), intentId: attempt.intentId },
+    });
+  }
+  return { outcome: "refunded", reason };
+}
+
+async function applyPaymentSucceeded(provider, order, attempt, event, app) {
+  const data = event.data || {};
+  await recordAttemptEvent(order._id, attempt, event, {
+    status: "succeeded",
+    succeededAt: new Date(),
+    last4: data.last4 || undefined,
+  });
+
+  if (order.payed) {
+    return refundUnusablePayment(provider, order, attempt, "already_paid");
+  }
+  if (order.status === "cancelled") {
+    return refundUnusablePayment(provider, order, attempt, "order_cancelled");
+  }
+
+  // turn the stock hold into a sale; refuse if the hold already ran out
+  const converted = await convertReservation(order._id);
+  if (!converted) {
+    await expireReservation(order._id, { app });
+    return refundUnusablePayment(
+      provider,
+      order,
+      attempt,
+      "reservation_expired"
+    );
+  }
 
-      const colorRegex = new RegExp(`^${escapeRegExp(color)}$`, "i");
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, payed: false, status: { $ne: "cancelled" } },
+    {
+      $set: { payed: true, paymentStatus: "paid" },
+      $push: {
+        history: historyEntry({
+          type: "payment",
+          to: "paid",
+          actorType: "provider",
+          note: `Paid via ${provider.name}`,
+          data: { intentId: attempt.intentId, amount: attempt.amount },
+        }),
+      },
+    },
+    { new: true }
+  );
+  if (!paid) {
+    return refundUnusablePayment(provider, order, attempt, "order_unavailable");
+  }
+
+  try {
+    if (order.user) {
+      await nc.createAndEmitNotification({
+        req: app ? { app } : null,
+        userId: order.user,
+        type: "order",
+        title: "Payment received",
+        body: `Payment for order ${orderRef(order)} received.`,
+        data: {
+          orderId: String(order._id),
+          orderNumber: order.orderNumber,
+          payed: true,
+        },
+      });
+    }
+  } catch (e) {
+    console.warn("notify user after payment failed:", e && e.message);
+  }
+  await enqueueSafe(
+    "order.paid-email",
+    { orderId: String(order._id) },
+    { key: `order-paid-email:${order._id}` }
+  );
+  return { outcome: "paid" };
+}
+
+async function applyPaymentFailed(provider, order, attempt, event, app) {
+  const data = event.data || {};
+  await recordAttemptEvent(order._id, attempt, event, {
+    status: "failed",
+    failedAt: new Date(),
+    failureReason: data.failureReason || "payment_failed",
+    last4: data.last4 || undefined,
+  });
+
+  // failed payment -> cancel order, restock and release coupons (once)
+  const cancelled = await cancelOrder(
+    {
+      _id: order._id,
+      payed: false,
+      status: { $in: ["pending", "processing"] },
+    },
+    {
+      releaseReason: "payment_failed",
+      history: historyEntry({
+        type: "status",
+        from: order.status,
+        to: "cancelled",
+        actorType: "provider",
+        note: "Payment failed",
+      }),
+    }
+  );
+  if (!cancelled) return { outcome: "ignored", reason: "order_closed" };
+
+  try {
+    if (cancelled.user) {
+      await nc.createAndEmitNotification({
+        req: app ? { app } : null,
+        userId: cancelled.user,
+        type: "order",
+        title: "Payment failed — order cancelled",
+        body: `Payment for order ${orderRef(
+          cancelled
+        )} failed. Order cancelled and items restocked.`,
+        data: {
+          orderId: String(cancelled._id),
+          orderNumber: cancelled.orderNumber,
+          status: "cancelled",
+        },
+      });
+    }
+  } catch (e) {
+    console.warn("notify user after payment failure failed:", e && e.message);
+  }
+  return { outcome: "cancelled" };
+}
+
+async function applyPaymentEvent(provider, event, app) {
+  const intentId = event.data && event.data.intentId;
+  const order = intentId
+    ? await Order.findOne({ "payments.intentId": intentId })
+    : null;
+  if (!order) return { outcome: "ignored", reason: "unknown_intent" };
+
+  const attempt = order.payments.find((p) => p.intentId === intentId);
+  if (attempt.provider !== provider.name) {
+    return { outcome: "ignored", reason: "provider_mismatch" };
+  }
 
-      await Product.updateOne(
-        { _id: prodId, variations: { $elemMatch: { color: colorRegex } } },
-        { $inc: { [`variations.$.stockBySize.${size}`]: qty } }
-      ).exec();
-    } catch (e) {
-      console.warn("restockOrderItems error:", e && e.message ? e.message : e);
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      return applyPaymentSucceeded(provider, order, attempt, event, app);
+    case "payment_intent.payment_failed":
+      return applyPaymentFailed(provider, order, attempt, event, app);
+    case "charge.refunded": {
+      const result = await recordProviderRefund(order, {
+        provider: provider.name,
+        intentId,
+        providerRefundId: event.data.refundId,
+        amountCents: event.data.amount,
+      });
+      await recordAttemptEvent(order._id, attempt, event);
+      return result;
     }
+    default:
+      await recordAttemptEvent(order._id, attempt, event);
+      return { outcome: "ignored", reason: "unhandled_type" };
   }
 }
 
 /**
- * POST /payments/fake
- * Body: { orderId: string, simulate: 'success' | 'fail', card?: { last4, name } }
+ * Verifies, de-duplicates (by provider + event id) and applies one webhook
+ * delivery. Returns { status, body } for the HTTP response. When applying
+ * fails the event record is dropped so the provider's redelivery retries it.
  */
-async function fakePayment(req, res) {
+async function processWebhook(providerName, rawBody, headers, app) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { status: 404, body: { message: "Unknown payment provider" } };
+  }
+
+  let event;
   try {
-    const userId = req.user && req.user._id;
-    if (!userId) return res.status(401).json({ message: "Not authenticated" });
+    event = provider.verifyWebhookSignature(rawBody || "", headers || {});
+  } catch (err) {
+    return { status: 400, body: { message: err.message } };
+  }
+  if (!event || !event.id || !event.type) {
+    return { status: 400, body: { message: "Malformed event" } };
+  }
 
-    const { orderId, simulate, card } = req.body || {};
-    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
-      return res.status(400).json({ message: "Invalid orderId" });
+  const orderId = event.data && event.data.orderId;
+  try {
+    await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.data && event.data.intentId,
+      order: mongoose.Types.ObjectId.isValid(orderId) ? orderId : undefined,
+      payload: event,
+    });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return { status: 200, body: { received: true, duplicate: true } };
     }
+    throw err;
+  }
 
-    const order = await Order.findById(orderId).populate(
-      "user",
-      "username email"
+  try {
+    const result = await applyPaymentEvent(provider, event, app);
+    return { status: 200, body: { received: true, ...result } };
+  } catch (err) {
+    await PaymentEvent.deleteOne({
+      provider: provider.name,
+      eventId: event.id,
+    });
+    throw err;
+  }
+}
+
+// ─── POST /payments/intents ───────────────────────────────────────────────────
+// Body: { orderId, provider? }
+async function createPaymentIntent(req, res) {
+  try {
+    const found = await findPayableOrder(req, req.body && req.body.orderId);
+    if (!found.order) return res.status(found.status).json(found.body);
+
+    const providerName =
+      (req.body && req.body.provider) || defaultProviderName();
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return res.status(400).json({ message: "Unknown payment provider" });
+    }
+
+    const intent = await startPaymentAttempt(
+      found.order,
+      provider,
+      req.user ? req.user._id : null
     );
-    if (!order) return res.status(404).json({ message: "Order not found" });
+    return res.status(201).json({
+      provider: provider.name,
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      amount: toDollars(intent.amountCents),
+      currency: intent.currency,
+    });
+  } catch (err) {
+    console.error("createPaymentIntent error:", err && (err.stack || err));
+    return res.status(500).json({ message: "Could not start payment" });
+  }
+}
 
-    // Only the order owner or admin may call this endpoint to pay
-    const isOwner = String(order.user._id) === String(userId);
-    const isAdmin = req.user && req.user.role === "admin";
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ message: "Forbidden" });
+// ─── POST /payments/mock/confirm ──────────────────────────────────────────────
+// Body: { orderId, intentId, simulate: 'success' | 'fail', card?: { last4 } }
+// Stands in for the provider's hosted checkout: the outcome is delivered
+// asynchronously through the signed webhook.
+async function confirmMockPayment(req, res) {
+  try {
+    const mock = getProvider("mock");
+    if (!mock) {
+      return res.status(404).json({ message: "Mock payments are disabled" });
     }
 
-    // If already marked payed, return current order (idempotent)
-    if (order.payed) {
-      return res.status(200).json({ message: "Already payed", order });
+    const { orderId, intentId, simulate, card } = req.body || {};
+    const found = await findPayableOrder(req, orderId);
+    if (!found.order) return res.status(found.status).json(found.body);
+
+    const attempt = (found.order.payments || []).find(
+      (p) => p.intentId === intentId && p.provider === mock.name
+    );
+    if (!attempt) {
+      return res.status(404).json({ message: "Payment intent not found" });
+    }
+    if (attempt.status !== "requires_confirmation") {
+      return res
+        .status(409)
+        .json({ message: `Payment is already ${attempt.status}` });
     }
 
-    // Simulate success
-    if (simulate === "success") {
-      order.payed = true;
-      order.meta = order.meta || {};
-      order.meta.payment = {
-        provider: "fake",
-        transactionId: `FAKE-${Date.now()}`,
-        last4: card?.last4 || null,
-        paidAt: new Date(),
-        paidBy: userId,
-      };
-      // keep fulfillment status as-is (likely 'pending')
-      await order.save();
-
-      // notify user
-      try {
-        await nc.createAndEmitNotification({
-          req,
-          userId: order.user._id,
-          type: "order",
-          title: "Payment received",
-          body: `Payment for order ${order._id} received.`,
-          data: { orderId: String(order._id), payed: true },
-        });
-      } catch (e) {
-        console.warn("notify user after fake pay failed:", e && e.message);
-      }
+    const event = mock.confirmPaymentIntent({
+      intentId,
+      orderId: found.order._id,
+      amountCents: toCents(attempt.amount),
+      currency: attempt.currency,
+      outcome: simulate === "success" ? "success" : "fail",
+      card,
+    });
+    await enqueueSafe("payments.webhook.deliver", {
+      provider: mock.name,
+      event,
+    });
 
-      return res.json({ ok: true, order });
+    return res
+      .status(202)
+      .json({ message: "Payment submitted", eventId: event.id });
+  } catch (err) {
+    console.error("confirmMockPayment error:", err && (err.stack || err));
+    return res.status(500).json({ message: "Could not confirm payment" });
+  }
+}
+
+// ─── POST /payments/webhook/:provider ─────────────────────────────────────────
+async function handleWebhook(req, res) {
+  try {
+    const { status, body } = await processWebhook(
+      req.params.provider,
+      req.rawBody,
+      req.headers,
+      req.app
+    );
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("payment webhook error:", err && (err.stack || err));
+    return res.status(500).json({ message: "Webhook processing failed" });
+  }
+}
+
+/**
+ * POST /payments/fake
+ * Body: { orderId: string, simulate: 'success' | 'fail', card?: { last4, name } }
+ * Kept for the existing checkout UI: creates a mock intent, confirms it and
+ * applies the signed event inline through the webhook code path.
+ */
+async function fakePayment(req, res) {
+  try {
+    const mock = getProvider("mock");
+    if (!mock) {
+      return res.status(404).json({ message: "Mock payments are disabled" });
     }
 
-    // Simulate failure -> cancel order and restock
-    order.payed = false;
-    order.status = "cancelled";
-    order.meta = order.meta || {};
-    order.meta.payment = {
-      provider: "fake",
-      transactionId: null,
-      last4: card?.last4 || null,
-      failedAt: new Date(),
-      reason: "simulated_failure",
-      paidBy: userId,
-    };
-    await order.save();
+    const { orderId, simulate, card } = req.body || {};
+    const found = await findPayableOrder(req, orderId);
+    if (!found.order) return res.status(found.status).json(found.body);
 
-    // Attempt restock
-    try {
-      await restockOrderItems(order);
-    } catch (e) {
-      console.warn("Failed restocking after simulated payment failure:", e);
+    const intent = await startPaymentAttempt(
+      found.order,
+      mock,
+      req.user ? req.user._id : null
+    );
+    const event = mock.confirmPaymentIntent({
+      intentId: intent.id,
+      orderId: found.order._id,
+      amountCents: intent.amountCents,
+      currency: intent.currency,
+      outcome: simulate === "success" ? "success" : "fail",
+      card,
+    });
+    const { rawBody, headers } = mock.signEvent(event);
+    const result = await processWebhook(mock.name, rawBody, headers, req.app);
+    if (result.status !== 200) {
+      return res.status(result.status).json(result.body);
     }
 
-    try {
-      await nc.createAndEmitNotification({
-        req,
-        userId: order.user._id,
-        type: "order",
-        title: "Payment failed — order cancelled",
-        body: `Payment for order ${order._id} failed. Order cancelled and items restocked.`,
-        data: { orderId: String(order._id), status: "cancelled" },
+    const order = await Order.findById(found.order._id).populate(
+      "user",
+      "username email"
+    );
+
+    if (result.body.outcome === "paid") {
+      return res.json({ ok: true, order });
+    }
+    if (result.body.reason === "reservation_expired") {
+      return res.status(409).json({
+        message:
+          "Reservation expired: the items were released. Please place the order again.",
       });
-    } catch (e) {
-      console.warn("notify user after fake fail failed:", e && e.message);
     }
-
+    if (order && order.payed) {
+      return res.status(200).json({ message: "Already payed", order });
+    }
     return res
       .status(400)
       .json({ ok: false, message: "Simulated payment failure", order });
@@ -142,5 +562,8 @@ async function fakePayment(req, res) {
 }
 
 module.exports = {
+  createPaymentIntent,
+  confirmMockPayment,
+  handleWebhook,
   fakePayment,
 };
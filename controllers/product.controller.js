@@ -1,8 +1,21 @@
 const Product = require("../models/Product");
 const RecentlyViewed = require("../models/RecentlyViewed");
-const Cart = require("../models/Cart");
-const User = require("../models/User"); // <-- NEW: remove product from user.wishlist
+const Wishlist = require("../models/Wishlist");
 const mongoose = require("mongoose");
+const Joi = require("joi");
+const StockSubscription = require("../models/StockSubscription");
+const { enqueueSafe } = require("../lib/jobs");
+const { removeProductFromCarts } = require("../lib/cart");
+const { prepareProductSizes, stockOf } = require("../lib/sizes");
+const { prepareVariants } = require("../lib/variants");
+const { unitPriceFor, findVariation } = require("../lib/pricing");
+const { normalizeEmail } = require("../lib/guestOrders");
+const {
+  notifyRestocked,
+  recordMovements,
+  stockChanges,
+} = require("../lib/stock");
+const { readGuestConfirmToken } = require("../lib/backInStock");
 
 // helper: normalize tags input (array or string "a,b; c")
 const normalizeTags = (input) => {
@@ -22,6 +35,17 @@ const normalizeTags = (input) => {
   );
 };
 
+// 409 message for an insert/update that hit the unique SKU or barcode index
+const duplicateVariantMessage = (err) => {
+  if (!err || err.code !== 11000) return null;
+  const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || "";
+  if (field.endsWith(".sku")) return "SKU already used by another product.";
+  if (field.endsWith(".barcode")) {
+    return "Barcode already used by another product.";
+  }
+  return null;
+};
+
 // ─── Admin: Create ─────────────────────────────────────────────────────────────
 exports.createProduct = async (req, res) => {
   try {
@@ -30,14 +54,42 @@ exports.createProduct = async (req, res) => {
     // normalize tags (accept array or comma/semicolon separated string)
     const tags = normalizeTags(body.tags);
 
+    // stock sizes must belong to the product's size system (lib/sizes)
+    const sizing = await prepareProductSizes(body);
+    if (!sizing.ok) return res.status(400).json({ message: sizing.message });
+
+    // one variant (SKU) per stocked size (lib/variants)
+    const _id = new mongoose.Types.ObjectId();
+    const variants = prepareVariants({ _id }, sizing.variations);
+    if (!variants.ok) {
+      return res.status(400).json({ message: variants.message });
+    }
+
     const prod = new Product({
       ...body,
+      _id,
       tags,
+      variations: variants.variations,
+      sizes: sizing.sizes,
     });
 
     await prod.save();
+
+    // opening stock goes into the ledger (models/StockMovement)
+    await recordMovements(
+      stockChanges(prod._id, [], prod.variations).map((m) => ({
+        ...m,
+        type: "import",
+        reason: "product created",
+        actor: req.user._id,
+        actorType: "admin",
+      }))
+    );
+
     res.status(201).json(prod);
   } catch (err) {
+    const duplicate = duplicateVariantMessage(err);
+    if (duplicate) return res.status(409).json({ message: duplicate });
     res.status(400).json({ message: err.message });
   }
 };
@@ -148,19 +200,82 @@ exports.getProductById = async (req, res) => {
 exports.updateProduct = async (req, res) => {
   try {
     const body = { ...(req.body || {}) };
+    // ledger reason for stock changed by this edit (optional)
+    const stockReason = String(body.stockReason || "").trim() || "product edit";
+    delete body.stockReason;
 
     // Normalize tags if provided
     if (typeof body.tags !== "undefined") {
       body.tags = normalizeTags(body.tags);
     }
 
-    const prod = await Product.findByIdAndUpdate(
+    // re-check sizes against the (possibly new) size system; stock maps are
+    // only rewritten when variations were sent. Variations sent without
+    // `variants` keep their SKUs.
+    if (
+      ["variations", "category", "sizeSystem", "sizes"].some((k) => k in body)
+    ) {
+      const current = await Product.findById(req.params.id).lean();
+      if (!current) return res.status(404).json({ message: "Not found" });
+      const sizing = await prepareProductSizes({ ...current, ...body });
+      if (!sizing.ok) return res.status(400).json({ message: sizing.message });
+      if ("variations" in body) {
+        const variants = prepareVariants(current, sizing.variations, {
+          previous: current.variations || [],
+        });
+        if (!variants.ok) {
+          return res.status(400).json({ message: variants.message });
+        }
+        body.variations = variants.variations;
+      }
+      if ("variations" in body || "sizes" in body) body.sizes = sizing.sizes;
+    }
+
+    // the pre-update document, read atomically with the write, so stock
+    // sold meanwhile isn't counted as part of the edit
+    const previous = await Product.findByIdAndUpdate(
       req.params.id,
       { ...body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
+      { new: false, runValidators: true }
+    ).lean();
+    if (!previous) return res.status(404).json({ message: "Not found" });
+    const prod = await Product.findById(req.params.id);
     if (!prod) return res.status(404).json({ message: "Not found" });
 
+    // stock overwritten by the edit is recorded as adjustments
+    if ("variations" in body) {
+      const changes = stockChanges(
+        prod._id,
+        previous.variations,
+        body.variations
+      );
+      await recordMovements(
+        changes.map((m) => ({
+          ...m,
+          type: "adjustment",
+          reason: stockReason,
+          actor: req.user._id,
+          actorType: "admin",
+        }))
+      );
+      const lineOf = (m) => ({
+        product: String(m.product),
+        color: m.color,
+        size: m.size,
+      });
+      const lowered = changes.filter((m) => m.quantity < 0);
+      if (lowered.length) {
+        await enqueueSafe("inventory.low-stock-check", {
+          lines: lowered.map(lineOf),
+        });
+      }
+      // sizes restocked by the edit may have "notify me" subscribers
+      const raised = changes.filter((m) => m.quantity > 0);
+      if (raised.length) {
+        await notifyRestocked(raised.map(lineOf));
+      }
+    }
+
     // ---- NEW: if product is now hidden, remove references from RecentlyViewed, Cart, and Wishlist ----
     // This makes hidden products behave like deleted ones across user data.
     try {
@@ -177,15 +292,9 @@ exports.updateProduct = async (req, res) => {
           { $pull: { items: { productId: String(oid) } } }
         );
 
-        // Remove from Cart items (product field is ObjectId ref). Also try string-fallback.
+        // Remove from cart items and "saved for later" (user and guest carts)
         try {
-          await Cart.updateMany({}, { $pull: { items: { product: oid } } });
-          await Cart.updateMany(
-            {},
-            { $pull: { items: { product: String(oid) } } }
-          );
-          // optional: delete carts that become empty
-          // await Cart.deleteMany({ items: { $size: 0 } });
+          await removeProductFromCarts(oid);
         } catch (cartErr) {
           console.warn(
             "Failed to remove product from carts after hiding product:",
@@ -193,10 +302,12 @@ exports.updateProduct = async (req, res) => {
           );
         }
 
-        // Remove from all users' wishlist (ObjectId + string fallback)
+        // Remove from all wishlists
         try {
-          await User.updateMany({}, { $pull: { wishlist: oid } });
-          await User.updateMany({}, { $pull: { wishlist: String(oid) } });
+          await Wishlist.updateMany(
+            { "items.product": oid },
+            { $pull: { items: { product: oid } } }
+          );
         } catch (wishErr) {
           console.warn(
             "Failed to remove product from wishlists after hiding product:",
@@ -234,8 +345,15 @@ exports.updateProduct = async (req, res) => {
     }
     // ------------------------------------------------------------------------------
 
+    // price/stock/variation edits can invalidate lines in shoppers' carts
+    if (!prod.hidden) {
+      await enqueueSafe("cart.revalidate", { productIds: [String(prod._id)] });
+    }
+
     res.json(prod);
   } catch (err) {
+    const duplicate = duplicateVariantMessage(err);
+    if (duplicate) return res.status(409).json({ message: duplicate });
     res.status(400).json({ message: err.message });
   }
 };
@@ -246,6 +364,17 @@ exports.deleteProduct = async (req, res) => {
     const prod = await Product.findByIdAndDelete(req.params.id);
     if (!prod) return res.status(404).json({ message: "Not found" });
 
+    // the stock left goes with the product
+    await recordMovements(
+      stockChanges(prod._id, prod.variations, []).map((m) => ({
+        ...m,
+        type: "adjustment",
+        reason: "product deleted",
+        actor: req.user._id,
+        actorType: "admin",
+      }))
+    );
+
     // Remove references from RecentlyViewed for all users.
     // We try both ObjectId and string forms because RV may store productId as ObjectId or string.
     try {
@@ -261,15 +390,9 @@ exports.deleteProduct = async (req, res) => {
         { $pull: { items: { productId: String(oid) } } }
       );
 
-      // Remove from carts as well
+      // Remove from carts (items and "saved for later") as well
       try {
-        await Cart.updateMany({}, { $pull: { items: { product: oid } } });
-        await Cart.updateMany(
-          {},
-          { $pull: { items: { product: String(oid) } } }
-        );
-        // optionally: delete carts that became empty
-        // await Cart.deleteMany({ items: { $size: 0 } });
+        await removeProductFromCarts(oid);
       } catch (cartErr) {
         console.error(
           "Failed to remove product references from carts after delete:",
@@ -277,10 +400,12 @@ exports.deleteProduct = async (req, res) => {
         );
       }
 
-      // Remove from all users' wishlist
+      // Remove from all wishlists
       try {
-        await User.updateMany({}, { $pull: { wishlist: oid } });
-        await User.updateMany({}, { $pull: { wishlist: String(oid) } });
+        await Wishlist.updateMany(
+          { "items.product": oid },
+          { $pull: { items: { product: oid } } }
+        );
       } catch (wishErr) {
         console.error(
           "Failed to remove product references from wishlists after delete:",
@@ -288,6 +413,16 @@ exports.deleteProduct = async (req, res) => {
         );
       }
 
+      // "notify me" requests can't be served any more
+      try {
+        await StockSubscription.deleteMany({ product: oid });
+      } catch (subErr) {
+        console.error(
+          "Failed to remove back-in-stock subscriptions after delete:",
+          subErr && subErr.message
+        );
+      }
+
       // optionally: remove RecentlyViewed docs that became empty (comment/uncomment as desired)
       // await RecentlyViewed.deleteMany({ items: { $size: 0 } });
 
@@ -343,3 +478,181 @@ exports.deleteProduct = async (req, res) => {
     res.status(400).json({ message: err.message });
   }
 };
+
+// ─── Admin: Variant lookup by SKU ──────────────────────────────────────────────
+// GET /admin/variants/:sku — the product, color and size behind a SKU, with
+// its current price and stock
+exports.getVariantBySku = async (req, res) => {
+  try {
+    const sku = String(req.params.sku || "")
+      .trim()
+      .toUpperCase();
+    const prod = await Product.findOne({
+      "variations.variants.sku": sku,
+    }).lean();
+    if (!prod) return res.status(404).json({ message: "Not found" });
+
+    const variation = prod.variations.find((v) =>
+      (v.variants || []).some((x) => x.sku === sku)
+    );
+    const variant = variation.variants.find((x) => x.sku === sku);
+
+    res.json({
+      ...variant,
+      product: {
+        _id: prod._id,
+        name: prod.name,
+        category: prod.category,
+        hidden: prod.hidden,
+      },
+      color: variation.color,
+      unitPrice: unitPriceFor(prod, variation.color, variant.size),
+      stock: stockOf(variation, variant.size) || 0,
+      image: (variation.images && variation.images[0]) || "",
+    });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
+
+// ─── Public: back-in-stock subscription ───────────────────────────────────────
+/** upserts a subscription; true when it is new */
+async function subscribe({ product, color, size, user, guestEmail }) {
+  const filter = { product, color: color.toLowerCase(), size };
+  if (user) filter.user = user;
+  else filter.guestEmail = guestEmail;
+  try {
+    const result = await StockSubscription.updateOne(
+      filter,
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    return !!result.upsertedCount;
+  } catch (e) {
+    // a concurrent identical request created it
+    if (!(e && e.code === 11000)) throw e;
+    return false;
+  }
+}
+
+const notifyMeJoi = Joi.object({
+  color: Joi.string().trim().min(1).required(),
+  size: Joi.string().trim().min(1).required(),
+  // guests only; signed-in shoppers are notified on their account
+  email: Joi.string().trim().email().max(254),
+});
+
+/**
+ * POST /products/:id/notify-me  { color, size, email? }
+ * Subscribes the shopper to a sold-out variant; they are told once it is
+ * back (lib/backInStock). 201 when subscribed, 200 when already subscribed,
+ * 409 while the variant is in stock. Guests get 202: the email address is
+ * sent a link that subscribes it (GET /products/notify-me/confirm).
+ */
+exports.notifyMe = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+    const { error, value } = notifyMeJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        message: "Invalid payload",
+        details: error.details.map((d) => d.message),
+      });
+    }
+    if (!req.user && !value.email) {
+      return res
+        .status(400)
+        .json({ message: "Sign in or give an email address." });
+    }
+
+    const prod = await Product.findById(req.params.id).lean();
+    if (!prod || prod.hidden) {
+      return res.status(404).json({ message: "Not found" });
+    }
+    const variation = findVariation(prod, value.color);
+    const stock = stockOf(variation, value.size);
+    if (stock === null) {
+      return res
+        .status(404)
+        .json({ message: "This color and size is not sold." });
+    }
+    if (stock > 0) {
+      return res.status(409).json({ message: "This item is in stock." });
+    }
+
+    if (!req.user) {
+      await enqueueSafe("inventory.back-in-stock-confirm", {
+        product: String(prod._id),
+        color: variation.color,
+        size: value.size,
+        email: normalizeEmail(value.email),
+      });
+      return res.status(202).json({
+        subscribed: false,
+        message: "Check your email to confirm the request.",
+        color: variation.color,
+        size: value.size,
+      });
+    }
+
+    const created = await subscribe({
+      product: prod._id,
+      color: variation.color,
+      size: value.size,
+      user: req.user._id,
+    });
+    res.status(created ? 201 : 200).json({
+      subscribed: true,
+      color: variation.color,
+      size: value.size,
+    });
+  } catch (err) {
+    console.error("Notify me error:", err);
+    res.status(500).json({ message: "Could not save the request." });
+  }
+};
+
+/**
+ * GET /products/notify-me/confirm?token=
+ * A guest following the link from their confirmation email: subscribes the
+ * address and sends the browser to the product page.
+ */
+exports.confirmNotifyMe = async (req, res) => {
+  try {
+    const request = readGuestConfirmToken(req.query.token);
+    if (!request) {
+      return res.status(400).send("Invalid or expired confirmation link.");
+    }
+    const prod = await Product.findById(request.product).lean();
+    if (!prod || prod.hidden) {
+      return res.status(404).send("This product is no longer available.");
+    }
+    const variation = findVariation(prod, request.color);
+    const stock = stockOf(variation, request.size);
+    if (stock === null) {
+      return res.status(404).send("This color and size is no longer sold.");
+    }
+
+    // only while sold out; when it's back already the product page will do
+    if (!(stock > 0)) {
+      await subscribe({
+        product: prod._id,
+        color: variation.color,
+        size: request.size,
+        guestEmail: request.email,
+      });
+    }
+    return res.redirect(
+      `${process.env.FRONTEND_URL}/products/${prod._id}?notifyMe=${
+        stock > 0 ? "in-stock" : "confirmed"
+      }`
+    );
+  } catch (err) {
+    console.error("Confirm notify me error:", err);
+    res.status(500).send("Could not confirm the request.");
+  }
+};
@@ -0,0 +1,493 @@
+// backend/controllers/return.controller.js
+// Returns / RMA for delivered orders.
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const nc = require("./notification.controller");
+const { enqueueSafe } = require("../lib/jobs");
+const {
+  restockItems,
+  decrementStock,
+  notifyRestocked,
+} = require("../lib/stock");
+const { runInTransaction } = require("../lib/transactions");
+const { issueRefund } = require("../lib/refunds");
+const { orderRef } = require("../lib/orderNumbers");
+
+// allowed admin moves; rejection is possible from every open state
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received", "rejected"],
+  received: ["refunded", "rejected"],
+  refunded: [],
+  rejected: [],
+};
+
+const STATUS_TITLES = {
+  requested: "Return request received",
+  approved: "Return approved",
+  received: "Returned items received",
+  refunded: "Return refunded",
+  rejected: "Return rejected",
+};
+
+function returnWindowDays() {
+  const days = Number(process.env.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+/** photos must be ImageKit URLs (uploaded through /imagekit/auth) */
+function isImageKitUrl(value) {
+  const endpoint = process.env.IMAGEKIT_URL_ENDPOINT;
+  if (endpoint && String(value).startsWith(endpoint)) return true;
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === "https:" &&
+      (url.hostname === "ik.imagekit.io" ||
+        url.hostname.endsWith(".imagekit.io"))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+const createReturnJoi = Joi.object({
+  orderId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required(),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        index: Joi.number().integer().min(0).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .max(200)
+    .required(),
+  reason: Joi.string().trim().min(3).max(2000).required(),
+  photos: Joi.array()
+    .items(
+      Joi.string()
+        .uri()
+        .custom((value, helpers) =>
+          isImageKitUrl(value)
+            ? value
+            : helpers.message("photos must be ImageKit URLs")
+        )
+    )
+    .max(6)
+    .default([]),
+}).required();
+
+const updateReturnStatusJoi = Joi.object({
+  status: Joi.string()
+    .valid("approved", "received", "refunded", "rejected")
+    .required(),
+  note: Joi.string().trim().allow("").max(2000),
+}).required();
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+async function notifyReturnStatus(req, ret, note) {
+  try {
+    await nc.createAndEmitNotification({
+      req,
+      userId: ret.user._id || ret.user,
+      type: "return",
+      title: STATUS_TITLES[ret.status] || "Return updated",
+      body:
+        `Your return for order ${
+          ret.orderNumber || ret.order._id || ret.order
+        } is now "${ret.status}".` + (note ? ` ${note}` : ""),
+      data: {
+        returnId: String(ret._id),
+        orderId: String(ret.order._id || ret.order),
+        orderNumber: ret.orderNumber,
+        status: ret.status,
+      },
+    });
+  } catch (e) {
+    console.warn("notify user about return failed:", e && e.message);
+  }
+}
+
+class ReturnError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Quantity of each order line that can still be returned: not already in an
+ * open/finished return (other than `excluding`) and not refunded outside of
+ * a return.
+ */
+async function returnableQuantities(
+  order,
+  { session = null, excluding = null } = {}
+) {
+  const taken = {};
+  const add = (index, qty) => {
+    taken[index] = (taken[index] || 0) + (Number(qty) || 0);
+  };
+
+  const filter = { order: order._id, status: { $ne: "rejected" } };
+  if (excluding) filter._id = { $ne: excluding };
+  const returns = await ReturnRequest.find(filter)
+    .select("items")
+    .session(session)
+    .lean();
+  returns.forEach((r) => r.items.forEach((it) => add(it.index, it.quantity)));
+
+  (order.refunds || [])
+    .filter((r) => r.status !== "failed" && !r.returnRequest)
+    .forEach((r) => (r.lines || []).forEach((l) => add(l.index, l.quantity)));
+
+  return (order.items || []).map((it, index) =>
+    Math.max(0, (Number(it.quantity) || 0) - (taken[index] || 0))
+  );
+}
+
+// ─── POST /returns ────────────────────────────────────────────────────────────
+// Body: { orderId, items: [{ index, quantity }], reason, photos?: [url] }
+async function createReturn(req, res) {
+  try {
+    const { error, value } = createReturnJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const order = await Order.findOne({
+      _id: value.orderId,
+      user: req.user._id,
+    });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    if (order.status !== "delivered" || !order.payed) {
+      return res
+        .status(409)
+        .json({ message: "Only delivered, paid orders can be returned." });
+    }
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const windowEnds = new Date(
+      deliveredAt.getTime() + returnWindowDays() * 24 * 60 * 60 * 1000
+    );
+    if (windowEnds < new Date()) {
+      return res.status(409).json({
+        message: `The ${returnWindowDays()}-day return window for this order has closed.`,
+        windowEnds,
+      });
+    }
+
+    const seen = new Set();
+    for (const line of value.items) {
+      if (!order.items[line.index]) {
+        return res
+          .status(400)
+          .json({ message: `Invalid item index ${line.index}.` });
+      }
+      if (seen.has(line.index)) {
+        return res
+          .status(400)
+          .json({ message: `Item ${line.index} is listed twice.` });
+      }
+      seen.add(line.index);
+    }
+
+    const overReturned = (available) => {
+      const line = value.items.find((l) => l.quantity > available[l.index]);
+      return line
+        ? new ReturnError(
+            409,
+            `Only ${available[line.index]} of "${
+              order.items[line.index].name
+            }" can be returned.`
+          )
+        : null;
+    };
+
+    // The order is bumped first, so concurrent requests for it conflict and
+    // the transaction retries with the other return visible. Standalone
+    // servers have no isolation: the return is checked again once inserted
+    // and removed if a concurrent one got in first.
+    let ret;
+    try {
+      ret = await runInTransaction(async (session) => {
+        const current = await Order.findOneAndUpdate(
+          { _id: order._id },
+          { $inc: { returnsVersion: 1 } },
+          { new: true, session }
+        );
+        const tooMany = overReturned(
+          await returnableQuantities(current, { session })
+        );
+        if (tooMany) throw tooMany;
+
+        const [created] = await ReturnRequest.create(
+          [
+            {
+              order: order._id,
+              orderNumber: order.orderNumber,
+              user: req.user._id,
+              items: value.items.map((line) => {
+                const it = order.items[line.index];
+                return {
+                  index: line.index,
+                  product: it.product,
+                  name: it.name,
+                  color: it.color,
+                  size: it.size,
+                  quantity: line.quantity,
+                };
+              }),
+              reason: value.reason,
+              photos: value.photos,
+              status: "requested",
+              history: [{ status: "requested", by: req.user._id }],
+            },
+          ],
+          { session }
+        );
+
+        if (!session) {
+          const raced = overReturned(
+            await returnableQuantities(current, { excluding: created._id })
+          );
+          if (raced) {
+            await ReturnRequest.deleteOne({ _id: created._id });
+            throw raced;
+          }
+        }
+        return created;
+      });
+    } catch (err) {
+      if (err instanceof ReturnError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      throw err;
+    }
+
+    await notifyReturnStatus(req, ret);
+    await enqueueSafe("notify.admins", {
+      type: "return",
+      title: "New return request",
+      body: `${
+        req.user.username || "A customer"
+      } requested a return for order ${orderRef(order)}.`,
+      data: { returnId: String(ret._id), orderId: String(order._id) },
+    });
+
+    return res.status(201).json({ return: ret });
+  } catch (err) {
+    console.error("Create return error:", err);
+    return res.status(500).json({ message: "Could not create return." });
+  }
+}
+
+// ─── GET /returns/my ──────────────────────────────────────────────────────────
+async function getMyReturns(req, res) {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ returns });
+  } catch (err) {
+    console.error("Get returns error:", err);
+    return res.status(500).json({ message: "Server error fetching returns." });
+  }
+}
+
+// ─── Admin: GET /admin/returns?status=requested ───────────────────────────────
+async function listReturns(req, res) {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(parseInt(req.query.limit || "100", 10), 1000);
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("user", "username email")
+      .populate("order", "totalPrice status paymentStatus createdAt")
+      .lean();
+    return res.json({ returns });
+  } catch (err) {
+    console.error("Admin list returns error:", err);
+    return res.status(500).json({ message: "Server error fetching returns." });
+  }
+}
+
+// ─── Admin: GET /admin/returns/:id ────────────────────────────────────────────
+async function getReturn(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid return id" });
+    }
+    const ret = await ReturnRequest.findById(id)
+      .populate("user", "username email avatarUrl")
+      .populate("order")
+      .populate("history.by", "username")
+      .lean();
+    if (!ret) return res.status(404).json({ message: "Return not found" });
+    return res.json({ return: ret });
+  } catch (err) {
+    console.error("Admin get return error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+}
+
+/**
+ * Admin: PATCH /admin/returns/:id/status
+ * Body: { status: 'approved' | 'received' | 'refunded' | 'rejected', note? }
+ *
+ * - received: returned items go back into stock
+ * - refunded: the returned lines are refunded through lib/refunds
+ * - rejected after receipt: the restocked items are taken out again
+ *
+ * The status change is a conditional update on the current status so two
+ * admins can't apply the same transition (and its stock move) twice.
+ */
+async function updateReturnStatus(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid return id" });
+    }
+    const { error, value } = updateReturnStatusJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+    const { status, note } = value;
+
+    const current = await ReturnRequest.findById(id);
+    if (!current) return res.status(404).json({ message: "Return not found" });
+
+    const from = current.status;
+    if (!(RETURN_TRANSITIONS[from] || []).includes(status)) {
+      return res.status(409).json({
+        message: `Cannot move a return from "${from}" to "${status}".`,
+      });
+    }
+
+    // receiving restocks the items, rejecting after receipt takes them out
+    // again: the status change, the stock moves and the restocked flag commit
+    // together (lib/transactions), so a failed stock move leaves the return
+    // where it was
+    const restock = status === "received";
+    const unstock = status === "rejected" && current.restocked;
+    const update = {
+      $set: { status },
+      $push: {
+        history: { status, by: req.user._id, note: note || undefined },
+      },
+    };
+    if (restock) update.$set.restocked = true;
+    if (unstock) update.$set.restocked = false;
+    const movement = {
+      type: "return",
+      order: current.order,
+      returnRequest: current._id,
+      actor: req.user._id,
+      actorType: "admin",
+    };
+
+    let soldOut = [];
+    const ret = await runInTransaction(async (session) => {
+      const updated = await ReturnRequest.findOneAndUpdate(
+        { _id: id, status: from },
+        update,
+        { new: true, session }
+      );
+      if (!updated) return null;
+
+      if (restock) {
+        soldOut = await restockItems(updated.items, { session, movement });
+      }
+      if (unstock) {
+        for (const it of updated.items) {
+          const ok = await decrementStock(it, {
+            session,
+            movement: { ...movement, reason: "return rejected" },
+          });
+          if (!ok) {
+            console.warn(
+              `Return ${updated._id}: could not take back stock for product ${it.product}, size "${it.size}"`
+            );
+          }
+        }
+      }
+      // the session ends with the transaction; ret.save() below runs without
+      updated.$session(null);
+      return updated;
+    });
+    if (!ret) {
+      return res
+        .status(409)
+        .json({ message: "Return was updated meanwhile, please reload." });
+    }
+
+    if (restock) await notifyRestocked(soldOut);
+    if (unstock) {
+      await enqueueSafe("inventory.low-stock-check", {
+        lines: ret.items.map((it) => ({
+          product: String(it.product),
+          color: it.color,
+          size: it.size,
+        })),
+      });
+    }
+
+    if (status === "refunded") {
+      const order = await Order.findById(ret.order);
+      const result = order
+        ? await issueRefund(order, {
+            items: ret.items.map((it) => ({
+              index: it.index,
+              quantity: it.quantity,
+            })),
+            reason: `Return ${ret._id}: ${ret.reason}`,
+            restock: false, // already restocked when received
+            actorId: req.user._id,
+            app: req.app,
+            returnRequestId: ret._id,
+            notify: false,
+          })
+        : { ok: false, status: 404, message: "Order not found" };
+
+      if (!result.ok) {
+        // put the return back so the refund can be retried
+        await ReturnRequest.updateOne(
+          { _id: ret._id, status: "refunded" },
+          { $set: { status: from }, $pop: { history: 1 } }
+        );
+        return res.status(result.status).json({ message: result.message });
+      }
+      ret.refundId = result.refund._id;
+      await ret.save();
+    }
+
+    await notifyReturnStatus(req, ret, note);
+    return res.json({ return: ret });
+  } catch (err) {
+    console.error("Update return status error:", err);
+    return res.status(500).json({ message: "Could not update return." });
+  }
+}
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  listReturns,
+  getReturn,
+  updateReturnStatus,
+};
@@ -0,0 +1,65 @@
+// backend/controllers/settings.controller.js
+// Admin runtime settings (lib/settings).
+const Joi = require("joi");
+const { setSetting, describeSettings } = require("../lib/settings");
+
+const settingsJoi = Joi.object({
+  // null goes back to the environment variable (REQUIRE_ADMIN_2FA)
+  requireAdmin2fa: Joi.boolean().allow(null),
+}).min(1);
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+/**
+ * Admin: GET /admin/settings
+ * { <key>: { value, stored, fallback } } — value is what applies: the stored
+ * one, or the environment fallback when stored is null.
+ */
+async function getSettings(req, res) {
+  try {
+    return res.json({ settings: await describeSettings() });
+  } catch (err) {
+    console.error("Admin get settings error:", err);
+    return res.status(500).json({ message: "Could not fetch settings." });
+  }
+}
+
+/**
+ * Admin: PUT /admin/settings
+ * Body: { requireAdmin2fa?: boolean | null }
+ * Turning requireAdmin2fa on is refused (409) for an admin without
+ * two-factor auth, who would lock themselves out of these routes.
+ */
+async function updateSettings(req, res) {
+  try {
+    const { error, value } = settingsJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    if (
+      value.requireAdmin2fa === true &&
+      !(req.user.twoFactor && req.user.twoFactor.enabled)
+    ) {
+      return res.status(409).json({
+        message:
+          "Enable two-factor authentication on your account before requiring it for admins.",
+      });
+    }
+
+    for (const [key, v] of Object.entries(value)) {
+      await setSetting(key, v, { actor: req.user._id });
+    }
+    return res.json({ settings: await describeSettings() });
+  } catch (err) {
+    console.error("Admin update settings error:", err);
+    return res.status(500).json({ message: "Could not update settings." });
+  }
+}
+
+module.exports = { getSettings, updateSettings };
@@ -0,0 +1,99 @@
+// backend/controllers/shipment.controller.js
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const Order = require("../models/Order");
+const { getCarrier } = require("../lib/carriers");
+const { createShipment, applyTrackingEvent } = require("../lib/shipments");
+
+const createShipmentJoi = Joi.object({
+  carrier: Joi.string().trim().min(2).max(100).required(),
+  trackingNumber: Joi.string().trim().max(200).allow("", null),
+  trackingUrl: Joi.string().uri().allow("", null),
+  // omit to ship everything not shipped yet
+  items: Joi.array()
+    .items(
+      Joi.object({
+        index: Joi.number().integer().min(0).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .max(200),
+  estimatedDelivery: Joi.date().allow(null),
+}).required();
+
+/**
+ * Admin: POST /admin/orders/:id/shipments
+ * Body: { carrier, trackingNumber?, trackingUrl?, items?: [{ index, quantity }],
+ *         estimatedDelivery? }
+ * trackingNumber may be omitted for carriers that issue one (simulated).
+ */
+async function createOrderShipment(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const { error, value } = createShipmentJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        message: "Invalid payload",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const result = await createShipment(order, {
+      ...value,
+      actorId: req.user._id,
+      app: req.app,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    return res
+      .status(201)
+      .json({ shipment: result.shipment, order: result.order });
+  } catch (err) {
+    console.error("Create shipment error:", err);
+    return res.status(500).json({ message: "Could not create shipment." });
+  }
+}
+
+/**
+ * POST /shipments/webhook?carrier=simulated
+ * Tracking events pushed by a carrier; authenticated by the carrier's
+ * signature check (lib/carriers).
+ */
+async function handleTrackingWebhook(req, res) {
+  try {
+    const carrier = getCarrier(
+      req.query.carrier || (req.body && req.body.carrier)
+    );
+    if (!carrier) return res.status(404).json({ message: "Unknown carrier" });
+
+    let events;
+    try {
+      events = carrier.verifyWebhook(req.rawBody || "", req.headers);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const results = [];
+    for (const ev of events) {
+      results.push(
+        await applyTrackingEvent(carrier.name, ev, { app: req.app })
+      );
+    }
+    return res.json({ received: true, results });
+  } catch (err) {
+    console.error("tracking webhook error:", err && (err.stack || err));
+    return res.status(500).json({ message: "Webhook processing failed" });
+  }
+}
+
+module.exports = { createOrderShipment, handleTrackingWebhook };
@@ -0,0 +1,214 @@
+// backend/controllers/sizeSystem.controller.js
+// Admin-managed size systems (models/SizeSystem). A system can't lose sizes
+// that products still hold stock for, and categories can't be taken away
+// from products that rely on them.
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const SizeSystem = require("../models/SizeSystem");
+const Product = require("../models/Product");
+const { sizeKey } = require("../lib/sizes");
+const { escapeRegExp } = require("../lib/pricing");
+
+const sizeSystemFields = {
+  key: Joi.string()
+    .trim()
+    .lowercase()
+    .regex(/^[a-z0-9-]{2,40}$/),
+  name: Joi.string().trim().min(1).max(100),
+  sizes: Joi.array()
+    .items(Joi.string().trim().regex(SizeSystem.SIZE_PATTERN))
+    .min(1)
+    .max(100)
+    .unique(),
+  categories: Joi.array().items(Joi.string().trim().max(100)).max(50),
+};
+
+const createSizeSystemJoi = Joi.object({
+  ...sizeSystemFields,
+  key: sizeSystemFields.key.required(),
+  name: sizeSystemFields.name.required(),
+  sizes: sizeSystemFields.sizes.required(),
+});
+
+// the key is what products point at, so it stays
+const updateSizeSystemJoi = Joi.object({
+  name: sizeSystemFields.name,
+  sizes: sizeSystemFields.sizes,
+  categories: sizeSystemFields.categories,
+}).min(1);
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+const lc = (c) => String(c).trim().toLowerCase();
+
+/**
+ * Filter for products whose sizes come from `system`: by its key, or by one
+ * of `categories` when they have no sizeSystem of their own.
+ */
+function productsUsing(system, categories = system.categories) {
+  const clauses = (categories || []).map((c) => ({
+    sizeSystem: null,
+    category: { $regex: `^${escapeRegExp(c)}$`, $options: "i" },
+  }));
+  if (system.key) clauses.push({ sizeSystem: system.key });
+  return clauses.length ? { $or: clauses } : { _id: null };
+}
+
+/** 409 message when another system already claims one of the categories */
+async function categoryClash(categories, exceptId) {
+  if (!categories || !categories.length) return null;
+  const other = await SizeSystem.findOne({
+    _id: { $ne: exceptId },
+    categories: { $in: categories.map(lc) },
+  }).lean();
+  if (!other) return null;
+  const taken = categories.map(lc).filter((c) => other.categories.includes(c));
+  return `Category "${taken[0]}" already uses size system "${other.key}".`;
+}
+
+/**
+ * GET /products/size-systems (public) and GET /admin/size-systems
+ */
+exports.listSizeSystems = async (req, res) => {
+  try {
+    const sizeSystems = await SizeSystem.find({}).sort({ name: 1 }).lean();
+    return res.json({ sizeSystems });
+  } catch (err) {
+    console.error("List size systems error:", err);
+    return res.status(500).json({ message: "Could not fetch size systems." });
+  }
+};
+
+/**
+ * Admin: POST /admin/size-systems
+ * Body: { key, name, sizes: [..], categories?: [..] }
+ */
+exports.createSizeSystem = async (req, res) => {
+  try {
+    const { error, value } = createSizeSystemJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const clash = await categoryClash(value.categories);
+    if (clash) return res.status(409).json({ message: clash });
+
+    const sizeSystem = await SizeSystem.create(value);
+    return res.status(201).json({ sizeSystem });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "Size system key already exists." });
+    }
+    console.error("Admin create size system error:", err);
+    return res.status(500).json({ message: "Could not create size system." });
+  }
+};
+
+/**
+ * Admin: PUT /admin/size-systems/:id
+ * Body: { name?, sizes?, categories? }
+ * Removing a size still stocked by a product, or a category products rely
+ * on, is refused with 409.
+ */
+exports.updateSizeSystem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid size system id" });
+    }
+    const { error, value } = updateSizeSystemJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const system = await SizeSystem.findById(id);
+    if (!system) {
+      return res.status(404).json({ message: "Size system not found" });
+    }
+
+    if (value.sizes) {
+      const removed = system.sizes.filter((s) => !value.sizes.includes(s));
+      if (removed.length) {
+        const inStock = await Product.countDocuments({
+          $and: [
+            productsUsing(system),
+            {
+              $or: removed.map((s) => ({
+                [`variations.stockBySize.${sizeKey(s)}`]: { $exists: true },
+              })),
+            },
+          ],
+        });
+        if (inStock) {
+          return res.status(409).json({
+            message: `${inStock} product(s) still hold stock for ${removed.join(
+              ", "
+            )}.`,
+          });
+        }
+      }
+    }
+
+    if (value.categories) {
+      const next = value.categories.map(lc);
+      const dropped = system.categories.filter((c) => !next.includes(c));
+      if (dropped.length) {
+        const relying = await Product.countDocuments(
+          productsUsing({ key: null }, dropped)
+        );
+        if (relying) {
+          return res.status(409).json({
+            message: `${relying} product(s) in ${dropped.join(
+              ", "
+            )} rely on this size system.`,
+          });
+        }
+      }
+      const clash = await categoryClash(next, system._id);
+      if (clash) return res.status(409).json({ message: clash });
+    }
+
+    system.set(value);
+    await system.save();
+    return res.json({ sizeSystem: system });
+  } catch (err) {
+    console.error("Admin update size system error:", err);
+    return res.status(500).json({ message: "Could not update size system." });
+  }
+};
+
+/**
+ * Admin: DELETE /admin/size-systems/:id — only while no product uses it
+ */
+exports.deleteSizeSystem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid size system id" });
+    }
+    const system = await SizeSystem.findById(id);
+    if (!system) {
+      return res.status(404).json({ message: "Size system not found" });
+    }
+
+    const used = await Product.countDocuments(productsUsing(system));
+    if (used) {
+      return res
+        .status(409)
+        .json({ message: `${used} product(s) use this size system.` });
+    }
+
+    await system.deleteOne();
+    return res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("Admin delete size system error:", err);
+    return res.status(500).json({ message: "Could not delete size system." });
+  }
+};
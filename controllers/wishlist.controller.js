@@ -1,10 +1,75 @@
-const User = require("../models/User");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const Wishlist = require("../models/Wishlist");
 const Product = require("../models/Product");
 
+const MAX_LISTS = 20;
+const MAX_ITEMS = 500;
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const createListJoi = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  visibility: Joi.string().valid("private", "public").default("private"),
+}).required();
+
+const updateListJoi = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  visibility: Joi.string().valid("private", "public"),
+  // new share link; the old one stops working
+  rotateSlug: Joi.boolean(),
+}).required();
+
+const addItemJoi = Joi.object({
+  productId: objectId.required(),
+  color: Joi.string().trim().max(100).allow(null, ""),
+  size: Joi.string().trim().max(50).allow(null, ""),
+  note: Joi.string().trim().allow("").max(500),
+}).required();
+
+const updateItemJoi = Joi.object({
+  color: Joi.string().trim().max(100).allow(null, ""),
+  size: Joi.string().trim().max(50).allow(null, ""),
+  note: Joi.string().trim().allow("").max(500),
+}).required();
+
+const PRODUCT_FIELDS = "name price salePrice variations hidden category";
+
+function invalid(res, error) {
+  return res.status(400).json({
+    message: "Invalid payload",
+    details: error.details.map((d) => d.message),
+  });
+}
+
+/** one of the current user's lists by :id, or null after answering */
+async function findOwnList(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid wishlist id" });
+    return null;
+  }
+  const list = await Wishlist.findOne({ _id: id, user: req.user._id });
+  if (!list) res.status(404).json({ message: "Wishlist not found" });
+  return list;
+}
+
+const sameItem = (item, { productId, color, size }) =>
+  String(item.product) === String(productId) &&
+  (item.color || null) === (color || null) &&
+  (item.size || null) === (size || null);
+
+// ─── Legacy /api/wishlist: the default list as a flat product list ───────────
+
 exports.getWishlist = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate("wishlist").lean();
-    return res.json(user.wishlist);
+    const list = await Wishlist.defaultFor(req.user._id);
+    await list.populate("items.product");
+    const seen = new Set();
+    const products = list.items
+      .map((it) => it.product)
+      .filter((p) => p && !seen.has(String(p._id)) && seen.add(String(p._id)));
+    return res.json(products);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Could not fetch wishlist." });
@@ -14,11 +79,14 @@ exports.getWishlist = async (req, res) => {
 exports.addToWishlist = async (req, res) => {
   try {
     const { productId } = req.params;
-    const user = await User.findById(req.user._id);
-    if (!user.wishlist.includes(productId)) {
-      user.wishlist.push(productId);
-      await user.save();
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product id" });
     }
+    const list = await Wishlist.defaultFor(req.user._id);
+    await Wishlist.updateOne(
+      { _id: list._id, "items.product": { $ne: productId } },
+      { $push: { items: { product: productId } } }
+    );
     return res.json({ success: true });
   } catch (err) {
     console.error(err);
@@ -29,12 +97,240 @@ exports.addToWishlist = async (req, res) => {
 exports.removeFromWishlist = async (req, res) => {
   try {
     const { productId } = req.params;
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { wishlist: productId },
-    });
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+    await Wishlist.updateOne(
+      { user: req.user._id, isDefault: true },
+      { $pull: { items: { product: productId } } }
+    );
     return res.json({ success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Could not remove from wishlist." });
   }
 };
+
+// ─── /api/wishlists ───────────────────────────────────────────────────────────
+
+// GET /api/wishlists — the user's lists (the default one is always there)
+exports.listWishlists = async (req, res) => {
+  try {
+    await Wishlist.defaultFor(req.user._id);
+    const wishlists = await Wishlist.find({ user: req.user._id })
+      .sort({ isDefault: -1, createdAt: 1 })
+      .populate("items.product", PRODUCT_FIELDS)
+      .lean();
+    return res.json({ wishlists });
+  } catch (err) {
+    console.error("List wishlists error:", err);
+    return res.status(500).json({ message: "Could not fetch wishlists." });
+  }
+};
+
+// POST /api/wishlists  Body: { name, visibility? }
+exports.createWishlist = async (req, res) => {
+  try {
+    const { error, value } = createListJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const count = await Wishlist.countDocuments({ user: req.user._id });
+    if (count >= MAX_LISTS) {
+      return res
+        .status(409)
+        .json({ message: `You can have at most ${MAX_LISTS} wishlists.` });
+    }
+
+    const wishlist = await Wishlist.create({
+      user: req.user._id,
+      name: value.name,
+      visibility: value.visibility,
+      isDefault: count === 0,
+    });
+    return res.status(201).json({ wishlist });
+  } catch (err) {
+    console.error("Create wishlist error:", err);
+    return res.status(500).json({ message: "Could not create wishlist." });
+  }
+};
+
+// GET /api/wishlists/:id
+exports.getWishlistById = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    await list.populate("items.product", PRODUCT_FIELDS);
+    return res.json({ wishlist: list });
+  } catch (err) {
+    console.error("Get wishlist error:", err);
+    return res.status(500).json({ message: "Could not fetch wishlist." });
+  }
+};
+
+// PATCH /api/wishlists/:id  Body: { name?, visibility?, rotateSlug? }
+exports.updateWishlist = async (req, res) => {
+  try {
+    const { error, value } = updateListJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    if (value.name !== undefined) list.name = value.name;
+    if (value.visibility !== undefined) list.visibility = value.visibility;
+    if (value.rotateSlug) list.slug = Wishlist.newSlug();
+    await list.save();
+    return res.json({ wishlist: list });
+  } catch (err) {
+    console.error("Update wishlist error:", err);
+    return res.status(500).json({ message: "Could not update wishlist." });
+  }
+};
+
+// DELETE /api/wishlists/:id — the default list can be emptied, not deleted
+exports.deleteWishlist = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    if (list.isDefault) {
+      return res
+        .status(409)
+        .json({ message: "The default wishlist can't be deleted." });
+    }
+    await Wishlist.deleteOne({ _id: list._id });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Delete wishlist error:", err);
+    return res.status(500).json({ message: "Could not delete wishlist." });
+  }
+};
+
+// POST /api/wishlists/:id/items  Body: { productId, color?, size?, note? }
+// The same product/color/size only appears once; adding it again updates
+// the note.
+exports.addWishlistItem = async (req, res) => {
+  try {
+    const { error, value } = addItemJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const product = await Product.findById(value.productId)
+      .select("hidden")
+      .lean();
+    if (!product || product.hidden) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const existing = list.items.find((it) => sameItem(it, value));
+    if (existing) {
+      if (value.note !== undefined) existing.note = value.note;
+    } else {
+      if (list.items.length >= MAX_ITEMS) {
+        return res
+          .status(409)
+          .json({ message: `A wishlist holds at most ${MAX_ITEMS} items.` });
+      }
+      list.items.push({
+        product: value.productId,
+        color: value.color || null,
+        size: value.size || null,
+        note: value.note || "",
+      });
+    }
+    await list.save();
+    await list.populate("items.product", PRODUCT_FIELDS);
+    return res.status(existing ? 200 : 201).json({ wishlist: list });
+  } catch (err) {
+    console.error("Add wishlist item error:", err);
+    return res.status(500).json({ message: "Could not add to wishlist." });
+  }
+};
+
+// PATCH /api/wishlists/:id/items/:itemId  Body: { color?, size?, note? }
+exports.updateWishlistItem = async (req, res) => {
+  try {
+    const { error, value } = updateItemJoi.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) return invalid(res, error);
+
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    const item = mongoose.Types.ObjectId.isValid(req.params.itemId)
+      ? list.items.id(req.params.itemId)
+      : null;
+    if (!item) return res.status(404).json({ message: "Item not found" });
+
+    if (value.color !== undefined) item.color = value.color || null;
+    if (value.size !== undefined) item.size = value.size || null;
+    if (value.note !== undefined) item.note = value.note;
+    await list.save();
+    await list.populate("items.product", PRODUCT_FIELDS);
+    return res.json({ wishlist: list });
+  } catch (err) {
+    console.error("Update wishlist item error:", err);
+    return res.status(500).json({ message: "Could not update wishlist item." });
+  }
+};
+
+// DELETE /api/wishlists/:id/items/:itemId
+exports.removeWishlistItem = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    const item = mongoose.Types.ObjectId.isValid(req.params.itemId)
+      ? list.items.id(req.params.itemId)
+      : null;
+    if (!item) return res.status(404).json({ message: "Item not found" });
+
+    item.deleteOne();
+    await list.save();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Remove wishlist item error:", err);
+    return res.status(500).json({ message: "Could not remove from wishlist." });
+  }
+};
+
+// GET /api/wishlists/shared/:slug — public lists, no login needed. Hidden or
+// deleted products are left out; the owner is only shown by username.
+exports.getSharedWishlist = async (req, res) => {
+  try {
+    const list = await Wishlist.findOne({
+      slug: String(req.params.slug || ""),
+      visibility: "public",
+    })
+      .populate("user", "username")
+      .populate("items.product", PRODUCT_FIELDS)
+      .lean();
+    if (!list) return res.status(404).json({ message: "Wishlist not found" });
+
+    return res.json({
+      wishlist: {
+        name: list.name,
+        owner: list.user ? list.user.username : null,
+        updatedAt: list.updatedAt,
+        items: list.items
+          .filter((it) => it.product && !it.product.hidden)
+          .map((it) => ({
+            _id: it._id,
+            product: it.product,
+            color: it.color,
+            size: it.size,
+            note: it.note,
+            addedAt: it.addedAt,
+          })),
+      },
+    });
+  } catch (err) {
+    console.error("Get shared wishlist error:", err);
+    return res.status(500).json({ message: "Could not fetch wishlist." });
+  }
+};
@@ -0,0 +1,357 @@
+// backend/jobs/index.js
+// Registers the built-in background jobs and recurring schedules.
+// server.js calls start(app) once MongoDB is connected.
+const {
+  defineJob,
+  enqueueSafe,
+  scheduleRecurring,
+  startWorker,
+} = require("../lib/jobs");
+const email = require("../utils/email");
+const { sendPushToUser } = require("../lib/push");
+const nc = require("../controllers/notification.controller");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { cleanupRecentlyViewed } = require("./rvCleanup");
+const { expireReservations } = require("../lib/reservations");
+const { getProvider } = require("../lib/payments");
+const { getCarrier } = require("../lib/carriers");
+const { ensureInvoice } = require("../lib/invoices");
+const { renderInvoicePdf } = require("../lib/documents");
+const { orderRef } = require("../lib/orderNumbers");
+const { flagInvalidCarts } = require("../lib/cart");
+const { guestOrderUrl } = require("../lib/guestOrders");
+const { checkLowStock, lowStockVariants } = require("../lib/lowStock");
+const {
+  notifyBackInStock,
+  sweepBackInStock,
+  guestConfirmUrl,
+} = require("../lib/backInStock");
+
+// ─── email.send ───────────────────────────────────────────────────────────────
+// payload: { template: "<exported function name in utils/email>", args: [...] }
+defineJob(
+  "email.send",
+  async ({ template, args = [] }) => {
+    const fn = email[template];
+    if (typeof fn !== "function") {
+      throw new Error(`Unknown email template "${template}"`);
+    }
+    await fn(...args);
+    return { template };
+  },
+  { maxAttempts: 6, backoffMs: 60 * 1000 }
+);
+
+// ─── email.account ────────────────────────────────────────────────────────────
+// payload: { userId, kind: "verify" | "reset" | "magic-link" }. The link's
+// token is read from the user here, so it never sits in a job payload (admins
+// can browse those through GET /admin/jobs). Skipped when the token was used,
+// replaced by a newer one, or expired meanwhile.
+const ACCOUNT_EMAILS = {
+  verify: {
+    template: "sendVerificationEmail",
+    token: "verificationToken",
+    expiry: "verificationTokenExpiry",
+  },
+  reset: {
+    template: "sendResetPasswordEmail",
+    token: "resetPasswordToken",
+    expiry: "resetPasswordExpiry",
+  },
+  "magic-link": {
+    template: "sendMagicLinkEmail",
+    token: "magicLinkToken",
+    expiry: "magicLinkExpiry",
+  },
+};
+
+defineJob(
+  "email.account",
+  async ({ userId, kind }) => {
+    const spec = ACCOUNT_EMAILS[kind];
+    if (!spec) throw new Error(`Unknown account email "${kind}"`);
+    const user = await User.findById(userId)
+      .select(`email ${spec.token} ${spec.expiry}`)
+      .lean();
+    const token = user && user[spec.token];
+    const expiry = user && user[spec.expiry];
+    if (!token || (expiry && new Date(expiry) <= new Date())) {
+      return { skipped: "token used or expired" };
+    }
+    await email[spec.template](user.email, token);
+    return { kind };
+  },
+  { maxAttempts: 6, backoffMs: 60 * 1000 }
+);
+
+// ─── push.send ────────────────────────────────────────────────────────────────
+// payload: { userId, payload: { title, body, data, icon, badge } }
+defineJob(
+  "push.send",
+  async ({ userId, payload }) => {
+    const results = (await sendPushToUser(String(userId), payload)) || [];
+    return { sent: results.filter((r) => r.ok).length, total: results.length };
+  },
+  { maxAttempts: 3, backoffMs: 30 * 1000 }
+);
+
+// ─── notify.admins ────────────────────────────────────────────────────────────
+// payload: { type, title, body, data } — fan-out to every admin user
+defineJob(
+  "notify.admins",
+  async ({ type, title, body, data }, { app }) => {
+    const admins = await User.find({ role: "admin" }).select("_id").lean();
+    let failed = 0;
+    for (const a of admins) {
+      try {
+        await nc.createAndEmitNotification({
+          req: app ? { app } : null,
+          userId: a._id,
+          type,
+          title,
+          body,
+          data,
+        });
+      } catch (e) {
+        failed++;
+        console.warn(
+          `Failed to notify admin ${a._id}:`,
+          e && e.message ? e.message : e
+        );
+      }
+    }
+    return { admins: admins.length, failed };
+  },
+  { maxAttempts: 3 }
+);
+
+// ─── recently-viewed.cleanup (recurring) ──────────────────────────────────────
+defineJob("recently-viewed.cleanup", () => cleanupRecentlyViewed(), {
+  maxAttempts: 2,
+});
+scheduleRecurring(
+  "recently-viewed.cleanup",
+  process.env.RV_CLEANUP_CRON || "30 3 * * *"
+);
+
+// ─── reservations.expire (recurring) ──────────────────────────────────────────
+// cancels unpaid orders whose stock hold ran out and releases the stock
+defineJob("reservations.expire", (payload, { app }) =>
+  expireReservations({ app })
+);
+scheduleRecurring(
+  "reservations.expire",
+  process.env.RESERVATION_SWEEP_CRON || "* * * * *",
+  {},
+  { maxAttempts: 1 }
+);
+
+// ─── order.paid-email ─────────────────────────────────────────────────────────
+// payload: { orderId } — payment confirmation with the invoice attached.
+// The PDF is rendered here rather than passed in the payload.
+defineJob(
+  "order.paid-email",
+  async ({ orderId }) => {
+    const order = await ensureInvoice(orderId);
+    if (!order) return { skipped: "order missing or unpaid" };
+
+    const user = await User.findById(order.user).select("username email");
+    const to =
+      (order.contactSnapshot && order.contactSnapshot.email) ||
+      (user && user.email);
+    const pdf = await renderInvoicePdf(order);
+    await email.sendOrderPaidEmail({
+      to,
+      name:
+        (order.contactSnapshot && order.contactSnapshot.username) ||
+        (user && user.username),
+      orderNumber: orderRef(order),
+      total: order.totalPrice,
+      invoice: {
+        number: order.invoice.number,
+        filename: `${order.invoice.number}.pdf`,
+        content: pdf,
+      },
+      orderUrl: order.guest && !order.user ? guestOrderUrl(order) : undefined,
+    });
+    return { invoice: order.invoice.number };
+  },
+  { maxAttempts: 6, backoffMs: 60 * 1000 }
+);
+
+// ─── order.guest-email ────────────────────────────────────────────────────────
+// payload: { orderId } — order confirmation for guests. The signed order link
+// is built here so it doesn't sit in the payload.
+defineJob(
+  "order.guest-email",
+  async ({ orderId }) => {
+    const order = await Order.findById(orderId).lean();
+    if (!order || !order.guest || order.user) {
+      return { skipped: "order missing or claimed" };
+    }
+    await email.sendGuestOrderEmail({
+      to: order.contactSnapshot.email,
+      name: order.contactSnapshot.username,
+      orderNumber: order.orderNumber,
+      total: order.totalPrice,
+      url: guestOrderUrl(order),
+    });
+    return { orderNumber: order.orderNumber };
+  },
+  { maxAttempts: 6, backoffMs: 60 * 1000 }
+);
+
+// ─── cart.revalidate ──────────────────────────────────────────────────────────
+// payload: { productIds } — after a product edit or a sale took its stock,
+// tell shoppers whose cart lines became invalid ("cart:invalid" socket event)
+defineJob(
+  "cart.revalidate",
+  ({ productIds = [] }, { app }) => flagInvalidCarts(productIds, { app }),
+  { maxAttempts: 3 }
+);
+
+// ─── inventory.low-stock-check ────────────────────────────────────────────────
+// payload: { lines: [{ product, color, size }] } — after stock went down,
+// alert admins about variants at or below their threshold
+defineJob(
+  "inventory.low-stock-check",
+  async ({ lines = [] }) => {
+    await checkLowStock(lines);
+    return { lines: lines.length };
+  },
+  { maxAttempts: 2 }
+);
+
+// ─── inventory.low-stock-digest (recurring) ───────────────────────────────────
+// daily email to every admin listing the variants that are low on stock
+defineJob(
+  "inventory.low-stock-digest",
+  async () => {
+    const days = 14;
+    const items = await lowStockVariants({ days });
+    if (!items.length) return { items: 0 };
+    const admins = await User.find({ role: "admin" })
+      .select("username email")
+      .lean();
+    // one email job per admin, so a failed send is retried for that admin only
+    for (const a of admins) {
+      await enqueueSafe("email.send", {
+        template: "sendLowStockDigest",
+        args: [{ to: a.email, name: a.username, items, days }],
+      });
+    }
+    return { items: items.length, admins: admins.length };
+  },
+  { maxAttempts: 3, backoffMs: 10 * 60 * 1000 }
+);
+scheduleRecurring(
+  "inventory.low-stock-digest",
+  process.env.LOW_STOCK_DIGEST_CRON || "0 7 * * *"
+);
+
+// ─── inventory.back-in-stock ──────────────────────────────────────────────────
+// payload: { lines: [{ product, color, size }] } — restocked variants; tells
+// and unsubscribes their "notify me" subscribers
+defineJob(
+  "inventory.back-in-stock",
+  async ({ lines = [] }, { app }) => ({
+    notified: await notifyBackInStock(lines, { app }),
+  }),
+  { maxAttempts: 3 }
+);
+// catches restocks whose job was never enqueued
+defineJob("inventory.back-in-stock-sweep", async (payload, { app }) => ({
+  notified: await sweepBackInStock({ app }),
+}));
+scheduleRecurring(
+  "inventory.back-in-stock-sweep",
+  process.env.BACK_IN_STOCK_SWEEP_CRON || "*/15 * * * *",
+  {},
+  { maxAttempts: 1 }
+);
+
+// ─── inventory.back-in-stock-confirm ──────────────────────────────────────────
+// payload: { product, color, size, email } — a guest's "notify me" request;
+// emails the signed link that subscribes them (built here, not stored)
+defineJob(
+  "inventory.back-in-stock-confirm",
+  async ({ product, color, size, email: to }) => {
+    const found = await Product.findById(product).select("name").lean();
+    if (!found) return { skipped: "product missing" };
+    await email.sendBackInStockConfirmEmail({
+      to,
+      productName: found.name,
+      color,
+      size,
+      url: guestConfirmUrl({ product, color, size, email: to }),
+    });
+    return { product };
+  },
+  { maxAttempts: 6, backoffMs: 60 * 1000 }
+);
+
+// ─── local webhook deliveries ─────────────────────────────────────────────────
+// The mock payment provider and the simulated carrier call back into this
+// server over HTTP like real services would. Events are signed per attempt
+// so retried deliveries don't carry a stale timestamp.
+async function deliverWebhook(path, { rawBody, headers }) {
+  const base =
+    process.env.WEBHOOK_BASE_URL ||
+    process.env.BACKEND_URL ||
+    `http://127.0.0.1:${process.env.PORT || 4000}`;
+  const res = await fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: rawBody,
+  });
+  if (!res.ok) {
+    throw new Error(`Webhook delivery got HTTP ${res.status}`);
+  }
+  return res.status;
+}
+
+// payload: { provider, event } -> POST /payments/webhook/:provider
+defineJob(
+  "payments.webhook.deliver",
+  async ({ provider: providerName, event }) => {
+    const provider = getProvider(providerName);
+    if (!provider || typeof provider.signEvent !== "function") {
+      throw new Error(`Provider "${providerName}" can't deliver webhooks`);
+    }
+    const status = await deliverWebhook(
+      `/payments/webhook/${providerName}`,
+      provider.signEvent(event)
+    );
+    return { eventId: event.id, status };
+  },
+  { maxAttempts: 8, backoffMs: 15 * 1000 }
+);
+
+// payload: { carrier, event } -> POST /shipments/webhook?carrier=
+defineJob(
+  "shipments.webhook.deliver",
+  async ({ carrier: carrierName, event }) => {
+    const carrier = getCarrier(carrierName);
+    if (!carrier || typeof carrier.signEvent !== "function") {
+      throw new Error(`Carrier "${carrierName}" can't deliver webhooks`);
+    }
+    const status = await deliverWebhook(
+      `/shipments/webhook?carrier=${encodeURIComponent(carrierName)}`,
+      carrier.signEvent(event)
+    );
+    return { eventId: event.eventId, status };
+  },
+  { maxAttempts: 8, backoffMs: 15 * 1000 }
+);
+
+function start(app) {
+  if (String(process.env.JOBS_WORKER_DISABLED || "").toLowerCase() === "true") {
+    console.log("jobs: worker disabled by JOBS_WORKER_DISABLED");
+    return;
+  }
+  startWorker(app);
+}
+
+module.exports = { start };
@@ -0,0 +1,45 @@
+// backend/jobs/rvCleanup.js
+// Removes RecentlyViewed entries that point at products which no longer exist.
+const RecentlyViewed = require("../models/RecentlyViewed");
+const Product = require("../models/Product");
+
+async function cleanupRecentlyViewed() {
+  const allDocs = await RecentlyViewed.find({}).lean();
+  console.log(`RV cleanup: scanning ${allDocs.length} RecentlyViewed docs...`);
+
+  let totalRemoved = 0;
+  for (const doc of allDocs) {
+    if (!Array.isArray(doc.items) || doc.items.length === 0) continue;
+
+    const ids = Array.from(
+      new Set(doc.items.map((it) => String(it.productId)))
+    );
+    // find which ids actually exist
+    const existing = await Product.find({ _id: { $in: ids } })
+      .select("_id")
+      .lean();
+    const existingSet = new Set(existing.map((p) => String(p._id)));
+
+    const cleaned = doc.items.filter((it) =>
+      existingSet.has(String(it.productId))
+    );
+
+    if (cleaned.length !== doc.items.length) {
+      totalRemoved += doc.items.length - cleaned.length;
+      await RecentlyViewed.updateOne(
+        { _id: doc._id },
+        { $set: { items: cleaned } }
+      );
+      console.log(
+        `Cleaned doc ${doc._id}: removed ${
+          doc.items.length - cleaned.length
+        } stale items`
+      );
+    }
+  }
+
+  console.log(`RV cleanup done. total removed items: ${totalRemoved}`);
+  return { scanned: allDocs.length, removed: totalRemoved };
+}
+
+module.exports = { cleanupRecentlyViewed };
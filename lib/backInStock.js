@@ -0,0 +1,187 @@
+// backend/lib/backInStock.js
+// Back-in-stock subscriptions (models/StockSubscription). When a sold-out
+// variant gets stock again (callers run lib/stock.notifyRestocked once the
+// restock is committed, which enqueues "inventory.back-in-stock") every
+// subscriber gets an in-app notification with web push (signed-in shoppers)
+// and an email, and the subscription is removed. A recurring sweep catches
+// variants whose restock was missed, e.g. when enqueueing failed.
+//
+// Guests are only subscribed once they follow a confirmation link sent to
+// their address, so nobody can be signed up for someone else's mail. The link
+// carries a signed, expiring token (BACK_IN_STOCK_SECRET falling back to
+// JWT_SECRET) with the request itself; nothing is stored until it is used.
+const crypto = require("crypto");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const StockSubscription = require("../models/StockSubscription");
+const nc = require("../controllers/notification.controller");
+const { findVariation } = require("./pricing");
+const { stockOf } = require("./sizes");
+const { enqueueSafe } = require("./jobs");
+
+const lc = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase();
+
+const productUrl = (product) =>
+  `${process.env.FRONTEND_URL}/products/${product._id}`;
+
+// how long a guest's confirmation link stays valid
+const CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;
+
+function secret() {
+  const s = process.env.BACK_IN_STOCK_SECRET || process.env.JWT_SECRET;
+  if (!s) throw new Error("BACK_IN_STOCK_SECRET or JWT_SECRET must be set");
+  return s;
+}
+
+const sign = (data) =>
+  crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+
+/** guestConfirmToken({ product, color, size, email }) -> "<data>.<hmac>" */
+function guestConfirmToken({ product, color, size, email }) {
+  const data = Buffer.from(
+    JSON.stringify({
+      p: String(product),
+      c: color,
+      s: size,
+      e: lc(email),
+      x: Date.now() + CONFIRM_TTL_MS,
+    })
+  ).toString("base64url");
+  return `${data}.${sign(data)}`;
+}
+
+/** the signed request { product, color, size, email }, or null */
+function readGuestConfirmToken(token) {
+  const [data, mac] = String(token || "").split(".");
+  if (!data || !mac) return null;
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(mac);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+  try {
+    const { p, c, s, e, x } = JSON.parse(
+      Buffer.from(data, "base64url").toString("utf8")
+    );
+    if (!(x > Date.now())) return null;
+    return { product: p, color: c, size: s, email: e };
+  } catch (err) {
+    return null;
+  }
+}
+
+/** link confirming a guest's request (GET /products/notify-me/confirm) */
+function guestConfirmUrl(request) {
+  const token = guestConfirmToken(request);
+  return `${process.env.BACKEND_URL}/products/notify-me/confirm?token=${token}`;
+}
+
+/** tells one subscriber; failures are logged, the subscription is gone */
+async function notifySubscriber(sub, { product, variation, size, app }) {
+  const url = productUrl(product);
+  let to = sub.guestEmail;
+  let name = null;
+
+  if (sub.user) {
+    const user = await User.findById(sub.user).select("username email").lean();
+    if (!user) return;
+    to = user.email;
+    name = user.username;
+    try {
+      await nc.createAndEmitNotification({
+        req: app ? { app } : null,
+        userId: user._id,
+        type: "stock",
+        // titles are part of the notification debounce, keep them distinct
+        title: `${product.name} is back in stock`,
+        body: `${variation.color} / ${size} is available again.`,
+        data: {
+          productId: String(product._id),
+          color: variation.color,
+          size,
+          url: `/products/${product._id}`,
+        },
+      });
+    } catch (e) {
+      console.warn(
+        `Back-in-stock notification for user ${sub.user} failed:`,
+        e && e.message
+      );
+    }
+  }
+
+  await enqueueSafe("email.send", {
+    template: "sendBackInStockEmail",
+    args: [
+      {
+        to,
+        name,
+        productName: product.name,
+        color: variation.color,
+        size,
+        url,
+      },
+    ],
+  });
+}
+
+/**
+ * notifyBackInStock(lines, { app }) — lines: [{ product, color, size }].
+ * For each variant that is in stock now, notifies and removes its
+ * subscribers one at a time (each removal claims the subscriber, so
+ * concurrent runs don't notify twice). Returns the number notified.
+ */
+async function notifyBackInStock(lines = [], { app = null } = {}) {
+  let notified = 0;
+  const seen = new Set();
+  for (const line of lines) {
+    const productId = String(
+      (line.product && line.product._id) || line.product
+    );
+    const size = String(line.size || "").trim();
+    const key = JSON.stringify([productId, lc(line.color), size]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const product = await Product.findById(productId).lean();
+    if (!product || product.hidden) continue;
+    const variation = findVariation(product, line.color);
+    if (!(stockOf(variation, size) > 0)) continue;
+
+    const filter = { product: product._id, color: lc(variation.color), size };
+    let sub;
+    while ((sub = await StockSubscription.findOneAndDelete(filter).lean())) {
+      await notifySubscriber(sub, { product, variation, size, app });
+      notified++;
+    }
+  }
+  return notified;
+}
+
+/** every subscribed variant, for the recurring sweep */
+async function sweepBackInStock({ app = null } = {}) {
+  const variants = await StockSubscription.aggregate([
+    {
+      $group: {
+        _id: { product: "$product", color: "$color", size: "$size" },
+      },
+    },
+  ]);
+  return notifyBackInStock(
+    variants.map((v) => v._id),
+    { app }
+  );
+}
+
+module.exports = {
+  notifyBackInStock,
+  sweepBackInStock,
+  guestConfirmUrl,
+  readGuestConfirmToken,
+};
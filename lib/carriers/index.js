@@ -0,0 +1,29 @@
+// backend/lib/carriers/index.js
+// Shipping carrier registry for tracking-event ingest.
+//
+// A carrier is an object with:
+//   name
+//   trackingUrl(trackingNumber)            -> public tracking page URL
+//   verifyWebhook(rawBody, headers)
+//     -> [{ eventId, trackingNumber, status, description, location, at }]
+//     (throws when the signature is missing/invalid/stale)
+//
+// status is one of lib/shipments TRACKING_STATUSES. Shipments may use any
+// carrier name; only registered carriers can post to /shipments/webhook.
+const simulatedCarrier = require("./simulatedCarrier");
+
+const carriers = new Map();
+
+function registerCarrier(carrier) {
+  carriers.set(carrier.name, carrier);
+}
+
+function getCarrier(name) {
+  return carriers.get(String(name || "").toLowerCase()) || null;
+}
+
+if (String(process.env.SIMULATED_CARRIER_ENABLED || "true") !== "false") {
+  registerCarrier(simulatedCarrier);
+}
+
+module.exports = { registerCarrier, getCarrier };
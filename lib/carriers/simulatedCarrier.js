@@ -0,0 +1,84 @@
+// backend/lib/carriers/simulatedCarrier.js
+// Local carrier for development: a new shipment gets a made-up tracking number
+// and a scripted journey whose events are delivered to POST /shipments/webhook
+// by the "shipments.webhook.deliver" job, signed like a real carrier would.
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("../webhookSignature");
+
+const name = "simulated";
+const SIGNATURE_HEADER = "x-px39-signature";
+
+function webhookSecret() {
+  if (process.env.SIMULATED_CARRIER_WEBHOOK_SECRET) {
+    return process.env.SIMULATED_CARRIER_WEBHOOK_SECRET;
+  }
+  return crypto
+    .createHmac("sha256", String(process.env.JWT_SECRET || "px39"))
+    .update("simulated-carrier-webhook")
+    .digest("hex");
+}
+
+/** delay between scripted tracking events (default 1 minute) */
+function stepMs() {
+  const ms = Number(process.env.SIMULATED_CARRIER_STEP_MS);
+  return Number.isFinite(ms) && ms >= 0 ? ms : 60 * 1000;
+}
+
+function generateTrackingNumber() {
+  return `SIM${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+}
+
+function trackingUrl(trackingNumber) {
+  const base = process.env.FRONTEND_URL || "";
+  return `${base}/tracking/${encodeURIComponent(trackingNumber)}`;
+}
+
+/**
+ * journey(trackingNumber) -> [{ delayMs, event }] — the events the simulated
+ * carrier will report for a new shipment.
+ */
+function journey(trackingNumber) {
+  const steps = [
+    ["in_transit", "Picked up by carrier", "Origin facility"],
+    ["out_for_delivery", "Out for delivery", "Local depot"],
+    ["delivered", "Delivered", "Recipient address"],
+  ];
+  return steps.map(([status, description, location], i) => ({
+    delayMs: stepMs() * (i + 1),
+    event: {
+      eventId: `trk_sim_${crypto.randomBytes(10).toString("hex")}`,
+      trackingNumber,
+      status,
+      description,
+      location,
+    },
+  }));
+}
+
+/** signEvent(event) -> { rawBody, headers }; stamps the event time */
+function signEvent(event) {
+  const rawBody = JSON.stringify({
+    carrier: name,
+    events: [{ ...event, at: event.at || new Date().toISOString() }],
+  });
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: signPayload(webhookSecret(), rawBody) },
+  };
+}
+
+function verifyWebhook(rawBody, headers = {}) {
+  verifySignature(webhookSecret(), rawBody, headers[SIGNATURE_HEADER]);
+  const body = JSON.parse(rawBody);
+  return Array.isArray(body.events) ? body.events : [];
+}
+
+module.exports = {
+  name,
+  trackingUrl,
+  verifyWebhook,
+  // simulated-only helpers
+  generateTrackingNumber,
+  journey,
+  signEvent,
+};
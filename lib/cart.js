@@ -0,0 +1,371 @@
+// backend/lib/cart.js
+// Checks the server-side cart against authoritative product data (name,
+// image, price, stock, hidden flag) instead of whatever the client last saw.
+// Used by checkout (snapshotCartItems), GET /cart/validate (validateCart) and
+// the "cart.revalidate" job that tells shoppers when a line goes bad
+// (flagInvalidCarts).
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const GuestCart = require("../models/GuestCart");
+const Product = require("../models/Product");
+const { findVariation, unitPriceFor, shippingFeeCents } = require("./pricing");
+const { stockOf } = require("./sizes");
+const { findVariant } = require("./variants");
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+const ISSUE_MESSAGES = {
+  product_unavailable: "This product is no longer available.",
+  product_hidden: "This product is no longer sold.",
+  variation_unavailable: "This color is no longer available.",
+  size_unavailable: "This size is not available in this color.",
+  out_of_stock: "This item is out of stock.",
+  insufficient_stock: "Not enough stock for the requested quantity.",
+  price_missing: "This product has no price.",
+  price_changed: "The price of this item has changed.",
+};
+
+// lines with one of these can't be ordered at all; the auto-fix drops them
+const DEAD_ISSUES = [
+  "product_unavailable",
+  "product_hidden",
+  "variation_unavailable",
+  "size_unavailable",
+  "out_of_stock",
+  "price_missing",
+];
+
+const productIdOf = (it) =>
+  String((it.product && it.product._id) || it.product);
+
+/**
+ * True for a save that lost the Cart version check (models/Cart). Mongoose
+ * reports a whole-array rewrite as VersionError, other saves as
+ * DocumentNotFoundError.
+ */
+const isVersionConflict = (e) =>
+  e instanceof mongoose.Error.DocumentNotFoundError ||
+  e instanceof mongoose.Error.VersionError;
+
+/** same product, color (case-insensitive) and size */
+const sameLine = (a, b) =>
+  productIdOf(a) === productIdOf(b) &&
+  String(a.color || "").toLowerCase() === String(b.color || "").toLowerCase() &&
+  String(a.size || "") === String(b.size || "");
+
+async function loadProducts(cartItems) {
+  const ids = [...new Set(cartItems.map(productIdOf))];
+  const found = await Product.find({ _id: { $in: ids } }).lean();
+  return new Map(found.map((p) => [String(p._id), p]));
+}
+
+/**
+ * inspectCartItems(cartItems, products) -> one entry per cart line:
+ * { item, productId, product, variation, color, size, quantity, available,
+ *   unitCents, previousUnitCents, issues: [code] }
+ * Lines of the same variation/size share its stock, in cart order.
+ */
+function inspectCartItems(cartItems, products) {
+  const claimed = {};
+
+  return cartItems.map((it) => {
+    const line = {
+      item: it,
+      productId: productIdOf(it),
+      product: null,
+      variation: null,
+      color: String(it.color || "").trim(),
+      size: String(it.size || "").trim(),
+      quantity: Number(it.quantity) || 1,
+      available: 0,
+      unitCents: null,
+      previousUnitCents: it.unitPrice != null ? toCents(it.unitPrice) : null,
+      issues: [],
+    };
+
+    const product = products.get(line.productId);
+    if (!product) {
+      line.issues.push("product_unavailable");
+      return line;
+    }
+    line.product = product;
+    if (product.hidden) {
+      line.issues.push("product_hidden");
+      return line;
+    }
+
+    const variation = findVariation(product, line.color);
+    if (!variation) {
+      line.issues.push("variation_unavailable");
+      return line;
+    }
+    line.variation = variation;
+
+    const price = unitPriceFor(product, variation.color, line.size);
+    if (price === null) line.issues.push("price_missing");
+    else line.unitCents = toCents(price);
+    if (
+      line.unitCents !== null &&
+      line.previousUnitCents !== null &&
+      line.unitCents !== line.previousUnitCents
+    ) {
+      line.issues.push("price_changed");
+    }
+
+    const stock = stockOf(variation, line.size);
+    if (stock === null) {
+      line.issues.push("size_unavailable");
+      return line;
+    }
+    const key = `${line.productId}:${variation.color.toLowerCase()}:${
+      line.size
+    }`;
+    line.available = Math.max(0, stock - (claimed[key] || 0));
+    if (line.available <= 0) line.issues.push("out_of_stock");
+    else if (line.quantity > line.available) {
+      line.issues.push("insufficient_stock");
+    }
+    claimed[key] =
+      (claimed[key] || 0) + Math.min(line.quantity, line.available);
+
+    return line;
+  });
+}
+
+/**
+ * lineStock(product, color, size) — what a cart edit may put in the cart.
+ * Returns { issue, message } when the line can't be added at all, otherwise
+ * { variation, available } (available can be 0).
+ */
+function lineStock(product, color, size) {
+  const fail = (issue) => ({ issue, message: ISSUE_MESSAGES[issue] });
+  if (!product) return fail("product_unavailable");
+  if (product.hidden) return fail("product_hidden");
+  const variation = findVariation(product, color);
+  if (!variation) return fail("variation_unavailable");
+  if (unitPriceFor(product, variation.color, size) === null) {
+    return fail("price_missing");
+  }
+  const available = stockOf(variation, size);
+  if (available === null) return fail("size_unavailable");
+  return { variation, available };
+}
+
+const blocking = (line) => line.issues.filter((c) => c !== "price_changed");
+
+/**
+ * snapshotCartItems(cartItems)
+ * cartItems: Cart.items ({ _id, product, color, size, quantity }).
+ *
+ * Returns { items, problems, products }:
+ * - items: order lines { product, name, sku, color, size, quantity, price,
+ *   image }
+ *   for every cart line that can be bought as is (at today's price)
+ * - problems: [{ itemId, product, color, size, quantity, available, reason,
+ *   message }] for the ones that can't
+ * - products: Map of id -> lean product, for lib/pricing.priceOrderItems
+ *
+ * Stock is only checked here; checkout still takes it atomically.
+ */
+async function snapshotCartItems(cartItems = []) {
+  const products = await loadProducts(cartItems);
+  const items = [];
+  const problems = [];
+
+  inspectCartItems(cartItems, products).forEach((line) => {
+    const [reason] = blocking(line);
+    if (reason) {
+      problems.push({
+        itemId: line.item._id ? String(line.item._id) : undefined,
+        product: line.productId,
+        color: line.color,
+        size: line.size,
+        quantity: line.quantity,
+        available: line.available,
+        reason,
+        message: ISSUE_MESSAGES[reason],
+      });
+      return;
+    }
+    const variant = findVariant(line.variation, line.size);
+    items.push({
+      product: line.product._id,
+      name: line.product.name,
+      sku: variant ? variant.sku : undefined,
+      color: line.variation.color,
+      size: line.size,
+      quantity: line.quantity,
+      price: line.unitCents / 100,
+      image: (line.variation.images && line.variation.images[0]) || "",
+    });
+  });
+
+  return { items, problems, products };
+}
+
+/**
+ * validateCart(cart, { fix })
+ * cart: a Cart document. With fix, dead lines are removed, quantities are
+ * clamped to the stock left, every remaining line accepts today's price and
+ * the cart is saved.
+ *
+ * Returns { valid, fixed, items, removed, subtotalCents, shippingCents,
+ * totalCents } where items[] (and, after a fix, removed[]) carries { itemId, product, name, image, color, size,
+ * quantity, available, unitCents, previousUnitCents, lineCents, issues,
+ * action } and action is what the fix did (or would do): keep, reprice,
+ * clamp or remove. Totals only count lines that can be ordered.
+ */
+async function validateCart(cart, { fix = false } = {}) {
+  const products = await loadProducts(cart.items);
+  const lines = inspectCartItems(cart.items, products);
+
+  let subtotalCents = 0;
+  const items = lines.map((line) => {
+    const dead = line.issues.some((c) => DEAD_ISSUES.includes(c));
+    const clamp = line.issues.includes("insufficient_stock");
+    const action = dead
+      ? "remove"
+      : clamp
+      ? "clamp"
+      : line.issues.includes("price_changed")
+      ? "reprice"
+      : "keep";
+
+    const quantity = fix && clamp ? line.available : line.quantity;
+    const lineCents = dead ? 0 : line.unitCents * quantity;
+    if (!dead && (fix || !clamp)) subtotalCents += lineCents;
+
+    return {
+      itemId: String(line.item._id),
+      product: line.productId,
+      name: line.product ? line.product.name : null,
+      image:
+        (line.variation && line.variation.images && line.variation.images[0]) ||
+        "",
+      color: line.color,
+      size: line.size,
+      quantity,
+      available: line.available,
+      unitCents: line.unitCents,
+      previousUnitCents: line.previousUnitCents,
+      lineCents,
+      issues: line.issues.map((code) => ({
+        code,
+        message: ISSUE_MESSAGES[code],
+      })),
+      action,
+    };
+  });
+
+  const valid = lines.every((l) => !l.issues.length);
+  if (fix && !valid) {
+    lines.forEach((line, i) => {
+      const action = items[i].action;
+      if (action === "remove") return;
+      line.item.quantity = items[i].quantity;
+      line.item.unitPrice = line.unitCents / 100;
+      line.item.issue = null;
+    });
+    const keep = new Set(
+      items.filter((i) => i.action !== "remove").map((i) => i.itemId)
+    );
+    cart.items = cart.items.filter((it) => keep.has(String(it._id)));
+    await cart.save();
+  }
+
+  const shippingCents = subtotalCents > 0 ? shippingFeeCents(subtotalCents) : 0;
+  return {
+    valid,
+    fixed: fix && !valid,
+    items: fix ? items.filter((i) => i.action !== "remove") : items,
+    removed: fix ? items.filter((i) => i.action === "remove") : [],
+    subtotalCents,
+    shippingCents,
+    totalCents: subtotalCents + shippingCents,
+  };
+}
+
+/**
+ * flagInvalidCarts(productIds, { app })
+ * Re-checks every cart holding one of the products and emits "cart:invalid"
+ * to the owner when a line newly has an issue. The last reported issue is
+ * kept on the line (items[].issue) so a shopper hears about it once.
+ */
+async function flagInvalidCarts(productIds = [], { app = null } = {}) {
+  const io = app && app.get ? app.get("io") : null;
+  const carts = Cart.find({ "items.product": { $in: productIds } }).cursor();
+
+  let checked = 0;
+  let flagged = 0;
+  for await (const cart of carts) {
+    checked++;
+    const products = await loadProducts(cart.items);
+    const newlyInvalid = [];
+    let changed = false;
+
+    inspectCartItems(cart.items, products).forEach((line) => {
+      const issue = line.issues[0] || null;
+      if ((line.item.issue || null) === issue) return;
+      line.item.issue = issue;
+      changed = true;
+      if (issue) {
+        newlyInvalid.push({
+          itemId: String(line.item._id),
+          product: line.productId,
+          color: line.color,
+          size: line.size,
+          issues: line.issues.map((code) => ({
+            code,
+            message: ISSUE_MESSAGES[code],
+          })),
+        });
+      }
+    });
+
+    if (changed) {
+      try {
+        await cart.save();
+      } catch (e) {
+        // edited meanwhile (Cart versioning); the next revalidation sees it
+        if (isVersionConflict(e)) continue;
+        throw e;
+      }
+    }
+    if (newlyInvalid.length) {
+      flagged++;
+      if (io && typeof io.emitToUser === "function") {
+        io.emitToUser(cart.user, "cart:invalid", {
+          cartId: String(cart._id),
+          items: newlyInvalid,
+        });
+      }
+    }
+  }
+  return { checked, flagged };
+}
+
+/**
+ * removeProductFromCarts(productId) — hide/delete cascade: pulls the product
+ * from every cart's items and saved lines, users' and guests' carts alike.
+ */
+async function removeProductFromCarts(productId) {
+  for (const Model of [Cart, GuestCart]) {
+    await Model.updateMany(
+      { $or: [{ "items.product": productId }, { "saved.product": productId }] },
+      {
+        $pull: { items: { product: productId }, saved: { product: productId } },
+        $inc: { version: 1 },
+      }
+    );
+  }
+}
+
+module.exports = {
+  isVersionConflict,
+  sameLine,
+  lineStock,
+  snapshotCartItems,
+  validateCart,
+  flagInvalidCarts,
+  removeProductFromCarts,
+};
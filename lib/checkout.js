@@ -0,0 +1,201 @@
+// backend/lib/checkout.js
+// Order writes that span several collections: placing an order (stock, coupon
+// uses, the order itself, the customer's cart) and cancelling one (status,
+// stock hold, stock, coupon uses).
+//
+// Both run through lib/transactions. On a replica set every step commits or
+// none does. On a standalone server each step applies immediately:
+// placeOrder undoes the steps already done when a later one fails, and
+// cancelOrder relies on its conditional status switch so the restock runs at
+// most once. A process crash between steps can still leak stock there.
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const {
+  decrementStock,
+  notifyRestocked,
+  restockItems,
+  restockOrderItems,
+  unknownSize,
+} = require("./stock");
+const { consumeCoupons, releaseCoupons } = require("./coupons");
+const { runInTransaction } = require("./transactions");
+
+class CheckoutError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function emptyCart({ Model, filter }, session) {
+  try {
+    await Model.updateOne(
+      filter,
+      { $set: { items: [] }, $inc: { version: 1 } },
+      { session }
+    );
+  } catch (e) {
+    if (session) throw e;
+    // the order exists already; a stale cart is not worth undoing it
+    console.warn("checkout: failed to clear cart:", e && e.message);
+  }
+}
+
+/**
+ * placeOrder(orderDoc, { applied, cart })
+ * orderDoc is the complete order (with _id, and user unless it's a guest
+ * order); its items carry { product, color, size, quantity }. applied is the
+ * coupon breakdown from evaluateCoupons. cart ({ Model, filter }, see
+ * middleware/cartOwner) is emptied with the insert; it defaults to the
+ * user's Cart, pass null to keep it. Lines with a size outside the
+ * product's size system are refused before anything is written.
+ * Returns { ok: true, order } or { ok: false, status, message }.
+ */
+async function placeOrder(orderDoc, { applied = [], cart } = {}) {
+  const bad = await unknownSize(orderDoc.items);
+  if (bad) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Size "${bad.size}" is not available for product ${
+        bad.name || bad.product
+      }.`,
+    };
+  }
+
+  const userId = orderDoc.user || null;
+  const saleMovement = {
+    type: "sale",
+    order: orderDoc._id,
+    actor: userId,
+    actorType: "customer",
+  };
+  const cartToEmpty =
+    cart === undefined && userId
+      ? { Model: Cart, filter: { user: userId } }
+      : cart;
+  try {
+    const order = await runInTransaction(async (session) => {
+      const taken = [];
+      let couponsTaken = false;
+      let created;
+      try {
+        for (const it of orderDoc.items) {
+          if (!it.product) continue;
+          // conditional decrement on the variation (color, case-insensitive)
+          // with enough stock for the size
+          const ok = await decrementStock(it, {
+            session,
+            movement: saleMovement,
+          });
+          if (!ok) {
+            throw new CheckoutError(
+              400,
+              `Not enough stock or selected variation missing for product ${it.product}, color="${it.color}", size="${it.size}".`
+            );
+          }
+          taken.push(it);
+        }
+
+        if (applied.length) {
+          const consumed = await consumeCoupons(applied, userId, orderDoc._id, {
+            session,
+          });
+          if (!consumed.ok) throw new CheckoutError(409, consumed.message);
+          couponsTaken = true;
+        }
+
+        [created] = await Order.create([orderDoc], { session });
+      } catch (err) {
+        // standalone: give back what was already taken (a transaction
+        // simply aborts)
+        if (!session) {
+          if (couponsTaken) {
+            await releaseCoupons(applied, userId, orderDoc._id);
+          }
+          await restockItems(taken, {
+            movement: {
+              ...saleMovement,
+              type: "cancel_restock",
+              reason: "checkout failed",
+            },
+          });
+        }
+        throw err;
+      }
+
+      if (cartToEmpty) await emptyCart(cartToEmpty, session);
+      return created;
+    });
+    return { ok: true, order };
+  } catch (err) {
+    if (err instanceof CheckoutError) {
+      return { ok: false, status: err.status, message: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * cancelOrder(filter, { history, releaseReason })
+ * Switches the order matching `filter` to "cancelled" (the filter must pin
+ * the expected current state), releases its stock hold, restocks every line
+ * (less what refunds and returns already put back) and gives coupon uses back.
+ * Back-in-stock alerts go out once it is committed.
+ * Returns the cancelled order, or null when the filter no longer matches.
+ */
+async function cancelOrder(
+  filter,
+  { history, releaseReason = "cancelled" } = {}
+) {
+  const result = await runInTransaction(async (session) => {
+    const update = { $set: { status: "cancelled" } };
+    if (history) update.$push = { history };
+    const order = await Order.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    });
+    if (!order) return null;
+
+    if (order.reservation && order.reservation.status === "active") {
+      const releasedAt = new Date();
+      await Order.updateOne(
+        { _id: order._id, "reservation.status": "active" },
+        {
+          $set: {
+            "reservation.status": "released",
+            "reservation.releasedAt": releasedAt,
+            "reservation.releaseReason": releaseReason,
+          },
+        },
+        { session }
+      );
+      order.reservation.status = "released";
+      order.reservation.releasedAt = releasedAt;
+      order.reservation.releaseReason = releaseReason;
+    }
+
+    const soldOut = await restockOrderItems(order, {
+      session,
+      movement: {
+        reason: releaseReason,
+        actor: (history && history.actor) || null,
+        actorType: (history && history.actorType) || "system",
+      },
+    });
+    // a guest order claimed later has a user, but the per-user uses were
+    // never taken for them
+    await releaseCoupons(
+      order.discounts || [],
+      order.guest ? null : order.user,
+      order._id,
+      { session }
+    );
+    return { order, soldOut };
+  });
+  if (!result) return null;
+  await notifyRestocked(result.soldOut);
+  return result.order;
+}
+
+module.exports = { placeOrder, cancelOrder };
@@ -0,0 +1,18 @@
+// backend/lib/counters.js
+// Gap-tolerant sequences backed by models/Counter: every call atomically
+// takes the next number, so a number is never handed out twice even across
+// server processes (a crashed caller may leave a gap).
+const Counter = require("../models/Counter");
+
+async function nextSequence(name) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.seq;
+}
+
+const padSequence = (n, width = 6) => String(n).padStart(width, "0");
+
+module.exports = { nextSequence, padSequence };
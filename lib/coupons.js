@@ -0,0 +1,355 @@
+// backend/lib/coupons.js
+// Coupon / promo-code engine used by the cart preview and checkout.
+// Amounts are integer cents; coupon documents store dollars like Product does.
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+/**
+ * Accepts `couponCode: "SUMMER"` or `couponCodes: ["A", "B"]` from a request
+ * body and returns a de-duplicated, upper-cased list.
+ */
+function normalizeCouponCodes(body = {}) {
+  const raw = []
+    .concat(body.couponCodes || [])
+    .concat(body.couponCode ? [body.couponCode] : []);
+  return Array.from(
+    new Set(
+      raw
+        .map((c) =>
+          String(c || "")
+            .trim()
+            .toUpperCase()
+        )
+        .filter(Boolean)
+    )
+  );
+}
+
+function lineMatches(coupon, line) {
+  const hasRestrictions =
+    (coupon.categories && coupon.categories.length) ||
+    (coupon.tags && coupon.tags.length) ||
+    (coupon.products && coupon.products.length);
+  if (!hasRestrictions) return true;
+  if (!line.productId) return false;
+
+  const lc = (s) => String(s || "").toLowerCase();
+  if ((coupon.products || []).some((p) => String(p) === line.productId)) {
+    return true;
+  }
+  if ((coupon.categories || []).some((c) => lc(c) === lc(line.category))) {
+    return true;
+  }
+  const lineTags = (line.tags || []).map(lc);
+  return (coupon.tags || []).some((t) => lineTags.includes(lc(t)));
+}
+
+/**
+ * Split `amountCents` across lines proportionally to their remaining value
+ * (largest-remainder so the parts always add up exactly).
+ */
+function allocate(amountCents, lines, remaining) {
+  const base = lines.reduce((acc, l) => acc + remaining[l.index], 0);
+  if (base <= 0 || amountCents <= 0) return [];
+
+  const parts = lines.map((l) => {
+    const exact = (amountCents * remaining[l.index]) / base;
+    return { index: l.index, cents: Math.floor(exact), frac: exact % 1 };
+  });
+  let leftover = amountCents - parts.reduce((acc, p) => acc + p.cents, 0);
+  parts
+    .slice()
+    .sort((a, b) => b.frac - a.frac)
+    .forEach((p) => {
+      if (leftover > 0 && p.cents < remaining[p.index]) {
+        p.cents++;
+        leftover--;
+      }
+    });
+  return parts
+    .filter((p) => p.cents > 0)
+    .map((p) => ({ index: p.index, amountCents: p.cents }));
+}
+
+/**
+ * Checks dates, active flag, usage limits and min subtotal.
+ * Returns an error message or null. Everything but the min subtotal is
+ * re-checked atomically in consumeCoupons.
+ */
+async function couponUnavailableReason(coupon, { userId, subtotalCents, now }) {
+  if (!coupon.active) return `Coupon ${coupon.code} is not active.`;
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return `Coupon ${coupon.code} is not valid yet.`;
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    return `Coupon ${coupon.code} has expired.`;
+  }
+  if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) {
+    return `Coupon ${coupon.code} has reached its usage limit.`;
+  }
+  if (subtotalCents < toCents(coupon.minSubtotal)) {
+    return `Coupon ${coupon.code} requires a minimum subtotal of ${Number(
+      coupon.minSubtotal
+    ).toFixed(2)}.`;
+  }
+  if (coupon.perUserLimit != null) {
+    if (!userId) return `Coupon ${coupon.code} requires an account.`;
+    const redemption = await CouponRedemption.findOne({
+      coupon: coupon._id,
+      user: userId,
+    }).lean();
+    if (redemption && redemption.count >= coupon.perUserLimit) {
+      return `You have already used coupon ${coupon.code}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * evaluateCoupons({ codes, lines, subtotalCents, shippingCents, userId })
+ * lines come from lib/pricing.priceOrderItems.
+ *
+ * Returns { ok: false, message } when any code can't be applied, otherwise
+ * { ok: true, applied, discountCents, lineDiscounts, totalCents } where
+ * applied[] is the per-coupon breakdown stored on the order.
+ */
+async function evaluateCoupons({
+  codes = [],
+  lines = [],
+  subtotalCents = 0,
+  shippingCents = 0,
+  userId = null,
+}) {
+  const empty = {
+    ok: true,
+    applied: [],
+    discountCents: 0,
+    lineDiscounts: {},
+    totalCents: subtotalCents + shippingCents,
+  };
+  if (!codes.length) return empty;
+
+  const coupons = await Coupon.find({ code: { $in: codes } });
+  const byCode = new Map(coupons.map((c) => [c.code, c]));
+  const missing = codes.filter((c) => !byCode.has(c));
+  if (missing.length) {
+    return { ok: false, message: `Invalid coupon code: ${missing.join(", ")}` };
+  }
+
+  const ordered = codes.map((c) => byCode.get(c));
+  if (ordered.length > 1 && ordered.some((c) => !c.stackable)) {
+    const solo = ordered.find((c) => !c.stackable);
+    return {
+      ok: false,
+      message: `Coupon ${solo.code} cannot be combined with other coupons.`,
+    };
+  }
+
+  const now = new Date();
+  for (const coupon of ordered) {
+    const reason = await couponUnavailableReason(coupon, {
+      userId,
+      subtotalCents,
+      now,
+    });
+    if (reason) return { ok: false, message: reason };
+  }
+
+  // remaining discountable value per line, reduced as coupons stack
+  const remaining = {};
+  lines.forEach((l) => (remaining[l.index] = l.lineCents));
+  const lineDiscounts = {};
+  let shippingLeft = shippingCents;
+  const applied = [];
+
+  for (const coupon of ordered) {
+    const eligible = lines.filter((l) => lineMatches(coupon, l));
+    if (!eligible.length) {
+      return {
+        ok: false,
+        message: `Coupon ${coupon.code} doesn't apply to any item in your cart.`,
+      };
+    }
+
+    if (coupon.type === "free_shipping") {
+      applied.push({
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        amountCents: shippingLeft,
+        shipping: true,
+        lines: [],
+      });
+      shippingLeft = 0;
+      continue;
+    }
+
+    const eligibleCents = eligible.reduce(
+      (acc, l) => acc + remaining[l.index],
+      0
+    );
+    let amountCents =
+      coupon.type === "percent"
+        ? Math.round((eligibleCents * Math.min(100, coupon.value)) / 100)
+        : toCents(coupon.value);
+    if (coupon.type === "percent" && coupon.maxDiscount != null) {
+      amountCents = Math.min(amountCents, toCents(coupon.maxDiscount));
+    }
+    amountCents = Math.max(0, Math.min(amountCents, eligibleCents));
+
+    const parts = allocate(amountCents, eligible, remaining);
+    parts.forEach((p) => {
+      remaining[p.index] -= p.amountCents;
+      lineDiscounts[p.index] = (lineDiscounts[p.index] || 0) + p.amountCents;
+    });
+
+    applied.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      amountCents,
+      shipping: false,
+      lines: parts,
+    });
+  }
+
+  const discountCents = applied.reduce((acc, a) => acc + a.amountCents, 0);
+  return {
+    ok: true,
+    applied,
+    discountCents,
+    lineDiscounts,
+    totalCents: Math.max(0, subtotalCents + shippingCents - discountCents),
+  };
+}
+
+/**
+ * releaseCoupons(applied, userId, orderId, { session }) — give back uses
+ * consumed by consumeCoupons (failed checkout, cancelled order). The user's
+ * count only goes down when it was taken for this order. Inside a
+ * transaction errors are re-thrown instead of logged.
+ */
+async function releaseCoupons(
+  applied = [],
+  userId,
+  orderId,
+  { session = null } = {}
+) {
+  for (const a of applied) {
+    try {
+      await Coupon.updateOne(
+        { _id: a.coupon, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session }
+      );
+      if (userId) {
+        await CouponRedemption.updateOne(
+          {
+            coupon: a.coupon,
+            user: userId,
+            orders: orderId,
+            count: { $gt: 0 },
+          },
+          { $inc: { count: -1 }, $pull: { orders: orderId } },
+          { session }
+        );
+      }
+    } catch (e) {
+      if (session) throw e;
+      console.error(
+        "releaseCoupons failed for",
+        String(a.coupon),
+        e && e.stack ? e.stack : e
+      );
+    }
+  }
+}
+
+/**
+ * consumeCoupons(applied, userId, orderId, { session })
+ * Atomically takes one global use and one per-user use of every applied
+ * coupon. All-or-nothing: on failure previously taken uses are released
+ * (inside a transaction the caller aborts instead).
+ * Returns { ok: true } or { ok: false, message }.
+ */
+async function consumeCoupons(
+  applied = [],
+  userId,
+  orderId,
+  { session = null } = {}
+) {
+  const taken = [];
+  const giveBack = () =>
+    session ? Promise.resolve() : releaseCoupons(taken, userId, orderId);
+  const now = new Date();
+  for (const a of applied) {
+    // same checks as couponUnavailableReason, in case the coupon was switched
+    // off, used up or expired since the cart was priced
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: a.coupon,
+        active: true,
+        $and: [
+          {
+            $or: [
+              { usageLimit: null },
+              { $expr: { $lt: ["$usageCount", "$usageLimit"] } },
+            ],
+          },
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+        ],
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    ).lean();
+    if (!coupon) {
+      await giveBack();
+      return {
+        ok: false,
+        message: `Coupon ${a.code} is no longer available.`,
+      };
+    }
+
+    if (userId) {
+      const filter = { coupon: a.coupon, user: userId };
+      if (coupon.perUserLimit != null) {
+        filter.count = { $lt: coupon.perUserLimit };
+      }
+      try {
+        await CouponRedemption.updateOne(
+          filter,
+          { $inc: { count: 1 }, $push: { orders: orderId } },
+          { upsert: true, session }
+        );
+      } catch (err) {
+        // duplicate key: the user's counter exists but is at the limit
+        if (!session) {
+          await Coupon.updateOne(
+            { _id: a.coupon },
+            { $inc: { usageCount: -1 } }
+          );
+        }
+        await giveBack();
+        if (err && err.code === 11000) {
+          return {
+            ok: false,
+            message: `You have already used coupon ${a.code}.`,
+          };
+        }
+        throw err;
+      }
+    }
+    taken.push(a);
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  normalizeCouponCodes,
+  evaluateCoupons,
+  consumeCoupons,
+  releaseCoupons,
+};
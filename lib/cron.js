@@ -0,0 +1,103 @@
+// backend/lib/cron.js
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week"
+// Supports *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5).
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+  for (const part of String(expr).split(",")) {
+    const [range, stepStr] = part.split("/");
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step in ${name}: "${part}"`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [a, b] = range.split("-");
+      from = Number(a);
+      to = b === undefined ? (stepStr === undefined ? from : max) : Number(b);
+    }
+    if (
+      !Number.isInteger(from) ||
+      !Number.isInteger(to) ||
+      from < min ||
+      to > max ||
+      from > to
+    ) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  if (name === "dayOfWeek" && values.has(7)) values.add(0);
+  return values;
+}
+
+/**
+ * parseCron(expression) -> { next(afterDate) }
+ * Times are evaluated in the server's local timezone.
+ */
+function parseCron(expression) {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) =>
+    parseField(p, FIELDS[i])
+  );
+  const domRestricted = parts[2] !== "*";
+  const dowRestricted = parts[4] !== "*";
+
+  function dayMatches(d) {
+    const domOk = dayOfMonth.has(d.getDate());
+    const dowOk = dayOfWeek.has(d.getDay());
+    // classic cron: when both day fields are restricted either may match
+    if (domRestricted && dowRestricted) return domOk || dowOk;
+    return domOk && dowOk;
+  }
+
+  function next(after = new Date()) {
+    const d = new Date(after.getTime());
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    // skip whole months/days/hours that can't match, then walk minutes
+    while (d.getTime() <= limit) {
+      if (!month.has(d.getMonth() + 1)) {
+        d.setMonth(d.getMonth() + 1, 1);
+        d.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!dayMatches(d)) {
+        d.setDate(d.getDate() + 1);
+        d.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!hour.has(d.getHours())) {
+        d.setHours(d.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!minute.has(d.getMinutes())) {
+        d.setMinutes(d.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return d;
+    }
+    throw new Error(`Cron expression never matches: "${expression}"`);
+  }
+
+  return { expression, next };
+}
+
+module.exports = { parseCron };
@@ -0,0 +1,254 @@
+// backend/lib/documents.js
+// Server-side PDF documents rendered from the order snapshot: the customer
+// invoice and the warehouse packing slip. Both resolve to a Buffer so they can
+// be streamed over HTTP or attached to an email.
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 50;
+
+function taxRatePercent() {
+  const rate = Number(process.env.TAX_RATE);
+  return Number.isFinite(rate) && rate > 0 ? rate : 0;
+}
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "-");
+
+function toBuffer(build) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      build(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function header(doc, title, rows) {
+  doc.font("Helvetica-Bold").fontSize(22).text("PX39", MARGIN, MARGIN);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(title, MARGIN, MARGIN, { align: "right" });
+  doc.moveDown(0.5).font("Helvetica").fontSize(9);
+  rows.forEach(([label, value]) =>
+    doc.text(`${label}: ${value}`, { align: "right" })
+  );
+  doc.moveDown(1.5);
+}
+
+function addressBlock(doc, x, y, title, lines) {
+  doc.font("Helvetica-Bold").fontSize(10).text(title, x, y);
+  doc.font("Helvetica").fontSize(9);
+  lines.filter(Boolean).forEach((l) => doc.text(String(l), x));
+  return doc.y;
+}
+
+function shippingLines(shipping = {}) {
+  return [
+    shipping.fullName,
+    shipping.addressLine1,
+    shipping.addressLine2,
+    [shipping.postalCode, shipping.city].filter(Boolean).join(" "),
+    [shipping.state, shipping.country].filter(Boolean).join(", "),
+    shipping.phone,
+  ];
+}
+
+/**
+ * Draws a simple table; columns: [{ label, width, align }], rows: string[][]
+ */
+function table(doc, columns, rows) {
+  const startX = MARGIN;
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    let x = startX;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    let height = 0;
+    cells.forEach((cell, i) => {
+      const col = columns[i];
+      doc.text(String(cell), x, y, {
+        width: col.width,
+        align: col.align || "left",
+      });
+      height = Math.max(height, doc.y - y);
+      x += col.width;
+    });
+    doc.y = y + height + 4;
+    doc.x = startX;
+  };
+
+  drawRow(
+    columns.map((c) => c.label),
+    true
+  );
+  const width = columns.reduce((acc, c) => acc + c.width, 0);
+  doc
+    .moveTo(startX, doc.y - 2)
+    .lineTo(startX + width, doc.y - 2)
+    .stroke();
+  rows.forEach((r) => {
+    if (doc.y > doc.page.height - MARGIN - 40) doc.addPage();
+    drawRow(r, false);
+  });
+  doc.moveDown(0.5);
+}
+
+function totalsBlock(doc, rows) {
+  const labelX = 330;
+  rows.forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    doc.text(label, labelX, y, { width: 120 });
+    doc.text(value, labelX + 120, y, { width: 95, align: "right" });
+  });
+  doc.x = MARGIN;
+}
+
+/**
+ * renderInvoicePdf(order) -> Promise<Buffer>
+ * order must carry invoice.number (see lib/invoices.ensureInvoice).
+ */
+function renderInvoicePdf(order) {
+  const taxRate = taxRatePercent();
+  const currency = (process.env.PAYMENT_CURRENCY || "usd").toUpperCase();
+
+  return toBuffer((doc) => {
+    header(doc, "INVOICE", [
+      ["Invoice", order.invoice && order.invoice.number],
+      ["Issued", day(order.invoice && order.invoice.issuedAt)],
+      ["Order", order.orderNumber || String(order._id)],
+      ["Order date", day(order.createdAt)],
+      ["Payment", order.paymentStatus || (order.payed ? "paid" : "unpaid")],
+    ]);
+
+    const top = doc.y;
+    const contact = order.contactSnapshot || {};
+    const leftEnd = addressBlock(doc, MARGIN, top, "Bill to", [
+      (order.shipping && order.shipping.fullName) || contact.username,
+      contact.email,
+    ]);
+    const rightEnd = addressBlock(
+      doc,
+      300,
+      top,
+      "Ship to",
+      shippingLines(order.shipping)
+    );
+    doc.x = MARGIN;
+    doc.y = Math.max(leftEnd, rightEnd) + 20;
+
+    table(
+      doc,
+      [
+        { label: "Item", width: 215 },
+        { label: "Qty", width: 40, align: "right" },
+        { label: "Unit", width: 75, align: "right" },
+        { label: "Discount", width: 75, align: "right" },
+        { label: "Total", width: 90, align: "right" },
+      ],
+      (order.items || []).map((it) => {
+        const gross = Number(it.price || 0) * Number(it.quantity || 0);
+        const variant = [it.color, it.size].filter(Boolean).join(" / ");
+        return [
+          variant ? `${it.name} (${variant})` : it.name,
+          it.quantity,
+          money(it.price),
+          it.discount ? `-${money(it.discount)}` : "-",
+          money(gross - Number(it.discount || 0)),
+        ];
+      })
+    );
+
+    const rows = [["Subtotal", money(order.subtotal)]];
+    (order.discounts || []).forEach((d) =>
+      rows.push([`Discount ${d.code}`, `-${money(d.amount)}`])
+    );
+    rows.push(["Shipping", money(order.shippingPrice)]);
+    const tax = (Number(order.totalPrice || 0) * taxRate) / (100 + taxRate);
+    rows.push([`Tax (${taxRate}% incl.)`, money(tax)]);
+    rows.push([`Total (${currency})`, money(order.totalPrice), true]);
+    if (Number(order.refundedTotal) > 0) {
+      rows.push(["Refunded", `-${money(order.refundedTotal)}`]);
+    }
+    totalsBlock(doc, rows);
+
+    doc
+      .moveDown(3)
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#666666")
+      .text("Thank you for shopping with PX39.", MARGIN, doc.y, {
+        align: "center",
+      });
+  });
+}
+
+/**
+ * renderPackingSlipPdf(order) -> Promise<Buffer> — no prices, just what to
+ * pack and where it goes.
+ */
+function renderPackingSlipPdf(order) {
+  return toBuffer((doc) => {
+    header(doc, "PACKING SLIP", [
+      ["Order", order.orderNumber || String(order._id)],
+      ["Order date", day(order.createdAt)],
+      ["Status", order.status],
+    ]);
+
+    const top = doc.y;
+    const end = addressBlock(
+      doc,
+      MARGIN,
+      top,
+      "Ship to",
+      shippingLines(order.shipping)
+    );
+    doc.x = MARGIN;
+    doc.y = end + 20;
+
+    table(
+      doc,
+      [
+        { label: "#", width: 30 },
+        { label: "Item", width: 175 },
+        { label: "SKU", width: 80 },
+        { label: "Color", width: 90 },
+        { label: "Size", width: 60 },
+        { label: "Qty", width: 60, align: "right" },
+      ],
+      (order.items || []).map((it, i) => [
+        i + 1,
+        it.name,
+        it.sku || "-",
+        it.color || "-",
+        it.size || "-",
+        it.quantity,
+      ])
+    );
+
+    (order.shipments || []).forEach((s, i) => {
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .text(
+          `Shipment ${i + 1}: ${s.carrier} ${s.trackingNumber} — items ${s.items
+            .map((it) => `#${it.index + 1}×${it.quantity}`)
+            .join(", ")}`
+        );
+    });
+
+    if (order.shipping && order.shipping.notes) {
+      doc.moveDown().font("Helvetica-Bold").fontSize(10).text("Notes");
+      doc.font("Helvetica").fontSize(9).text(order.shipping.notes);
+    }
+  });
+}
+
+module.exports = { renderInvoicePdf, renderPackingSlipPdf };
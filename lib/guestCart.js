@@ -0,0 +1,133 @@
+// backend/lib/guestCart.js
+// Anonymous carts. A visitor's cart lives in GuestCart under a random token
+// that travels in the signed, httpOnly "guestCart" cookie (cookie-parser
+// signs it with COOKIE_SECRET, falling back to JWT_SECRET). On login the
+// guest cart is merged into the user's Cart and the cookie is cleared.
+const crypto = require("crypto");
+const Cart = require("../models/Cart");
+const GuestCart = require("../models/GuestCart");
+const Product = require("../models/Product");
+const { findVariation } = require("./pricing");
+const { sameLine } = require("./cart");
+const { stockOf } = require("./sizes");
+
+const GUEST_CART_COOKIE = "guestCart";
+
+const isProd = process.env.NODE_ENV === "production";
+function guestCartCookieOptions() {
+  return {
+    httpOnly: true,
+    signed: true,
+    secure: isProd,
+    sameSite: isProd ? "none" : "strict",
+    maxAge: GuestCart.ttlMs(),
+  };
+}
+
+/** guest cart token from the signed cookie, or null (missing or tampered) */
+function guestCartToken(req) {
+  const token = req.signedCookies && req.signedCookies[GUEST_CART_COOKIE];
+  return typeof token === "string" && token ? token : null;
+}
+
+/** new token + cookie; the GuestCart document is created on first save */
+function issueGuestCartToken(res) {
+  const token = crypto.randomUUID();
+  res.cookie(GUEST_CART_COOKIE, token, guestCartCookieOptions());
+  return token;
+}
+
+function clearGuestCartCookie(res) {
+  const { maxAge, ...options } = guestCartCookieOptions();
+  res.clearCookie(GUEST_CART_COOKIE, options);
+}
+
+/**
+ * mergeGuestCart(req, res, userId)
+ * Moves the visitor's guest cart into the user's Cart: quantities of the same
+ * product/color/size are summed and clamped to the stock left, lines without
+ * stock are dropped; saved-for-later lines are added unless already there.
+ * Deletes the guest cart and clears the cookie only once the user's cart is
+ * saved, so a failed merge leaves the guest cart to retry on the next login.
+ * Returns { merged, clamped, dropped } (all 0 when there was nothing to merge).
+ */
+async function mergeGuestCart(req, res, userId) {
+  const summary = { merged: 0, clamped: 0, dropped: 0 };
+  const token = guestCartToken(req);
+  if (!token) return summary;
+
+  const guest = await GuestCart.findOne({ token });
+  if (!guest || (!guest.items.length && !guest.saved.length)) {
+    if (guest) await GuestCart.deleteOne({ _id: guest._id });
+    clearGuestCartCookie(res);
+    return summary;
+  }
+
+  const products = new Map(
+    (
+      await Product.find({
+        _id: { $in: guest.items.map((it) => it.product) },
+      }).lean()
+    ).map((p) => [String(p._id), p])
+  );
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) cart = new Cart({ user: userId, items: [] });
+
+  for (const it of guest.items) {
+    const product = products.get(String(it.product));
+    const variation =
+      product && !product.hidden ? findVariation(product, it.color) : null;
+    const stock = Number(stockOf(variation, it.size));
+    const existing = cart.items.find((line) => sameLine(line, it));
+    const had = existing ? existing.quantity : 0;
+    const wanted = had + it.quantity;
+    const quantity = Math.min(wanted, Number.isFinite(stock) ? stock : 0);
+
+    // no stock left for anything on top of what the user's cart holds
+    if (quantity <= had) {
+      if (existing) summary.clamped++;
+      else summary.dropped++;
+      continue;
+    }
+    if (quantity < wanted) summary.clamped++;
+    summary.merged++;
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      cart.items.push({
+        product: it.product,
+        color: it.color,
+        size: it.size,
+        quantity,
+        unitPrice: it.unitPrice,
+      });
+    }
+  }
+
+  // saved-for-later lines come along as they are (no stock needed)
+  for (const it of guest.saved) {
+    if (cart.saved.some((line) => sameLine(line, it))) continue;
+    cart.saved.push({
+      product: it.product,
+      color: it.color,
+      size: it.size,
+      quantity: it.quantity,
+      unitPrice: it.unitPrice,
+    });
+  }
+
+  await cart.save();
+  await GuestCart.deleteOne({ _id: guest._id });
+  clearGuestCartCookie(res);
+  return summary;
+}
+
+module.exports = {
+  GUEST_CART_COOKIE,
+  guestCartToken,
+  issueGuestCartToken,
+  clearGuestCartCookie,
+  mergeGuestCart,
+};
@@ -0,0 +1,118 @@
+// backend/lib/guestOrders.js
+// Guest checkout orders have no `user`, only contactSnapshot.email (stored
+// lower-cased). The guest gets back to the order through:
+// - a signed link (HMAC of order id + email, GUEST_ORDER_SECRET falling back
+//   to JWT_SECRET) sent in the confirmation email and returned at checkout;
+//   it also lets the guest pay the order
+// - POST /orders/lookup with email + order number (status only, no address)
+// Once someone verifies an account with the same email, the orders are
+// claimed into it (claimGuestOrders).
+const crypto = require("crypto");
+const Order = require("../models/Order");
+
+function secret() {
+  const s = process.env.GUEST_ORDER_SECRET || process.env.JWT_SECRET;
+  if (!s) throw new Error("GUEST_ORDER_SECRET or JWT_SECRET must be set");
+  return s;
+}
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+/** guestOrderToken(order) -> base64url HMAC bound to the order and email */
+function guestOrderToken(order) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(
+      `${order._id}:${normalizeEmail(
+        order.contactSnapshot && order.contactSnapshot.email
+      )}`
+    )
+    .digest("base64url");
+}
+
+function verifyGuestOrderToken(order, token) {
+  if (!order || !order.guest || typeof token !== "string" || !token) {
+    return false;
+  }
+  const expected = Buffer.from(guestOrderToken(order));
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/** frontend page for a guest order, carrying the signed token */
+function guestOrderUrl(order) {
+  const base = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  return `${base}/orders/guest/${order._id}?token=${guestOrderToken(order)}`;
+}
+
+/**
+ * What a guest may see. withAddress: false for POST /orders/lookup, where
+ * knowing the email and order number is all it takes.
+ */
+function publicOrderView(order, { withAddress = true } = {}) {
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    payed: order.payed,
+    createdAt: order.createdAt,
+    deliveredAt: order.deliveredAt,
+    items: (order.items || []).map((it) => ({
+      name: it.name,
+      color: it.color,
+      size: it.size,
+      quantity: it.quantity,
+      price: it.price,
+      image: it.image,
+      discount: it.discount,
+    })),
+    subtotal: order.subtotal,
+    shippingPrice: order.shippingPrice,
+    discountTotal: order.discountTotal,
+    totalPrice: order.totalPrice,
+    refundedTotal: order.refundedTotal,
+    shipping: withAddress ? order.shipping : undefined,
+    shipments: (order.shipments || []).map((s) => ({
+      carrier: s.carrier,
+      trackingNumber: s.trackingNumber,
+      trackingUrl: s.trackingUrl,
+      status: s.status,
+      estimatedDelivery: s.estimatedDelivery,
+      shippedAt: s.shippedAt,
+      deliveredAt: s.deliveredAt,
+    })),
+    timeline: (order.history || [])
+      .filter((h) => h.type === "status")
+      .map((h) => ({ to: h.to, at: h.at })),
+  };
+}
+
+/**
+ * claimGuestOrders(user) — attach unclaimed guest orders placed with the
+ * user's email. Only call once the email is verified.
+ * Returns the number of orders claimed.
+ */
+async function claimGuestOrders(user) {
+  const email = normalizeEmail(user.email);
+  if (!email) return 0;
+  const result = await Order.updateMany(
+    { guest: true, user: null, "contactSnapshot.email": email },
+    { $set: { user: user._id, claimedAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  normalizeEmail,
+  guestOrderToken,
+  verifyGuestOrderToken,
+  guestOrderUrl,
+  publicOrderView,
+  claimGuestOrders,
+};
@@ -0,0 +1,30 @@
+// backend/lib/invoices.js
+// Invoice numbers: assigned once per order, from a sequence that never hands
+// out the same number twice (INV-<year>-<000001>).
+const Order = require("../models/Order");
+const { nextSequence, padSequence } = require("./counters");
+
+/**
+ * ensureInvoice(orderId) — returns the order with invoice.number set,
+ * assigning the next number on first use. Only paid orders get invoices;
+ * returns null for unknown or unpaid orders.
+ */
+async function ensureInvoice(orderId) {
+  const order = await Order.findById(orderId);
+  if (!order || !order.payed) return null;
+  if (order.invoice && order.invoice.number) return order;
+
+  const issuedAt = new Date();
+  const number = `INV-${issuedAt.getUTCFullYear()}-${padSequence(
+    await nextSequence("invoice")
+  )}`;
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, "invoice.number": { $exists: false } },
+    { $set: { invoice: { number, issuedAt } } },
+    { new: true }
+  );
+  // a concurrent request numbered it first; ours is simply never used
+  return updated || Order.findById(orderId);
+}
+
+module.exports = { ensureInvoice };
@@ -0,0 +1,304 @@
+// backend/lib/jobs.js
+// In-process background job queue persisted in MongoDB (models/Job).
+//
+//   defineJob("email.send", async (payload, ctx) => { ... }, { maxAttempts: 5 })
+//   await enqueue("email.send", { ... }, { delayMs, priority, key })
+//   scheduleRecurring("recently-viewed.cleanup", "30 3 * * *")
+//   startWorker(app)
+//
+// Several server processes may run workers against the same collection: jobs
+// are claimed with an atomic findOneAndUpdate and recurring ticks are
+// de-duplicated through their idempotency key.
+const os = require("os");
+const Job = require("../models/Job");
+const { parseCron } = require("./cron");
+
+const handlers = new Map(); // name -> { handler, options }
+const schedules = new Map(); // name -> { cron, payload, options, nextRunAt }
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = Number(process.env.JOBS_CONCURRENCY) || 2;
+// a running job whose lock is older than this is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS =
+  Number(process.env.JOBS_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// dead and cancelled jobs are kept this long for inspection and retries
+const FINISHED_TTL_MS =
+  (Number(process.env.JOBS_DEAD_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const expiresAt = () => new Date(Date.now() + FINISHED_TTL_MS);
+
+let timer = null;
+let running = 0;
+let appRef = null;
+let stopping = false;
+
+/**
+ * defineJob(name, handler, options)
+ * handler(payload, { job, app }) may return a JSON-serialisable result;
+ * throwing schedules a retry. options: { maxAttempts, backoffMs, priority }
+ */
+function defineJob(name, handler, options = {}) {
+  if (typeof handler !== "function") {
+    throw new Error(`Job handler for "${name}" must be a function`);
+  }
+  handlers.set(name, { handler, options });
+}
+
+/**
+ * enqueue(name, payload, opts)
+ * opts: { delayMs, runAt, priority, maxAttempts, backoffMs, key }
+ * With `key`, enqueueing is idempotent: an existing job with the same key is
+ * returned instead of creating a new one.
+ */
+async function enqueue(name, payload = {}, opts = {}) {
+  const defaults = (handlers.get(name) || {}).options || {};
+  const runAt =
+    opts.runAt ||
+    (opts.delayMs ? new Date(Date.now() + Number(opts.delayMs)) : new Date());
+
+  const doc = {
+    name,
+    payload,
+    status: "queued",
+    runAt,
+    priority: opts.priority ?? defaults.priority ?? 0,
+    maxAttempts: opts.maxAttempts ?? defaults.maxAttempts ?? 5,
+    backoffMs: opts.backoffMs ?? defaults.backoffMs ?? 30 * 1000,
+  };
+
+  if (!opts.key) return Job.create(doc);
+
+  try {
+    return await Job.findOneAndUpdate(
+      { key: opts.key },
+      { $setOnInsert: doc },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // two upserts racing on the unique key: the other one won
+    if (err && err.code === 11000) return Job.findOne({ key: opts.key });
+    throw err;
+  }
+}
+
+/**
+ * enqueueSafe(...) — fire-and-forget variant for request handlers: never
+ * throws, logs instead, so a queue hiccup doesn't fail the HTTP response.
+ */
+function enqueueSafe(name, payload, opts) {
+  return enqueue(name, payload, opts).catch((err) => {
+    console.error(`enqueue "${name}" failed:`, err && (err.stack || err));
+    return null;
+  });
+}
+
+/**
+ * scheduleRecurring(name, cronExpression, payload, options)
+ * Registers a cron-style recurring job; each tick is enqueued with the key
+ * `cron:<name>:<tick ISO time>` so concurrent workers enqueue it once.
+ */
+function scheduleRecurring(name, cronExpression, payload = {}, options = {}) {
+  const cron = parseCron(cronExpression);
+  schedules.set(name, {
+    cron,
+    payload,
+    options,
+    nextRunAt: cron.next(new Date()),
+  });
+}
+
+function backoffDelay(job) {
+  const base = Number(job.backoffMs) || 30 * 1000;
+  const exp = base * Math.pow(2, Math.max(0, job.attempts - 1));
+  const jitter = Math.random() * base;
+  return Math.min(exp + jitter, MAX_BACKOFF_MS);
+}
+
+async function enqueueDueSchedules() {
+  const now = new Date();
+  for (const [name, s] of schedules.entries()) {
+    if (s.nextRunAt > now) continue;
+    const tick = s.nextRunAt;
+    s.nextRunAt = s.cron.next(now);
+    await enqueue(name, s.payload, {
+      ...s.options,
+      runAt: tick,
+      key: `cron:${name}:${tick.toISOString()}`,
+    });
+  }
+}
+
+async function recoverStaleJobs() {
+  const cutoff = new Date(Date.now() - LOCK_TIMEOUT_MS);
+  const res = await Job.updateMany(
+    { status: "running", lockedAt: { $lt: cutoff } },
+    {
+      $set: { status: "queued", runAt: new Date(), lastError: "lock timeout" },
+      $unset: { lockedAt: "", lockedBy: "" },
+    }
+  );
+  if (res && res.modifiedCount) {
+    console.warn(`jobs: requeued ${res.modifiedCount} stale running job(s)`);
+  }
+}
+
+async function claimNextJob() {
+  return Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      name: { $in: Array.from(handlers.keys()) },
+    },
+    {
+      $set: {
+        status: "running",
+        lockedAt: new Date(),
+        lockedBy: workerId,
+        startedAt: new Date(),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const { handler } = handlers.get(job.name);
+  try {
+    const result = await handler(job.payload || {}, { job, app: appRef });
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        $set: {
+          status: "completed",
+          finishedAt: new Date(),
+          result: result === undefined ? null : result,
+        },
+        $unset: { lockedAt: "", lockedBy: "", lastError: "" },
+      }
+    );
+  } catch (err) {
+    const message = (err && (err.message || String(err))) || "unknown error";
+    const dead = job.attempts >= job.maxAttempts;
+    const update = {
+      $set: {
+        status: dead ? "dead" : "queued",
+        lastError: message,
+      },
+      $unset: { lockedAt: "", lockedBy: "" },
+      $push: {
+        failures: {
+          $each: [{ at: new Date(), attempt: job.attempts, error: message }],
+          $slice: -10,
+        },
+      },
+    };
+    if (dead) {
+      update.$set.finishedAt = new Date();
+      update.$set.expiresAt = expiresAt();
+    } else {
+      update.$set.runAt = new Date(Date.now() + backoffDelay(job));
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: workerId }, update);
+    console.warn(
+      `job ${job.name} (${job._id}) attempt ${job.attempts}/${
+        job.maxAttempts
+      } failed${dead ? " -> dead" : ""}:`,
+      message
+    );
+  }
+}
+
+async function tick() {
+  if (stopping) return;
+  try {
+    await recoverStaleJobs();
+    await enqueueDueSchedules();
+
+    while (running < CONCURRENCY && !stopping) {
+      const job = await claimNextJob();
+      if (!job) break;
+      running++;
+      runJob(job)
+        .catch((err) => console.error("jobs: runJob crashed:", err))
+        .finally(() => {
+          running--;
+        });
+    }
+  } catch (err) {
+    console.error("jobs: poll error:", err && (err.stack || err));
+  } finally {
+    if (!stopping) timer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * startWorker(app) — begin polling. `app` is handed to handlers so they can
+ * reach app.get("io") for socket emits.
+ */
+function startWorker(app = null) {
+  if (timer) return;
+  appRef = app;
+  stopping = false;
+  timer = setTimeout(tick, 0);
+  console.log(
+    `jobs: worker ${workerId} started (${handlers.size} handlers, ${schedules.size} schedules)`
+  );
+}
+
+function stopWorker() {
+  stopping = true;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+// ─── admin helpers ────────────────────────────────────────────────────────────
+
+/** Put a dead/failed/cancelled job back in the queue with a fresh attempt budget. */
+async function retryJob(id) {
+  return Job.findOneAndUpdate(
+    { _id: id, status: { $in: ["dead", "cancelled", "queued"] } },
+    {
+      $set: { status: "queued", runAt: new Date(), attempts: 0 },
+      $unset: { finishedAt: "", expiresAt: "", lastError: "" },
+    },
+    { new: true }
+  );
+}
+
+/** Cancel a job that hasn't started yet. Running jobs can't be interrupted. */
+async function cancelJob(id) {
+  return Job.findOneAndUpdate(
+    { _id: id, status: "queued" },
+    {
+      $set: {
+        status: "cancelled",
+        finishedAt: new Date(),
+        expiresAt: expiresAt(),
+      },
+    },
+    { new: true }
+  );
+}
+
+function listSchedules() {
+  return Array.from(schedules.entries()).map(([name, s]) => ({
+    name,
+    cron: s.cron.expression,
+    nextRunAt: s.nextRunAt,
+  }));
+}
+
+module.exports = {
+  defineJob,
+  enqueue,
+  enqueueSafe,
+  scheduleRecurring,
+  startWorker,
+  stopWorker,
+  retryJob,
+  cancelJob,
+  listSchedules,
+};
@@ -0,0 +1,226 @@
+// backend/lib/lowStock.js
+// Low-stock thresholds, alerts and the restock overview.
+//
+// A variant (color + size) is low when its stock is at or below its
+// threshold: Product.lowStockThreshold, else the StockThreshold of the
+// product's category, else the global StockThreshold, else
+// LOW_STOCK_THRESHOLD (default 5). Callers run checkLowStock after stock was
+// taken (and committed); admins are notified through the "notify.admins" job
+// at most once per variant every LOW_STOCK_ALERT_HOURS (default 24).
+const Product = require("../models/Product");
+const StockThreshold = require("../models/StockThreshold");
+const StockMovement = require("../models/StockMovement");
+const LowStockAlert = require("../models/LowStockAlert");
+const { stockOf, stockEntries } = require("./sizes");
+const { findVariant } = require("./variants");
+const { findVariation } = require("./pricing");
+const { enqueueSafe } = require("./jobs");
+
+const lc = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase();
+
+function defaultThreshold() {
+  const n = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+}
+
+/** { global, categories: Map(lower-case category -> threshold) } */
+async function loadThresholds() {
+  const rows = await StockThreshold.find({}).lean();
+  const global = rows.find((r) => r.category == null);
+  return {
+    global: global ? global.threshold : defaultThreshold(),
+    categories: new Map(
+      rows
+        .filter((r) => r.category != null)
+        .map((r) => [r.category, r.threshold])
+    ),
+  };
+}
+
+function thresholdFor(product, thresholds) {
+  if (typeof product.lowStockThreshold === "number") {
+    return product.lowStockThreshold;
+  }
+  const category = thresholds.categories.get(lc(product.category));
+  return typeof category === "number" ? category : thresholds.global;
+}
+
+/**
+ * Claims the alert for a variant unless one went out within the debounce
+ * window. The unique index makes concurrent claims race safely: the losing
+ * upsert fails with a duplicate key.
+ */
+async function claimAlert({ product, color, size, sku, stock, threshold }) {
+  const hours = Number(process.env.LOW_STOCK_ALERT_HOURS);
+  const windowMs = (Number.isFinite(hours) && hours > 0 ? hours : 24) * 3600e3;
+  const now = new Date();
+  try {
+    const result = await LowStockAlert.updateOne(
+      {
+        product,
+        color: lc(color),
+        size,
+        $or: [
+          { alertedAt: null },
+          { alertedAt: { $lte: new Date(now.getTime() - windowMs) } },
+        ],
+      },
+      { $set: { sku, stock, threshold, alertedAt: now } },
+      { upsert: true }
+    );
+    return !!(result.upsertedCount || result.modifiedCount);
+  } catch (e) {
+    if (e && e.code === 11000) return false;
+    throw e;
+  }
+}
+
+/**
+ * checkLowStock(lines) — lines: [{ product, color, size }] whose stock just
+ * went down. Notifies admins about the ones now at or below threshold.
+ * Best-effort: errors are logged, never thrown.
+ */
+async function checkLowStock(lines = []) {
+  try {
+    const ids = [
+      ...new Set(
+        lines
+          .map((l) => l.product && (l.product._id || l.product))
+          .filter(Boolean)
+          .map(String)
+      ),
+    ];
+    if (!ids.length) return;
+    const [products, thresholds] = await Promise.all([
+      Product.find({ _id: { $in: ids } }).lean(),
+      loadThresholds(),
+    ]);
+    const byId = new Map(products.map((p) => [String(p._id), p]));
+
+    for (const line of lines) {
+      const product = byId.get(String(line.product._id || line.product));
+      if (!product || product.hidden) continue;
+      const variation = findVariation(product, line.color);
+      const size = String(line.size || "").trim();
+      const stock = stockOf(variation, size);
+      if (stock === null) continue;
+      const threshold = thresholdFor(product, thresholds);
+      if (stock > threshold) continue;
+
+      const variant = findVariant(variation, size);
+      const sku = variant ? variant.sku : null;
+      const claimed = await claimAlert({
+        product: product._id,
+        color: variation.color,
+        size,
+        sku,
+        stock,
+        threshold,
+      });
+      if (!claimed) continue;
+
+      await enqueueSafe("notify.admins", {
+        type: "inventory",
+        title: stock === 0 ? "Out of stock" : "Low stock",
+        body: `${product.name} (${variation.color} / ${size}${
+          sku ? `, ${sku}` : ""
+        }) has ${stock} left.`,
+        data: {
+          productId: String(product._id),
+          color: variation.color,
+          size,
+          sku,
+          stock,
+          threshold,
+        },
+      });
+    }
+  } catch (err) {
+    console.error("Low stock check failed:", err && err.message);
+  }
+}
+
+/**
+ * lowStockVariants({ days }) — every variant of a visible product at or
+ * below its threshold, with net units sold over the last `days` days (sales
+ * less cancellations, from the StockMovement ledger), the daily velocity and
+ * the days of stock left at that pace. Most urgent first.
+ */
+async function lowStockVariants({ days = 14 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 3600e3);
+  const [products, thresholds, sales] = await Promise.all([
+    Product.find({ hidden: { $ne: true } })
+      .select("name category lowStockThreshold variations")
+      .lean(),
+    loadThresholds(),
+    StockMovement.aggregate([
+      {
+        $match: {
+          type: { $in: ["sale", "cancel_restock"] },
+          createdAt: { $gte: since },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            product: "$product",
+            color: { $toLower: "$color" },
+            size: "$size",
+          },
+          quantity: { $sum: "$quantity" },
+        },
+      },
+    ]),
+  ]);
+  const sold = new Map(
+    sales.map((s) => [
+      JSON.stringify([String(s._id.product), s._id.color, s._id.size]),
+      Math.max(0, -s.quantity),
+    ])
+  );
+
+  const items = [];
+  for (const p of products) {
+    const threshold = thresholdFor(p, thresholds);
+    for (const v of p.variations || []) {
+      for (const [size, stock] of stockEntries(v)) {
+        if (stock > threshold) continue;
+        const variant = findVariant(v, size);
+        const units =
+          sold.get(JSON.stringify([String(p._id), lc(v.color), size])) || 0;
+        const velocity = Number((units / days).toFixed(2));
+        items.push({
+          product: { _id: p._id, name: p.name, category: p.category },
+          color: v.color,
+          size,
+          sku: variant ? variant.sku : null,
+          stock,
+          threshold,
+          soldLastDays: units,
+          velocity, // units per day
+          // at the current pace; null when nothing sold lately
+          daysOfStock:
+            stock === 0
+              ? 0
+              : velocity > 0
+              ? Number((stock / velocity).toFixed(1))
+              : null,
+        });
+      }
+    }
+  }
+
+  const cover = (i) => (i.daysOfStock === null ? Infinity : i.daysOfStock);
+  items.sort((a, b) => cover(a) - cover(b) || a.stock - b.stock);
+  return items;
+}
+
+module.exports = {
+  loadThresholds,
+  thresholdFor,
+  checkLowStock,
+  lowStockVariants,
+};
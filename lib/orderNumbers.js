@@ -0,0 +1,19 @@
+// backend/lib/orderNumbers.js
+// Human-readable order numbers: PX39-<year>-<000123>, one counter per year.
+const { nextSequence, padSequence } = require("./counters");
+
+const PREFIX = "PX39";
+
+async function nextOrderNumber(at = new Date()) {
+  const year = at.getUTCFullYear();
+  const seq = await nextSequence(`order-${year}`);
+  return `${PREFIX}-${year}-${padSequence(seq)}`;
+}
+
+/** what to show customers/admins: the order number, or the id for orders
+ * that predate numbering and haven't been backfilled */
+function orderRef(order) {
+  return (order && order.orderNumber) || String(order && order._id);
+}
+
+module.exports = { nextOrderNumber, orderRef };
@@ -0,0 +1,60 @@
+// backend/lib/orderState.js
+// Order fulfillment state machine and the order.history[] timeline.
+//
+//   pending -> processing -> shipped -> delivered
+//   pending | processing -> cancelled   (never after shipment)
+//
+// Every status, payment, refund and shipment event is appended to order.history with
+// who did it: actorType "customer" | "admin" | "system" | "provider".
+
+const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/** statuses an order may be in to move into `to` */
+function statusesLeadingTo(to) {
+  return ORDER_STATUSES.filter((from) => canTransition(from, to));
+}
+
+/**
+ * historyEntry({ type, from, to, actor, actorType, note, data })
+ * type: "status" | "payment" | "refund" | "shipment"
+ */
+function historyEntry({
+  type,
+  from,
+  to,
+  actor = null,
+  actorType = "system",
+  note,
+  data,
+}) {
+  return {
+    type,
+    from: from || undefined,
+    to: to || undefined,
+    actor: actor || undefined,
+    actorType,
+    note: note || undefined,
+    data: data || undefined,
+    at: new Date(),
+  };
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  canTransition,
+  statusesLeadingTo,
+  historyEntry,
+};
@@ -0,0 +1,48 @@
+// backend/lib/payments/index.js
+// Payment provider registry.
+//
+// A provider is an object with:
+//   name                                  — used in /payments/webhook/:provider
+//   createPaymentIntent({ orderId, amountCents, currency, metadata })
+//     -> { id, status, clientSecret, amountCents, currency }
+//   capturePayment(intentId)              -> { id, status }
+//   refundPayment({ intentId, amountCents, reason })
+//     -> { id, status, amountCents }
+//   verifyWebhookSignature(rawBody, headers)
+//     -> event { id, type, created, data: { intentId, orderId, amount, ... } }
+//     (throws when the signature is missing/invalid/stale)
+//
+// Event types understood by the payments controller:
+//   payment_intent.succeeded, payment_intent.payment_failed,
+//   charge.refunded (data: { intentId, refundId, amount } in cents; see
+//   lib/refunds.recordProviderRefund)
+const mockProvider = require("./mockProvider");
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function defaultProviderName() {
+  return process.env.PAYMENT_PROVIDER || "mock";
+}
+
+function paymentCurrency() {
+  return (process.env.PAYMENT_CURRENCY || "usd").toLowerCase();
+}
+
+if (String(process.env.MOCK_PAYMENTS_ENABLED || "true") !== "false") {
+  registerProvider(mockProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  defaultProviderName,
+  paymentCurrency,
+};
@@ -0,0 +1,109 @@
+// backend/lib/payments/mockProvider.js
+// Local mock provider: the old "fake" payment flow behind the provider
+// interface. Intents live on the order (order.payments[]); confirming one
+// produces an event that is signed and delivered back to
+// POST /payments/webhook/mock by the "payments.webhook.deliver" job, or
+// processed inline by POST /payments/fake.
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("../webhookSignature");
+
+const name = "mock";
+const SIGNATURE_HEADER = "x-px39-signature";
+
+function webhookSecret() {
+  if (process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  }
+  // dev fallback: derive from JWT_SECRET so the mock works out of the box
+  return crypto
+    .createHmac("sha256", String(process.env.JWT_SECRET || "px39"))
+    .update("mock-payments-webhook")
+    .digest("hex");
+}
+
+const randomId = (prefix) =>
+  `${prefix}_mock_${crypto.randomBytes(12).toString("hex")}`;
+
+async function createPaymentIntent({ orderId, amountCents, currency }) {
+  const id = randomId("pi");
+  return {
+    id,
+    status: "requires_confirmation",
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    amountCents,
+    currency,
+    orderId: String(orderId),
+  };
+}
+
+async function capturePayment(intentId) {
+  return { id: intentId, status: "succeeded" };
+}
+
+async function refundPayment({ intentId, amountCents }) {
+  return { id: randomId("re"), intentId, status: "succeeded", amountCents };
+}
+
+function buildEvent(type, data) {
+  return {
+    id: randomId("evt"),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data,
+  };
+}
+
+/**
+ * signEvent(event) -> { rawBody, headers } — signed at delivery time so a
+ * retried delivery doesn't carry a stale timestamp.
+ */
+function signEvent(event) {
+  const rawBody = JSON.stringify(event);
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: signPayload(webhookSecret(), rawBody) },
+  };
+}
+
+/**
+ * confirmPaymentIntent({ intentId, orderId, amountCents, currency, outcome, card })
+ * Simulates the customer finishing checkout: outcome "success" | "fail".
+ * Returns the webhook event for that outcome (unsigned, see signEvent).
+ */
+function confirmPaymentIntent({
+  intentId,
+  orderId,
+  amountCents,
+  currency,
+  outcome,
+  card,
+}) {
+  const succeeded = outcome === "success";
+  return buildEvent(
+    succeeded ? "payment_intent.succeeded" : "payment_intent.payment_failed",
+    {
+      intentId,
+      orderId: String(orderId),
+      amount: amountCents,
+      currency,
+      last4: (card && card.last4) || null,
+      failureReason: succeeded ? null : "simulated_failure",
+    }
+  );
+}
+
+function verifyWebhookSignature(rawBody, headers = {}) {
+  verifySignature(webhookSecret(), rawBody, headers[SIGNATURE_HEADER]);
+  return JSON.parse(rawBody);
+}
+
+module.exports = {
+  name,
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  verifyWebhookSignature,
+  // mock-only helpers
+  confirmPaymentIntent,
+  signEvent,
+};
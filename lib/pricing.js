@@ -0,0 +1,164 @@
+// backend/lib/pricing.js
+// Server-side pricing shared by checkout (order.controller) and cart previews.
+// All amounts are integer cents.
+const Product = require("../models/Product");
+const { findVariant } = require("./variants");
+
+/** escape user-provided regex text safely */
+function escapeRegExp(string = "") {
+  return String(string || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** case-insensitive color match against a product's variations */
+function findVariation(product, color) {
+  if (!product || !Array.isArray(product.variations) || !color) return null;
+  const colorRegex = new RegExp(`^${escapeRegExp(String(color))}$`, "i");
+  return (
+    product.variations.find((v) => colorRegex.test(String(v.color || ""))) ||
+    null
+  );
+}
+
+/** a variant's discount is switched on, positive and not expired */
+function variantDiscountLive(variant) {
+  if (!variant.discountActive || !(Number(variant.discount) > 0)) return false;
+  if (!variant.discountExpires) return true;
+  return new Date(variant.discountExpires).getTime() > Date.now();
+}
+
+/**
+ * Authoritative unit price (dollars) for a product/color/size.
+ * Logic: a variant with its own price or a live discount of its own is
+ * priced from that (its price, else product.price, less its discount);
+ * otherwise product.salePrice -> product.price.
+ * Returns null when the product carries no price at all.
+ */
+function unitPriceFor(product, color, size) {
+  const variant = findVariant(findVariation(product, color), size);
+  if (variant) {
+    const ownPrice = typeof variant.price === "number";
+    const base = ownPrice ? variant.price : product.price;
+    if ((ownPrice || variantDiscountLive(variant)) && base != null) {
+      return Product.computeSalePrice(
+        base,
+        variant.discount,
+        variant.discountType,
+        variant.discountActive,
+        variant.discountExpires
+      );
+    }
+  }
+  if (typeof product.salePrice === "number") return Number(product.salePrice);
+  if (typeof product.price === "number") return Number(product.price);
+  return null;
+}
+
+/** SKU of a product's color/size, or null */
+function variantSku(product, color, size) {
+  const variant = findVariant(findVariation(product, color), size);
+  return variant ? variant.sku : null;
+}
+
+/**
+ * priceOrderItems(items, { products })
+ * items: [{ product|productId, color, quantity, price }]
+ * products: optional Map of id -> product already loaded by the caller, so
+ * prices come from the same read (lib/cart).
+ * Returns { lines, subtotalCents } where each line carries what coupon rules
+ * need: { index, productId, category, tags, unitCents, quantity, lineCents },
+ * plus the variant's sku (null when the line has none).
+ * Throws when a referenced product doesn't exist or has no price.
+ */
+async function priceOrderItems(items, { products = null } = {}) {
+  const lines = [];
+  let subtotalCents = 0;
+
+  for (let index = 0; index < items.length; index++) {
+    const it = items[index];
+    const qty = Number(it.quantity) || 1;
+    let unitPrice = null;
+    let product = null;
+
+    const prodId = it.product || it.productId;
+    if (prodId) {
+      // fetch product to get authoritative price (supports variations if present)
+      product =
+        (products && products.get(String(prodId))) ||
+        (await Product.findById(prodId).lean());
+      if (!product) {
+        throw new Error(`Product not found: ${prodId}`);
+      }
+
+      unitPrice = unitPriceFor(product, it.color, it.size);
+      if (unitPrice === null) {
+        if (it.price) {
+          unitPrice = Number(it.price);
+        } else {
+          throw new Error(`Price missing for product ${prodId}`);
+        }
+      }
+    } else {
+      // Non-product fallback: use provided price (e.g., gift card)
+      unitPrice = Number(it.price || 0);
+    }
+
+    if (!Number.isFinite(unitPrice)) unitPrice = 0;
+
+    // convert to cents and multiply by quantity
+    const unitCents = Math.round(unitPrice * 100);
+    const lineCents = unitCents * qty;
+    subtotalCents += lineCents;
+
+    lines.push({
+      index,
+      productId: product ? String(product._id) : null,
+      category: product ? product.category : null,
+      tags: product ? product.tags || [] : [],
+      unitCents,
+      quantity: qty,
+      lineCents,
+      sku: variantSku(product, it.color, it.size),
+    });
+  }
+
+  return { lines, subtotalCents };
+}
+
+/**
+ * Recalculate total price server-side from DB products.
+ * Returns integer cents.
+ */
+async function recalcTotalPriceCents(items) {
+  const { subtotalCents } = await priceOrderItems(items);
+  return subtotalCents;
+}
+
+/**
+ * Flat shipping fee from SHIPPING_FEE (dollars, default 0), waived at or
+ * above FREE_SHIPPING_THRESHOLD (dollars) when set.
+ */
+function shippingFeeCents(subtotalCents) {
+  const fee = Math.round(Number(process.env.SHIPPING_FEE || 0) * 100);
+  const threshold = process.env.FREE_SHIPPING_THRESHOLD;
+  if (
+    threshold !== undefined &&
+    threshold !== "" &&
+    subtotalCents >= Math.round(Number(threshold) * 100)
+  ) {
+    return 0;
+  }
+  return Number.isFinite(fee) && fee > 0 ? fee : 0;
+}
+
+const toDollars = (cents) => Number((cents / 100).toFixed(2));
+
+module.exports = {
+  escapeRegExp,
+  findVariation,
+  unitPriceFor,
+  variantSku,
+  priceOrderItems,
+  recalcTotalPriceCents,
+  shippingFeeCents,
+  toDollars,
+};
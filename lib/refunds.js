@@ -0,0 +1,489 @@
+// backend/lib/refunds.js
+// Full and per-line partial refunds of paid orders.
+//
+// Each refund is appended to order.refunds[] as "pending" (a compare-and-swap
+// on the ledger length, so two admins can't refund the same money twice), then
+// sent to the payment provider and marked succeeded/failed. refundedTotal and
+// paymentStatus are recomputed from the ledger after every change.
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const nc = require("../controllers/notification.controller");
+const { getProvider } = require("./payments");
+const { notifyRestocked, restockItems } = require("./stock");
+const { runInTransaction } = require("./transactions");
+const { toDollars } = require("./pricing");
+const { historyEntry } = require("./orderState");
+const { orderRef } = require("./orderNumbers");
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+const countedRefunds = (order) =>
+  (order.refunds || []).filter((r) => r.status !== "failed");
+
+/**
+ * amount the customer actually paid for a line, after coupon discounts
+ * (item.price is the unit price the server charged, see lib/pricing)
+ */
+function lineNetCents(item) {
+  const gross = toCents(item.price) * (Number(item.quantity) || 0);
+  return Math.max(0, gross - toCents(item.discount));
+}
+
+function shippingNetCents(order) {
+  const shippingDiscount = (order.discounts || [])
+    .filter((d) => d.shipping)
+    .reduce((acc, d) => acc + toCents(d.amount), 0);
+  return Math.max(0, toCents(order.shippingPrice) - shippingDiscount);
+}
+
+/** per-line refunded { quantity, cents } and refunded shipping so far */
+function refundedSoFar(order) {
+  const lines = {};
+  let shippingCents = 0;
+  let totalCents = 0;
+  countedRefunds(order).forEach((r) => {
+    (r.lines || []).forEach((l) => {
+      const acc = lines[l.index] || { quantity: 0, cents: 0 };
+      acc.quantity += Number(l.quantity) || 0;
+      acc.cents += toCents(l.amount);
+      lines[l.index] = acc;
+    });
+    shippingCents += toCents(r.shippingAmount);
+    totalCents += toCents(r.amount);
+  });
+  return { lines, shippingCents, totalCents };
+}
+
+/**
+ * planRefund(order, { items, includeShipping })
+ * items: [{ index, quantity }] — omitted/empty means everything not refunded
+ * yet, shipping included.
+ * Returns { ok: false, message } or
+ * { ok: true, lines: [{ index, quantity, amountCents }], shippingCents, amountCents }
+ */
+function planRefund(order, { items, includeShipping } = {}) {
+  const done = refundedSoFar(order);
+  const orderItems = order.items || [];
+  const full = !Array.isArray(items) || items.length === 0;
+
+  const requested = full
+    ? orderItems.map((it, index) => ({
+        index,
+        quantity:
+          (Number(it.quantity) || 0) -
+          ((done.lines[index] || {}).quantity || 0),
+      }))
+    : items;
+
+  const seen = new Set();
+  const lines = [];
+  for (const reqLine of requested) {
+    const index = Number(reqLine.index);
+    const quantity = Number(reqLine.quantity);
+    const item = orderItems[index];
+    if (!Number.isInteger(index) || !item) {
+      return { ok: false, message: `Invalid item index ${reqLine.index}.` };
+    }
+    if (seen.has(index)) {
+      return { ok: false, message: `Item ${index} is listed twice.` };
+    }
+    seen.add(index);
+
+    const already = done.lines[index] || { quantity: 0, cents: 0 };
+    const remainingQty = (Number(item.quantity) || 0) - already.quantity;
+    if (full && remainingQty <= 0) continue;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { ok: false, message: `Invalid quantity for item ${index}.` };
+    }
+    if (quantity > remainingQty) {
+      return {
+        ok: false,
+        message: `Only ${remainingQty} of item ${index} can still be refunded.`,
+      };
+    }
+
+    // refunding the rest of a line gives back exactly what's left of it, so
+    // rounding never leaves or over-refunds a cent
+    const netCents = lineNetCents(item);
+    const remainingCents = Math.max(0, netCents - already.cents);
+    const amountCents =
+      quantity === remainingQty
+        ? remainingCents
+        : Math.min(
+            remainingCents,
+            Math.round((netCents * quantity) / item.quantity)
+          );
+    lines.push({ index, quantity, amountCents });
+  }
+
+  const shippingCents =
+    full || includeShipping
+      ? Math.max(0, shippingNetCents(order) - done.shippingCents)
+      : 0;
+  let amountCents =
+    lines.reduce((acc, l) => acc + l.amountCents, 0) + shippingCents;
+
+  // never give back more than was charged
+  const leftCents = Math.max(0, toCents(order.totalPrice) - done.totalCents);
+  amountCents = Math.min(amountCents, leftCents);
+  if (amountCents <= 0) {
+    return { ok: false, message: "Nothing left to refund on this order." };
+  }
+
+  return { ok: true, lines, shippingCents, amountCents };
+}
+
+/**
+ * Recomputes refundedTotal and paymentStatus from the ledger in one atomic
+ * pipeline update (same rules as the paymentStatus default in models/Order).
+ */
+function refreshRefundTotals(orderId) {
+  return Order.findOneAndUpdate(
+    { _id: orderId },
+    [
+      {
+        $set: {
+          refundedTotal: {
+            $round: [
+              {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ["$refunds", []] },
+                        cond: { $ne: ["$$this.status", "failed"] },
+                      },
+                    },
+                    in: "$$this.amount",
+                  },
+                },
+              },
+              2,
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          paymentStatus: {
+            $switch: {
+              branches: [
+                { case: { $ne: ["$payed", true] }, then: "unpaid" },
+                { case: { $lte: ["$refundedTotal", 0] }, then: "paid" },
+                {
+                  case: { $gte: ["$refundedTotal", "$totalPrice"] },
+                  then: "refunded",
+                },
+              ],
+              default: "partially_refunded",
+            },
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+}
+
+function setRefundFields(orderId, refundId, fields, history, session = null) {
+  const $set = {};
+  Object.entries(fields).forEach(([k, v]) => {
+    $set[`refunds.$.${k}`] = v;
+  });
+  const update = { $set };
+  if (history) update.$push = { history };
+  return Order.updateOne({ _id: orderId, "refunds._id": refundId }, update, {
+    session,
+  });
+}
+
+/**
+ * issueRefund(order, { items, includeShipping, reason, restock, actorId, app,
+ *   returnRequestId, notify })
+ * notify: false skips the "Refund issued" notification (returns send their own).
+ * Returns { ok: false, status, message } or { ok: true, refund, order }.
+ */
+async function issueRefund(
+  order,
+  {
+    items,
+    includeShipping,
+    reason,
+    restock = false,
+    actorId = null,
+    app = null,
+    returnRequestId = null,
+    notify = true,
+  }
+) {
+  if (!order.payed) {
+    return { ok: false, status: 409, message: "Order has not been paid." };
+  }
+  if (restock && order.status === "cancelled") {
+    return {
+      ok: false,
+      status: 409,
+      message: "Items of a cancelled order were already restocked.",
+    };
+  }
+
+  const plan = planRefund(order, { items, includeShipping });
+  if (!plan.ok) return { ok: false, status: 400, message: plan.message };
+
+  // the attempt that took the money (orders paid through /payments/fake
+  // before providers existed have none and are refunded manually)
+  const attempt = (order.payments || [])
+    .filter((p) => p.status === "succeeded")
+    .pop();
+  const provider = attempt ? getProvider(attempt.provider) : null;
+  if (attempt && !provider) {
+    return {
+      ok: false,
+      status: 502,
+      message: `Payment provider "${attempt.provider}" is not available.`,
+    };
+  }
+
+  const refundId = new mongoose.Types.ObjectId();
+  const refund = {
+    _id: refundId,
+    amount: toDollars(plan.amountCents),
+    shippingAmount: toDollars(plan.shippingCents),
+    reason,
+    lines: plan.lines.map((l) => ({
+      index: l.index,
+      quantity: l.quantity,
+      amount: toDollars(l.amountCents),
+    })),
+    restock: !!restock,
+    provider: attempt ? attempt.provider : "manual",
+    intentId: attempt ? attempt.intentId : undefined,
+    status: attempt ? "pending" : "succeeded",
+    returnRequest: returnRequestId || undefined,
+    createdBy: actorId,
+  };
+
+  const refundHistory = (note) =>
+    historyEntry({
+      type: "refund",
+      actor: actorId,
+      actorType: actorId ? "admin" : "system",
+      note,
+      data: { refundId, amount: refund.amount, reason },
+    });
+
+  const appended = await Order.updateOne(
+    { _id: order._id, refunds: { $size: (order.refunds || []).length } },
+    {
+      $push: {
+        refunds: refund,
+        history: refundHistory(
+          attempt
+            ? `Refund of $${refund.amount.toFixed(2)} requested`
+            : `Manual refund of $${refund.amount.toFixed(2)} recorded`
+        ),
+      },
+    }
+  );
+  if (!appended.modifiedCount) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Order refunds changed meanwhile, please reload and retry.",
+    };
+  }
+  await refreshRefundTotals(order._id);
+
+  if (provider) {
+    try {
+      const providerRefund = await provider.refundPayment({
+        intentId: attempt.intentId,
+        amountCents: plan.amountCents,
+        reason,
+      });
+      await setRefundFields(
+        order._id,
+        refundId,
+        {
+          status: "succeeded",
+          providerRefundId: providerRefund && providerRefund.id,
+        },
+        refundHistory("Refund succeeded")
+      );
+    } catch (err) {
+      console.error("Provider refund failed:", err && (err.stack || err));
+      await setRefundFields(
+        order._id,
+        refundId,
+        {
+          status: "failed",
+          failureReason: (err && err.message) || "provider error",
+        },
+        refundHistory(`Refund failed: ${err && err.message}`)
+      );
+      await refreshRefundTotals(order._id);
+      return {
+        ok: false,
+        status: 502,
+        message: `Refund failed at payment provider: ${err && err.message}`,
+      };
+    }
+  }
+
+  // stock and the refund's restocked flag move together (lib/transactions).
+  // The flag is only set while the order isn't cancelled, and cancelOrder
+  // skips lines already restocked, so the goods go back once either way.
+  if (restock && plan.lines.length) {
+    const soldOut = await runInTransaction(async (session) => {
+      const marked = await Order.updateOne(
+        {
+          _id: order._id,
+          "refunds._id": refundId,
+          status: { $ne: "cancelled" },
+        },
+        { $set: { "refunds.$.restocked": true } },
+        { session }
+      );
+      if (!marked.modifiedCount) return [];
+      return restockItems(
+        plan.lines.map((l) => ({
+          ...(order.items[l.index].toObject
+            ? order.items[l.index].toObject()
+            : order.items[l.index]),
+          quantity: l.quantity,
+        })),
+        {
+          session,
+          movement: {
+            type: "return",
+            reason: `refund: ${reason}`,
+            order: order._id,
+            returnRequest: returnRequestId,
+            actor: actorId,
+            actorType: actorId ? "admin" : "system",
+          },
+        }
+      );
+    });
+    await notifyRestocked(soldOut);
+  }
+
+  const updated = await Order.findById(order._id);
+  const result = {
+    ok: true,
+    refund: updated ? updated.refunds.id(refundId) : refund,
+    order: updated,
+  };
+  // guest orders have no account to notify
+  if (!notify || !order.user) return result;
+
+  try {
+    await nc.createAndEmitNotification({
+      req: app ? { app } : null,
+      userId: order.user._id || order.user,
+      type: "order",
+      title: "Refund issued",
+      body: `A refund of $${refund.amount.toFixed(2)} for order ${orderRef(
+        order
+      )} has been issued.`,
+      data: {
+        orderId: String(order._id),
+        orderNumber: order.orderNumber,
+        refundId: String(refundId),
+        amount: refund.amount,
+        paymentStatus: updated && updated.paymentStatus,
+      },
+    });
+  } catch (e) {
+    console.warn("notify user after refund failed:", e && e.message);
+  }
+
+  return result;
+}
+
+/**
+ * recordProviderRefund(order, { provider, intentId, providerRefundId,
+ *   amountCents })
+ * A refund reported by the provider ("charge.refunded" webhook). Refunds
+ * issued through issueRefund are matched by providerRefundId, or by a
+ * pending refund of the same amount when the webhook arrives before
+ * issueRefund stored the id, and marked succeeded. Refunds made elsewhere
+ * (e.g. the provider's dashboard) are appended to the ledger without lines.
+ * Returns { outcome, reason? }; throws when the ledger changed meanwhile so
+ * the webhook is retried.
+ */
+async function recordProviderRefund(
+  order,
+  { provider, intentId, providerRefundId, amountCents }
+) {
+  const cents = Math.round(Number(amountCents) || 0);
+  if (!providerRefundId || cents <= 0) {
+    return { outcome: "ignored", reason: "malformed_refund" };
+  }
+  const refunds = order.refunds || [];
+  const known =
+    refunds.find((r) => r.providerRefundId === providerRefundId) ||
+    refunds.find(
+      (r) =>
+        r.status === "pending" &&
+        !r.providerRefundId &&
+        r.intentId === intentId &&
+        toCents(r.amount) === cents
+    );
+  const history = (note, amount) =>
+    historyEntry({
+      type: "refund",
+      actorType: "provider",
+      note,
+      data: { providerRefundId, amount },
+    });
+
+  if (known) {
+    if (known.status === "succeeded" && known.providerRefundId) {
+      return { outcome: "ignored", reason: "already_recorded" };
+    }
+    await setRefundFields(
+      order._id,
+      known._id,
+      { status: "succeeded", providerRefundId },
+      known.status === "succeeded"
+        ? null
+        : history("Refund confirmed by provider", known.amount)
+    );
+    await refreshRefundTotals(order._id);
+    return { outcome: "refund_confirmed" };
+  }
+
+  const amount = toDollars(cents);
+  const appended = await Order.updateOne(
+    { _id: order._id, refunds: { $size: refunds.length } },
+    {
+      $push: {
+        refunds: {
+          amount,
+          reason: "Refunded at the payment provider",
+          provider,
+          intentId,
+          providerRefundId,
+          status: "succeeded",
+        },
+        history: history(
+          `Refund of $${amount.toFixed(2)} made at ${provider}`,
+          amount
+        ),
+      },
+    }
+  );
+  if (!appended.modifiedCount) {
+    throw new Error("Order refunds changed meanwhile");
+  }
+  await refreshRefundTotals(order._id);
+  return { outcome: "refund_recorded" };
+}
+
+module.exports = {
+  planRefund,
+  issueRefund,
+  refreshRefundTotals,
+  recordProviderRefund,
+};
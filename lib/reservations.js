@@ -0,0 +1,156 @@
+// backend/lib/reservations.js
+// Stock reservations between checkout and payment.
+//
+// createOrder takes the stock and stores an active `order.reservation` with an
+// expiry (RESERVATION_TTL_MINUTES, default 30). A successful payment converts
+// it into a sale; otherwise the "reservations.expire" job cancels the unpaid
+// order, restocks its items and gives coupon uses back.
+//
+// Conversion and expiry are both conditional updates on
+// reservation.status === "active", so exactly one of them wins. Expiry goes
+// through lib/checkout.cancelOrder, which restocks in the same transaction.
+const Order = require("../models/Order");
+const nc = require("../controllers/notification.controller");
+const { cancelOrder } = require("./checkout");
+const { historyEntry, statusesLeadingTo } = require("./orderState");
+const { orderRef } = require("./orderNumbers");
+
+function reservationTtlMs() {
+  const minutes = Number(process.env.RESERVATION_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+}
+
+/** reservation sub-document for a new order */
+function newReservation(now = new Date()) {
+  return {
+    status: "active",
+    expiresAt: new Date(now.getTime() + reservationTtlMs()),
+  };
+}
+
+/**
+ * convertReservation(orderId)
+ * Marks an active, unexpired reservation as sold. Returns the updated order,
+ * or null when the hold is gone (expired/released) — the caller must then
+ * refuse the payment. Orders created before reservations existed have no
+ * reservation and are returned unchanged.
+ */
+async function convertReservation(orderId) {
+  const now = new Date();
+  const converted = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      "reservation.status": "active",
+      "reservation.expiresAt": { $gt: now },
+    },
+    {
+      $set: {
+        "reservation.status": "converted",
+        "reservation.convertedAt": now,
+      },
+    },
+    { new: true }
+  );
+  if (converted) return converted;
+
+  const order = await Order.findById(orderId);
+  if (order && !(order.reservation && order.reservation.status)) return order;
+  return null;
+}
+
+/**
+ * expireReservation(orderId, { app }) — cancel one unpaid order whose hold
+ * ran out (pending, or already moved to processing): restock, release
+ * coupons, notify the customer.
+ * Returns true when this call performed the expiry.
+ */
+async function expireReservation(orderId, { app = null } = {}) {
+  // an admin may have moved the unpaid order on to "processing"; the hold
+  // lapses all the same, since convertReservation refuses the payment
+  let order = null;
+  for (const from of statusesLeadingTo("cancelled")) {
+    order = await cancelOrder(
+      {
+        _id: orderId,
+        payed: false,
+        status: from,
+        "reservation.status": "active",
+        "reservation.expiresAt": { $lte: new Date() },
+      },
+      {
+        releaseReason: "expired",
+        history: historyEntry({
+          type: "status",
+          from,
+          to: "cancelled",
+          note: "Reservation expired before payment",
+        }),
+      }
+    );
+    if (order) break;
+  }
+  if (!order) return false;
+
+  try {
+    if (order.user) {
+      await nc.createAndEmitNotification({
+        req: app ? { app } : null,
+        userId: order.user,
+        type: "order",
+        title: "Order cancelled",
+        body: `Your order ${orderRef(
+          order
+        )} was cancelled because payment wasn't received in time. The items have been released.`,
+        data: {
+          orderId: String(order._id),
+          orderNumber: order.orderNumber,
+          status: "cancelled",
+          reason: "reservation_expired",
+        },
+      });
+    }
+  } catch (e) {
+    console.warn(
+      "notify user after reservation expiry failed:",
+      e && e.message
+    );
+  }
+  return true;
+}
+
+/**
+ * Sweeper for the recurring "reservations.expire" job.
+ */
+async function expireReservations({ app = null, batchSize = 100 } = {}) {
+  const due = await Order.find({
+    payed: false,
+    status: { $in: statusesLeadingTo("cancelled") },
+    "reservation.status": "active",
+    "reservation.expiresAt": { $lte: new Date() },
+  })
+    .sort({ "reservation.expiresAt": 1 })
+    .limit(batchSize)
+    .select("_id")
+    .lean();
+
+  let expired = 0;
+  for (const o of due) {
+    try {
+      if (await expireReservation(o._id, { app })) expired++;
+    } catch (e) {
+      console.error(
+        `Reservation expiry failed for order ${o._id}:`,
+        e && e.stack ? e.stack : e
+      );
+    }
+  }
+  return { scanned: due.length, expired };
+}
+
+module.exports = {
+  reservationTtlMs,
+  newReservation,
+  convertReservation,
+  expireReservation,
+  expireReservations,
+};
@@ -0,0 +1,82 @@
+// backend/lib/settings.js
+// Runtime settings (models/Setting). Each known setting falls back to an
+// environment variable, read on every lookup, when no value is stored:
+//
+//   requireAdmin2fa  REQUIRE_ADMIN_2FA=true   admin routes refuse admins
+//                                            without two-factor auth
+//
+// Stored values are cached per process for SETTINGS_CACHE_MS (default 10 s),
+// so a change made through PUT /admin/settings reaches every server within
+// that time.
+const Setting = require("../models/Setting");
+
+const envBool = (name) =>
+  String(process.env[name] || "").toLowerCase() === "true";
+
+const SETTINGS = {
+  requireAdmin2fa: { fallback: () => envBool("REQUIRE_ADMIN_2FA") },
+};
+
+const cache = new Map(); // key -> { value, at }
+const cacheMs = () => {
+  const n = Number(process.env.SETTINGS_CACHE_MS);
+  return Number.isFinite(n) && n >= 0 ? n : 10 * 1000;
+};
+
+/** the stored value of a setting, or undefined when none is stored */
+async function storedSetting(key) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < cacheMs()) return hit.value;
+  const doc = await Setting.findById(key).lean();
+  const value = doc && doc.value !== null ? doc.value : undefined;
+  cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+/**
+ * getSetting(key) — stored value, else the environment fallback. When the
+ * database can't be read the fallback is used (and the error logged).
+ */
+async function getSetting(key) {
+  const spec = SETTINGS[key];
+  if (!spec) throw new Error(`Unknown setting "${key}"`);
+  try {
+    const value = await storedSetting(key);
+    if (value !== undefined) return value;
+  } catch (err) {
+    console.warn(`settings: could not read "${key}":`, err && err.message);
+  }
+  return spec.fallback();
+}
+
+/** setSetting(key, value, { actor }) — null removes the stored value */
+async function setSetting(key, value, { actor = null } = {}) {
+  if (!SETTINGS[key]) throw new Error(`Unknown setting "${key}"`);
+  if (value === null) {
+    await Setting.deleteOne({ _id: key });
+  } else {
+    await Setting.updateOne(
+      { _id: key },
+      { $set: { value, updatedBy: actor } },
+      { upsert: true }
+    );
+  }
+  cache.delete(key);
+}
+
+/** { key: { value, stored, fallback } } for every known setting */
+async function describeSettings() {
+  const out = {};
+  for (const key of Object.keys(SETTINGS)) {
+    const stored = await storedSetting(key);
+    const fallback = SETTINGS[key].fallback();
+    out[key] = {
+      value: stored === undefined ? fallback : stored,
+      stored: stored === undefined ? null : stored,
+      fallback,
+    };
+  }
+  return out;
+}
+
+module.exports = { getSetting, setSetting, describeSettings };
@@ -0,0 +1,380 @@
+// backend/lib/shipments.js
+// Shipments (order.shipments[]) and carrier tracking events.
+//
+// An order can be split into several shipments. Once every item is in a
+// shipment a "processing" order moves to "shipped"; once every shipment is
+// delivered it moves to "delivered". Tracking events come from a carrier's
+// webhook (lib/carriers) and are de-duplicated by event id.
+const Order = require("../models/Order");
+const nc = require("../controllers/notification.controller");
+const { enqueueSafe } = require("./jobs");
+const { getCarrier } = require("./carriers");
+const { historyEntry } = require("./orderState");
+const { orderRef } = require("./orderNumbers");
+
+const TRACKING_STATUSES = [
+  "label_created",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "exception",
+];
+// progress order; "exception" can happen at any point
+const STATUS_RANK = {
+  label_created: 0,
+  in_transit: 1,
+  out_for_delivery: 2,
+  delivered: 3,
+};
+
+const MILESTONE_TITLES = {
+  in_transit: "Your package is on its way",
+  out_for_delivery: "Your package is out for delivery",
+  delivered: "Your package was delivered",
+  exception: "There is a problem with your delivery",
+};
+
+function shippedQuantities(order) {
+  const shipped = {};
+  (order.shipments || []).forEach((s) =>
+    (s.items || []).forEach((it) => {
+      shipped[it.index] = (shipped[it.index] || 0) + (Number(it.quantity) || 0);
+    })
+  );
+  return shipped;
+}
+
+function isFullyShipped(order) {
+  const shipped = shippedQuantities(order);
+  return (order.items || []).every(
+    (it, index) => (shipped[index] || 0) >= (Number(it.quantity) || 0)
+  );
+}
+
+/**
+ * planShipmentItems(order, items) — items: [{ index, quantity }], omitted
+ * means everything not shipped yet.
+ * Returns { ok: true, items } or { ok: false, message }.
+ */
+function planShipmentItems(order, items) {
+  const shipped = shippedQuantities(order);
+  const remaining = (order.items || []).map(
+    (it, index) => (Number(it.quantity) || 0) - (shipped[index] || 0)
+  );
+
+  const requested =
+    Array.isArray(items) && items.length
+      ? items
+      : remaining
+          .map((quantity, index) => ({ index, quantity }))
+          .filter((l) => l.quantity > 0);
+
+  const seen = new Set();
+  for (const line of requested) {
+    if (!order.items[line.index]) {
+      return { ok: false, message: `Invalid item index ${line.index}.` };
+    }
+    if (seen.has(line.index)) {
+      return { ok: false, message: `Item ${line.index} is listed twice.` };
+    }
+    seen.add(line.index);
+    if (line.quantity > remaining[line.index]) {
+      return {
+        ok: false,
+        message: `Only ${remaining[line.index]} of item ${
+          line.index
+        } are left to ship.`,
+      };
+    }
+  }
+  if (!requested.length) {
+    return { ok: false, message: "Every item of this order has shipped." };
+  }
+  return {
+    ok: true,
+    items: requested.map((l) => ({ index: l.index, quantity: l.quantity })),
+  };
+}
+
+async function notifyCustomer(app, order, title, body, data) {
+  if (!order.user) return; // guest order
+  try {
+    await nc.createAndEmitNotification({
+      req: app ? { app } : null,
+      userId: order.user._id || order.user,
+      type: "order",
+      title,
+      body,
+      data: {
+        orderId: String(order._id),
+        orderNumber: order.orderNumber,
+        ...data,
+      },
+    });
+  } catch (e) {
+    console.warn("notify user about shipment failed:", e && e.message);
+  }
+}
+
+/**
+ * createShipment(order, { carrier, trackingNumber, trackingUrl, items,
+ *   estimatedDelivery, actorId, app })
+ * Returns { ok: false, status, message } or { ok: true, shipment, order }.
+ */
+async function createShipment(
+  order,
+  {
+    carrier,
+    trackingNumber,
+    trackingUrl,
+    items,
+    estimatedDelivery,
+    actorId = null,
+    app = null,
+  }
+) {
+  if (!["processing", "shipped"].includes(order.status)) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Orders in "${order.status}" can't be shipped; move them to "processing" first.`,
+    };
+  }
+
+  const plan = planShipmentItems(order, items);
+  if (!plan.ok) return { ok: false, status: 400, message: plan.message };
+
+  const carrierName = String(carrier).toLowerCase();
+  const carrierImpl = getCarrier(carrierName);
+  const number =
+    trackingNumber ||
+    (carrierImpl && carrierImpl.generateTrackingNumber
+      ? carrierImpl.generateTrackingNumber()
+      : null);
+  if (!number) {
+    return { ok: false, status: 400, message: "trackingNumber is required." };
+  }
+
+  const shipment = {
+    carrier: carrierName,
+    trackingNumber: number,
+    trackingUrl:
+      trackingUrl || (carrierImpl ? carrierImpl.trackingUrl(number) : ""),
+    items: plan.items,
+    estimatedDelivery: estimatedDelivery || undefined,
+    status: "label_created",
+    shippedAt: new Date(),
+    createdBy: actorId || undefined,
+  };
+
+  // compare-and-swap on the shipment count so two admins can't ship the same
+  // items twice
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      shipments: { $size: (order.shipments || []).length },
+    },
+    {
+      $push: {
+        shipments: shipment,
+        history: historyEntry({
+          type: "shipment",
+          actor: actorId,
+          actorType: "admin",
+          note: `Shipped with ${carrierName} (${number})`,
+          data: { trackingNumber: number, items: plan.items },
+        }),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Order changed meanwhile, please reload and retry.",
+    };
+  }
+
+  let result = updated;
+  if (updated.status === "processing" && isFullyShipped(updated)) {
+    result =
+      (await Order.findOneAndUpdate(
+        { _id: order._id, status: "processing" },
+        {
+          $set: { status: "shipped" },
+          $push: {
+            history: historyEntry({
+              type: "status",
+              from: "processing",
+              to: "shipped",
+              actor: actorId,
+              actorType: "admin",
+              note: "All items shipped",
+            }),
+          },
+        },
+        { new: true }
+      )) || updated;
+  }
+
+  const saved = result.shipments[result.shipments.length - 1];
+
+  // the simulated carrier reports its scripted journey through the webhook
+  if (carrierImpl && typeof carrierImpl.journey === "function") {
+    for (const step of carrierImpl.journey(number)) {
+      await enqueueSafe(
+        "shipments.webhook.deliver",
+        { carrier: carrierImpl.name, event: step.event },
+        { delayMs: step.delayMs }
+      );
+    }
+  }
+
+  await notifyCustomer(
+    app,
+    order,
+    result.status === "shipped"
+      ? "Order shipped"
+      : "Part of your order shipped",
+    `Your order ${orderRef(
+      order
+    )} shipped with ${carrierName}. Tracking number: ${number}.`,
+    {
+      shipmentId: String(saved._id),
+      trackingNumber: number,
+      trackingUrl: saved.trackingUrl,
+      status: result.status,
+    }
+  );
+
+  return { ok: true, shipment: saved, order: result };
+}
+
+/**
+ * Applies one tracking event. Returns { outcome, ... } describing what
+ * happened (applied / duplicate / ignored).
+ */
+async function applyTrackingEvent(carrierName, ev, { app = null } = {}) {
+  if (!ev || !ev.eventId || !ev.trackingNumber) {
+    return { outcome: "ignored", reason: "malformed" };
+  }
+  if (!TRACKING_STATUSES.includes(ev.status)) {
+    return {
+      outcome: "ignored",
+      reason: "unknown_status",
+      eventId: ev.eventId,
+    };
+  }
+
+  const match = { carrier: carrierName, trackingNumber: ev.trackingNumber };
+  const order = await Order.findOne({ shipments: { $elemMatch: match } });
+  if (!order) {
+    return {
+      outcome: "ignored",
+      reason: "unknown_shipment",
+      eventId: ev.eventId,
+    };
+  }
+  const shipment = order.shipments.find(
+    (s) => s.carrier === carrierName && s.trackingNumber === ev.trackingNumber
+  );
+
+  // only move forward, except that problems and recoveries always show
+  const moves =
+    ev.status === "exception" ||
+    shipment.status === "exception" ||
+    STATUS_RANK[ev.status] > STATUS_RANK[shipment.status];
+
+  const at = ev.at ? new Date(ev.at) : new Date();
+  const update = {
+    $push: {
+      "shipments.$.events": {
+        eventId: ev.eventId,
+        status: ev.status,
+        description: ev.description,
+        location: ev.location,
+        at,
+      },
+    },
+  };
+  if (moves) {
+    update.$set = { "shipments.$.status": ev.status };
+    if (ev.status === "delivered") update.$set["shipments.$.deliveredAt"] = at;
+    update.$push.history = historyEntry({
+      type: "shipment",
+      actorType: "provider",
+      note: `${ev.trackingNumber}: ${ev.status}`,
+      data: { trackingNumber: ev.trackingNumber, eventId: ev.eventId },
+    });
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      shipments: {
+        $elemMatch: { ...match, "events.eventId": { $ne: ev.eventId } },
+      },
+    },
+    update,
+    { new: true }
+  );
+  if (!updated) return { outcome: "duplicate", eventId: ev.eventId };
+  if (!moves) return { outcome: "applied", eventId: ev.eventId };
+
+  await notifyCustomer(
+    app,
+    order,
+    MILESTONE_TITLES[ev.status] || "Shipment update",
+    `${ev.description || ev.status} — order ${orderRef(order)}, tracking ${
+      ev.trackingNumber
+    }.`,
+    {
+      shipmentId: String(shipment._id),
+      trackingNumber: ev.trackingNumber,
+      trackingStatus: ev.status,
+    }
+  );
+
+  // last parcel delivered -> the order is delivered
+  const allDelivered =
+    isFullyShipped(updated) &&
+    updated.shipments.every((s) => s.status === "delivered");
+  if (updated.status === "shipped" && allDelivered) {
+    const delivered = await Order.findOneAndUpdate(
+      { _id: order._id, status: "shipped" },
+      {
+        $set: { status: "delivered", deliveredAt: at },
+        $push: {
+          history: historyEntry({
+            type: "status",
+            from: "shipped",
+            to: "delivered",
+            actorType: "provider",
+            note: "All shipments delivered",
+          }),
+        },
+      },
+      { new: true }
+    );
+    if (delivered) {
+      await notifyCustomer(
+        app,
+        order,
+        "Order delivered",
+        `Your order ${orderRef(order)} is now "delivered".`,
+        { status: "delivered" }
+      );
+    }
+  }
+
+  return { outcome: "applied", eventId: ev.eventId, status: ev.status };
+}
+
+module.exports = {
+  TRACKING_STATUSES,
+  planShipmentItems,
+  createShipment,
+  applyTrackingEvent,
+};
@@ -0,0 +1,124 @@
+// backend/lib/sizes.js
+// Size systems and the per-variation stock map (variations[].stockBySize).
+//
+// Stock is a Map keyed by size. MongoDB field paths (and Mongoose maps) can't
+// contain ".", so a size like "9.5" is stored under "9_5" (SizeSystem sizes
+// never contain "_"). Code that reads or writes stock goes through sizeKey /
+// stockOf instead of building paths from raw size strings.
+const SizeSystem = require("../models/SizeSystem");
+
+/** storage key for a size label, or null when it can't be a size at all */
+function sizeKey(size) {
+  const label = String(size == null ? "" : size).trim();
+  if (!SizeSystem.SIZE_PATTERN.test(label)) return null;
+  return label.replace(/\./g, "_");
+}
+
+const sizeFromKey = (key) => String(key).replace(/_/g, ".");
+
+const mapEntries = (m) =>
+  m instanceof Map ? [...m.entries()] : Object.entries(m || {});
+
+/** stock of one size of a variation (document or lean), null when not sold */
+function stockOf(variation, size) {
+  const key = sizeKey(size);
+  if (!key || !variation || !variation.stockBySize) return null;
+  const m = variation.stockBySize;
+  const value = m instanceof Map ? m.get(key) : m[key];
+  return value == null ? null : Math.max(0, Number(value) || 0);
+}
+
+/** [[size, quantity]] of a variation, with sizes as labels */
+function stockEntries(variation) {
+  return mapEntries(variation && variation.stockBySize)
+    .filter(([, qty]) => qty != null)
+    .map(([key, qty]) => [sizeFromKey(key), Number(qty) || 0]);
+}
+
+/** { size: quantity } with labels, for API responses */
+function stockObject(variation) {
+  return Object.fromEntries(stockEntries(variation));
+}
+
+/**
+ * sizeSystemFor(product) — the product's own sizeSystem, else the one for
+ * its category. Lean SizeSystem or null.
+ */
+async function sizeSystemFor(product) {
+  if (!product) return null;
+  if (product.sizeSystem) {
+    return SizeSystem.findOne({ key: product.sizeSystem }).lean();
+  }
+  const category = String(product.category || "")
+    .trim()
+    .toLowerCase();
+  if (!category) return null;
+  return SizeSystem.findOne({ categories: category }).lean();
+}
+
+/**
+ * prepareProductSizes(product) — checks the sizes of a product about to be
+ * saved (create, or the merged result of an update) against its size system
+ * and returns { ok: false, message } or { ok: true, variations, sizes } with
+ * stock maps keyed by sizeKey and sizes defaulting to the stocked ones in the
+ * system's order. Stock is given as { "<size>": quantity }.
+ */
+async function prepareProductSizes(product) {
+  const system = await sizeSystemFor(product);
+  if (!system) {
+    return {
+      ok: false,
+      message: product.sizeSystem
+        ? `Unknown size system "${product.sizeSystem}".`
+        : `No size system is set up for category "${product.category}".`,
+    };
+  }
+  const allowed = new Set(system.sizes);
+
+  const stocked = new Set();
+  const variations = [];
+  for (const v of product.variations || []) {
+    const stockBySize = {};
+    for (const [size, qty] of stockEntries(v)) {
+      if (!allowed.has(size)) {
+        return {
+          ok: false,
+          message: `Size "${size}" of color "${v.color}" is not in size system "${system.key}".`,
+        };
+      }
+      if (!Number.isInteger(qty) || qty < 0) {
+        return {
+          ok: false,
+          message: `Stock of size "${size}" (color "${v.color}") must be a whole number of 0 or more.`,
+        };
+      }
+      stockBySize[sizeKey(size)] = qty;
+      stocked.add(size);
+    }
+    variations.push({ ...v, stockBySize });
+  }
+
+  const sizes =
+    Array.isArray(product.sizes) && product.sizes.length
+      ? product.sizes.map((s) => String(s).trim())
+      : system.sizes.filter((s) => stocked.has(s));
+  const unknown = sizes.find((s) => !allowed.has(s));
+  if (unknown) {
+    return {
+      ok: false,
+      message: `Size "${unknown}" is not in size system "${system.key}".`,
+    };
+  }
+
+  return { ok: true, system, variations, sizes };
+}
+
+module.exports = {
+  sizeKey,
+  sizeFromKey,
+  stockOf,
+  stockEntries,
+  stockObject,
+  sizeSystemFor,
+  prepareProductSizes,
+};
@@ -0,0 +1,303 @@
+// backend/lib/stock.js
+// Variation stock updates (Product.variations[].stockBySize[size]).
+// Every stock change in checkout, cancellation and payment failure goes
+// through these helpers. Each takes an optional { session } so it can join a
+// transaction (lib/transactions); without one the update applies at once.
+//
+// Only sizes that already have a stock entry are touched. Entries are checked
+// against the product's size system when the product is saved and a size
+// system can't drop sizes still in stock (lib/sizes), so a size outside the
+// system is rejected here rather than created by $inc.
+//
+// Every change is also written to the StockMovement ledger, so callers pass a
+// `movement` ({ type, reason?, actor?, actorType?, order?, returnRequest? }).
+// Inside a transaction the entry commits with the stock; without one a failed
+// ledger write is logged and left for scripts/reconcile-stock.js to report.
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const ReturnRequest = require("../models/ReturnRequest");
+const { escapeRegExp } = require("./pricing");
+const { sizeKey, sizeSystemFor, stockEntries, stockOf } = require("./sizes");
+const { findVariant } = require("./variants");
+const { enqueueSafe } = require("./jobs");
+
+function variationQuery(productId, color, extra = {}) {
+  const colorRegex = new RegExp(`^${escapeRegExp(color)}$`, "i");
+  return {
+    _id: productId,
+    variations: { $elemMatch: { color: colorRegex, ...extra } },
+  };
+}
+
+/**
+ * recordMovements(entries, { session })
+ * entries: [{ product, color, size, quantity, type, ... }] — appended to the
+ * ledger as given (quantity signed, zero entries skipped).
+ */
+async function recordMovements(entries, { session = null } = {}) {
+  const docs = entries.filter((e) => e.quantity);
+  if (!docs.length) return;
+  try {
+    await StockMovement.create(docs, { session, ordered: true });
+  } catch (e) {
+    if (session) throw e;
+    console.error("Stock ledger write failed:", e && e.message, docs);
+  }
+}
+
+/**
+ * Moves `delta` of one size on the variation matched by `query` and records
+ * it. The variation is read first so the entry carries its stored color and
+ * the variant's SKU. Returns that variation as it was before the change, or
+ * null when nothing matched.
+ */
+async function moveStock(
+  { product, color, size, delta, extra },
+  { session, movement }
+) {
+  if (!movement || !movement.type) {
+    throw new Error("stock change without a movement type");
+  }
+  const key = sizeKey(size);
+  if (!key) return false;
+  const query = variationQuery(product, color, {
+    [`stockBySize.${key}`]: extra,
+  });
+  const found = await Product.findOne(query)
+    .select({ "variations.$": 1 })
+    .session(session)
+    .lean();
+  if (!found) return null;
+  const variation = found.variations[0];
+
+  const result = await Product.updateOne(
+    query,
+    { $inc: { [`variations.$.stockBySize.${key}`]: delta } },
+    { session }
+  ).exec();
+  if (!(result && result.matchedCount > 0 && result.modifiedCount > 0)) {
+    return null;
+  }
+
+  const variant = findVariant(variation, size);
+  await recordMovements(
+    [
+      {
+        ...movement,
+        product,
+        color: variation.color,
+        size: String(size).trim(),
+        sku: variant ? variant.sku : null,
+        quantity: delta,
+      },
+    ],
+    { session }
+  );
+  return variation;
+}
+
+/**
+ * decrementStock({ product, color, size, quantity }, { session, movement })
+ * Atomic conditional decrement: only succeeds when the matching variation
+ * (color, case-insensitive) has at least `quantity` of `size`.
+ * Returns true when stock was taken.
+ */
+async function decrementStock(
+  { product, color, size, quantity },
+  { session = null, movement } = {}
+) {
+  const before = await moveStock(
+    { product, color, size, delta: -quantity, extra: { $gte: quantity } },
+    { session, movement }
+  );
+  return !!before;
+}
+
+/**
+ * incrementStock({ product, color, size, quantity }, { session, movement })
+ * Puts stock back. Returns false when the product, variation or size no
+ * longer exists.
+ */
+async function incrementStock(
+  { product, color, size, quantity },
+  { session = null, movement } = {}
+) {
+  const before = await moveStock(
+    { product, color, size, delta: quantity, extra: { $exists: true } },
+    { session, movement }
+  );
+  return !!before;
+}
+
+/**
+ * Tells the "notify me" subscribers of variants that were sold out before a
+ * restock (lib/backInStock). Call it once the restock is committed, never
+ * from inside a transaction.
+ */
+function notifyRestocked(lines = []) {
+  if (!lines.length) return null;
+  return enqueueSafe("inventory.back-in-stock", { lines });
+}
+
+/**
+ * Restock of order lines ({ product, color, size, quantity }).
+ * Without a session it is best-effort and logs and continues on errors; inside
+ * a transaction errors are re-thrown so the whole transaction is retried or
+ * aborted instead of committing half a restock.
+ * Returns the lines ({ product, color, size }) that were sold out before, for
+ * notifyRestocked once committed.
+ */
+async function restockItems(items = [], { session = null, movement } = {}) {
+  const soldOut = [];
+  for (const it of items) {
+    try {
+      const prodId = it.product && (it.product._id || it.product);
+      const color = (it.color || "").toString().trim();
+      const size = (it.size || "").toString().trim();
+      const qty = Number(it.quantity) || 0;
+
+      if (!prodId || !size || qty <= 0) continue;
+
+      const before = await moveStock(
+        {
+          product: prodId,
+          color,
+          size,
+          delta: qty,
+          extra: { $exists: true },
+        },
+        { session, movement }
+      );
+      if (!before) {
+        console.warn(
+          `Restock: could not increment stock for product ${prodId}, color="${color}", size="${size}" — product/variation/size not found`
+        );
+      } else if (!(stockOf(before, size) > 0)) {
+        soldOut.push({ product: String(prodId), color: before.color, size });
+      }
+    } catch (e) {
+      if (session) throw e;
+      console.error("Error restocking order item:", e && e.stack ? e.stack : e);
+    }
+  }
+  return soldOut;
+}
+
+/**
+ * Quantity per order line already back on the shelf: lines of refunds that
+ * restocked (lib/refunds) and of received returns (models/ReturnRequest).
+ */
+async function restockedSoFar(order, { session = null } = {}) {
+  const done = {};
+  const add = (index, quantity) => {
+    done[index] = (done[index] || 0) + (Number(quantity) || 0);
+  };
+  (order.refunds || [])
+    .filter((r) => r.restocked && r.status !== "failed")
+    .forEach((r) => (r.lines || []).forEach((l) => add(l.index, l.quantity)));
+  const returns = await ReturnRequest.find({
+    order: order._id,
+    restocked: true,
+  })
+    .select("items")
+    .session(session)
+    .lean();
+  returns.forEach((r) =>
+    (r.items || []).forEach((l) => add(l.index, l.quantity))
+  );
+  return done;
+}
+
+/**
+ * Restock every line of an order (cancellation, failed payment, expired
+ * reservation), less what refunds and returns already put back. Recorded as
+ * "cancel_restock" against the order unless options.movement says otherwise.
+ * Returns the sold-out lines like restockItems.
+ */
+async function restockOrderItems(
+  order,
+  { session = null, movement = {} } = {}
+) {
+  const done = await restockedSoFar(order, { session });
+  const items = (order.items || []).map((it, index) => ({
+    ...(it.toObject ? it.toObject() : it),
+    quantity: (Number(it.quantity) || 0) - (done[index] || 0),
+  }));
+  return restockItems(items, {
+    session,
+    movement: { type: "cancel_restock", order: order._id, ...movement },
+  });
+}
+
+/**
+ * stockChanges(product, before, after) — ledger entries (without type) for
+ * the stock differences between two versions of a product's variations, e.g.
+ * an admin edit. Colors match case-insensitively.
+ */
+function stockChanges(product, before = [], after = []) {
+  const sizesOf = (variations) => {
+    const out = new Map();
+    for (const v of variations) {
+      for (const [size, qty] of stockEntries(v)) {
+        out.set(JSON.stringify([String(v.color).toLowerCase(), size]), {
+          color: v.color,
+          size,
+          qty,
+          variant: findVariant(v, size),
+        });
+      }
+    }
+    return out;
+  };
+  const old = sizesOf(before);
+  const next = sizesOf(after);
+  const entries = [];
+  for (const key of new Set([...old.keys(), ...next.keys()])) {
+    const a = old.get(key);
+    const b = next.get(key);
+    const quantity = (b ? b.qty : 0) - (a ? a.qty : 0);
+    if (!quantity) continue;
+    const line = b || a;
+    entries.push({
+      product,
+      color: line.color,
+      size: line.size,
+      sku: line.variant ? line.variant.sku : null,
+      quantity,
+    });
+  }
+  return entries;
+}
+
+/**
+ * unknownSize(items) — first order line ({ product, size }) whose size is not
+ * in its product's size system, or null. Lines without a product are skipped.
+ */
+async function unknownSize(items = []) {
+  const systems = new Map();
+  for (const it of items) {
+    const productId = it.product && (it.product._id || it.product);
+    if (!productId) continue;
+    if (!systems.has(String(productId))) {
+      const product = await Product.findById(productId)
+        .select("category sizeSystem")
+        .lean();
+      systems.set(String(productId), await sizeSystemFor(product));
+    }
+    const system = systems.get(String(productId));
+    const size = String(it.size || "").trim();
+    if (!system || !system.sizes.includes(size)) return it;
+  }
+  return null;
+}
+
+module.exports = {
+  decrementStock,
+  incrementStock,
+  notifyRestocked,
+  restockItems,
+  restockOrderItems,
+  recordMovements,
+  stockChanges,
+  unknownSize,
+};
@@ -0,0 +1,66 @@
+// backend/lib/transactions.js
+// runInTransaction(fn) runs fn(session) inside a MongoDB transaction when the
+// deployment supports them (replica set or sharded cluster). The driver's
+// withTransaction retries the whole callback on TransientTransactionError and
+// retries the commit on UnknownTransactionCommitResult, so fn must be safe to
+// run more than once (no side effects outside the session).
+//
+// Standalone servers have no transactions: fn(null) runs once, every write
+// applies immediately, and callers are responsible for compensating (undoing
+// what they already did) when a later step fails. Set
+// MONGO_TRANSACTIONS=false to force this mode on a replica set.
+const mongoose = require("mongoose");
+
+let supported = null; // cached per process once connected
+
+async function transactionsSupported() {
+  if (String(process.env.MONGO_TRANSACTIONS || "").toLowerCase() === "false") {
+    return false;
+  }
+  if (supported !== null) return supported;
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = !!(hello.setName || hello.msg === "isdbgrid");
+  } catch (err) {
+    console.warn(
+      "transactions: could not detect deployment type, assuming standalone:",
+      err && err.message
+    );
+    supported = false;
+  }
+  if (!supported) {
+    console.warn(
+      "transactions: standalone MongoDB — multi-document writes fall back to compensating updates"
+    );
+  }
+  return supported;
+}
+
+/**
+ * runInTransaction(fn) -> fn's result. fn(session) gets a ClientSession, or
+ * null in standalone mode. Errors thrown by fn abort the transaction and are
+ * re-thrown to the caller.
+ */
+async function runInTransaction(fn) {
+  if (!(await transactionsSupported())) return fn(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(
+      async () => {
+        result = await fn(session);
+      },
+      {
+        readConcern: { level: "snapshot" },
+        writeConcern: { w: "majority" },
+      }
+    );
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { runInTransaction, transactionsSupported };
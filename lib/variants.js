@@ -0,0 +1,145 @@
+// backend/lib/variants.js
+// Variants: one per color+size of a product (variations[].variants[]), each
+// with its own SKU and optionally a barcode (GTIN), a price override and a
+// discount. Stock stays in the variation's stockBySize (lib/sizes); a variant
+// exists for every stocked size.
+const { stockEntries } = require("./sizes");
+
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{1,63}$/;
+
+/** GTIN-8/12/13/14 with a valid check digit */
+function validGtin(code) {
+  const s = String(code || "");
+  if (!/^(\d{8}|\d{12,14})$/.test(s)) return false;
+  const digits = s.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+const skuPart = (s, max) =>
+  String(s || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "")
+    .slice(0, max) || "X";
+
+/** e.g. "P4F2A91-BLACK-9.5" for product …4f2a91, color black, size 9.5 */
+function generateSku(productId, color, size) {
+  return [
+    `P${String(productId).slice(-6).toUpperCase()}`,
+    skuPart(color, 8),
+    String(size)
+      .toUpperCase()
+      .replace(/[^A-Z0-9.]+/g, "")
+      .slice(0, 8) || "X",
+  ].join("-");
+}
+
+const sameColor = (a, b) =>
+  String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * prepareVariants(product, variations, { previous })
+ * product: the product being saved (needs _id); variations: stock already
+ * checked by lib/sizes.prepareProductSizes (stockBySize keyed by sizeKey).
+ * previous: the stored variations; a variation sent without `variants`
+ * keeps the variants it had for its color.
+ *
+ * Every stocked size gets a variant (missing ones get a generated SKU);
+ * variants for sizes that aren't stocked, duplicate SKUs or barcodes and
+ * malformed barcodes are refused.
+ * Returns { ok: false, message } or { ok: true, variations }.
+ */
+function prepareVariants(product, variations, { previous = [] } = {}) {
+  const skus = new Set();
+  const barcodes = new Set();
+  const out = [];
+
+  for (const v of variations) {
+    const stocked = stockEntries(v).map(([size]) => size);
+    const before = previous.find((p) => sameColor(p.color, v.color));
+    const given = Array.isArray(v.variants)
+      ? v.variants
+      : (before && before.variants) || [];
+
+    const variants = [];
+    for (const raw of given) {
+      const variant = raw && raw.toObject ? raw.toObject() : { ...raw };
+      variant.size = String(variant.size == null ? "" : variant.size).trim();
+      if (!stocked.includes(variant.size)) {
+        // a stock entry removed with the edit takes its variant along
+        if (!Array.isArray(v.variants)) continue;
+        return {
+          ok: false,
+          message: `Variant size "${variant.size}" of color "${v.color}" has no stock entry.`,
+        };
+      }
+      if (variants.some((x) => x.size === variant.size)) {
+        return {
+          ok: false,
+          message: `Color "${v.color}" lists size "${variant.size}" twice.`,
+        };
+      }
+      variants.push(variant);
+    }
+    for (const size of stocked) {
+      if (!variants.some((x) => x.size === size)) variants.push({ size });
+    }
+
+    for (const variant of variants) {
+      variant.sku = variant.sku
+        ? String(variant.sku).trim().toUpperCase()
+        : generateSku(product._id, v.color, variant.size);
+      if (!SKU_PATTERN.test(variant.sku)) {
+        return {
+          ok: false,
+          message: `SKU "${variant.sku}" may only use letters, digits, ".", "_" and "-".`,
+        };
+      }
+      if (skus.has(variant.sku)) {
+        return { ok: false, message: `SKU "${variant.sku}" is used twice.` };
+      }
+      skus.add(variant.sku);
+
+      if (variant.barcode) {
+        variant.barcode = String(variant.barcode).trim();
+        if (!validGtin(variant.barcode)) {
+          return {
+            ok: false,
+            message: `Barcode "${variant.barcode}" is not a valid GTIN.`,
+          };
+        }
+        if (barcodes.has(variant.barcode)) {
+          return {
+            ok: false,
+            message: `Barcode "${variant.barcode}" is used twice.`,
+          };
+        }
+        barcodes.add(variant.barcode);
+      } else {
+        variant.barcode = null;
+      }
+    }
+
+    out.push({ ...v, variants });
+  }
+
+  return { ok: true, variations: out };
+}
+
+/** the variant of a variation for a size label, or null */
+function findVariant(variation, size) {
+  if (!variation || !Array.isArray(variation.variants)) return null;
+  const label = String(size == null ? "" : size).trim();
+  return variation.variants.find((x) => x.size === label) || null;
+}
+
+module.exports = {
+  SKU_PATTERN,
+  validGtin,
+  generateSku,
+  prepareVariants,
+  findVariant,
+};
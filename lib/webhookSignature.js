@@ -0,0 +1,62 @@
+// backend/lib/webhookSignature.js
+// HMAC-SHA256 webhook signatures:
+//   header: "t=<unix seconds>,v1=<hex hmac of `${t}.${rawBody}`>"
+const crypto = require("crypto");
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+function signPayload(
+  secret,
+  rawBody,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * verifySignature(secret, rawBody, header) — throws on mismatch or when the
+ * timestamp is outside the tolerance window (replay protection).
+ */
+function verifySignature(
+  secret,
+  rawBody,
+  header,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS
+) {
+  if (!header) throw new Error("Missing webhook signature");
+
+  const parts = Object.fromEntries(
+    String(header)
+      .split(",")
+      .map((kv) => kv.split("=").map((s) => s.trim()))
+      .filter((kv) => kv.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) {
+    throw new Error("Malformed webhook signature");
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw new Error("Webhook signature timestamp outside tolerance");
+  }
+
+  const expected = Buffer.from(
+    computeSignature(secret, timestamp, rawBody),
+    "hex"
+  );
+  const given = Buffer.from(parts.v1, "hex");
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+}
+
+module.exports = { signPayload, verifySignature };
@@ -3,6 +3,9 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 
+// don't write lastUsedAt on every request, once a minute per session is plenty
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
 async function authMiddleware(req, res, next) {
   try {
     // 1. Read token from cookie
@@ -15,12 +18,36 @@ async function authMiddleware(req, res, next) {
     const payload = jwt.verify(token, process.env.JWT_SECRET);
 
     // 3. Attach user info to request
-    const user = await User.findById(payload.userId).select("-passwordHash");
+    const user = await User.findById(payload.userId).select(
+      "-passwordHash -sessions.refreshJti -sessions.prevRefreshJti"
+    );
     if (!user || user.status !== "active") {
       return res.status(401).json({ message: "Invalid or inactive user." });
     }
 
+    // 4. Token must belong to a live server-side session
+    const session =
+      payload.sid && (user.sessions || []).find((s) => s.tokenId === payload.sid);
+    if (!session) {
+      return res.status(401).json({ message: "Session expired or revoked." });
+    }
+
+    const ip = req.ip || (req.connection && req.connection.remoteAddress);
+    const lastUsed = session.lastUsedAt ? session.lastUsedAt.getTime() : 0;
+    if (Date.now() - lastUsed > TOUCH_INTERVAL_MS || session.lastIp !== ip) {
+      User.updateOne(
+        { _id: user._id, "sessions.tokenId": payload.sid },
+        {
+          $set: {
+            "sessions.$.lastUsedAt": new Date(),
+            "sessions.$.lastIp": ip,
+          },
+        }
+      ).catch((e) => console.warn("session touch failed:", e && e.message));
+    }
+
     req.user = user; // full user doc (minus password)
+    req.sessionId = payload.sid;
     next();
   } catch (err) {
     console.error("Auth middleware error:", err);
@@ -0,0 +1,31 @@
+// backend/middleware/cartOwner.middleware.js
+// Use after optionalAuth. Tells the cart controller whose cart this request
+// is about: req.cartOwner = { Model, filter, guest }.
+// Logged-in users use Cart by user id; visitors use GuestCart by the token in
+// the signed "guestCart" cookie, which is issued on their first cart write.
+const Cart = require("../models/Cart");
+const GuestCart = require("../models/GuestCart");
+const { guestCartToken, issueGuestCartToken } = require("../lib/guestCart");
+
+function cartOwner(req, res, next) {
+  if (req.user) {
+    req.cartOwner = {
+      Model: Cart,
+      filter: { user: req.user._id },
+      guest: false,
+    };
+    return next();
+  }
+
+  let token = guestCartToken(req);
+  if (!token && req.method !== "GET") token = issueGuestCartToken(res);
+  req.cartOwner = {
+    Model: GuestCart,
+    // a visitor without a cookie has no cart yet; match nothing
+    filter: { token: token || null },
+    guest: true,
+  };
+  return next();
+}
+
+module.exports = cartOwner;
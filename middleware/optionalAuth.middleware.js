@@ -44,11 +44,17 @@ async function optionalAuth(req, res, next) {
     // best-effort user lookup, but do NOT throw or send a response on DB failure
     try {
       const user = await User.findById(userId).select(
-        "username email avatarUrl role"
+        "username email avatarUrl role status sessions.tokenId"
       );
-      if (user) {
+      // revoked sessions / inactive accounts are treated as guests
+      const liveSession =
+        user &&
+        payload.sid &&
+        (user.sessions || []).some((s) => s.tokenId === payload.sid);
+      if (user && user.status === "active" && liveSession) {
         // attach user object (mongoose document) to req.user
         req.user = user;
+        req.sessionId = payload.sid;
       }
     } catch (err) {
       console.warn("[optionalAuth] user lookup failed:", err.message);
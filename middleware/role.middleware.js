@@ -1,11 +1,18 @@
 // backend/middleware/role.middleware.js
 
+const { getSetting } = require("../lib/settings");
+
+// When the "requireAdmin2fa" setting is on, admin-only routes refuse admins
+// that haven't enrolled in two-factor auth (they can still reach /auth/2fa to
+// enrol). It is looked up on each such request: the value stored through
+// PUT /admin/settings, else REQUIRE_ADMIN_2FA=true (see lib/settings).
+
 /**
  * permitRoles(...allowedRoles)
  * Usage: router.get('/admin', authMiddleware, permitRoles('admin'), handler)
  */
 function permitRoles(...allowedRoles) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // req.user is set by authMiddleware
     if (!req.user) {
       return res.status(401).json({ message: "Unauthorized" });
@@ -13,6 +20,16 @@ function permitRoles(...allowedRoles) {
     if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ message: "Forbidden: insufficient role" });
     }
+    if (
+      req.user.role === "admin" &&
+      !(req.user.twoFactor && req.user.twoFactor.enabled) &&
+      (await getSetting("requireAdmin2fa"))
+    ) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for admin accounts.",
+        code: "MFA_REQUIRED",
+      });
+    }
     next();
   };
 }
@@ -9,8 +9,34 @@ const CartItemSchema = new mongoose.Schema({
   color: { type: String, required: true },
   size: { type: String, required: true },
   quantity: { type: Number, required: true, min: 1 },
+  // unit price (dollars) the shopper last saw; GET /cart/validate reports a
+  // change against it
+  unitPrice: { type: Number, default: null },
+  // last issue reported through the "cart:invalid" socket event (lib/cart)
+  issue: { type: String, default: null },
 });
 
+/**
+ * Optimistic concurrency for carts: `version` goes up on every save that
+ * changes items or saved, and the save only matches the version the cart
+ * was read at. A concurrent write makes save() throw (lib/cart
+ * isVersionConflict; 409 in the cart controller). Lines are addressed by
+ * their _id, never by position.
+ */
+function cartVersioning(schema) {
+  schema.add({ version: { type: Number, default: 0 } });
+  schema.pre("save", function (next) {
+    if (this.isNew || !(this.isModified("items") || this.isModified("saved"))) {
+      return next();
+    }
+    const seen = this.version || 0;
+    // carts saved before versioning have no field at all
+    this.$where = { version: seen || { $in: [0, null] } };
+    this.version = seen + 1;
+    next();
+  });
+}
+
 const CartSchema = new mongoose.Schema(
   {
     user: {
@@ -20,8 +46,13 @@ const CartSchema = new mongoose.Schema(
       unique: true,
     },
     items: [CartItemSchema],
+    // "saved for later": same lines, kept out of totals and checkout
+    saved: [CartItemSchema],
   },
   { timestamps: true }
 );
 
+CartSchema.plugin(cartVersioning);
+CartSchema.statics.versioning = cartVersioning;
+
 module.exports = mongoose.model("Cart", CartSchema);
@@ -0,0 +1,13 @@
+// backend/models/Counter.js
+// Named monotonic sequences (invoice numbers, ...). See lib/counters.js.
+const mongoose = require("mongoose");
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // sequence name, e.g. "invoice"
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
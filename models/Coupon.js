@@ -0,0 +1,53 @@
+// backend/models/Coupon.js
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    // promo code as typed by shoppers (stored upper-case)
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String, default: "" },
+
+    type: {
+      type: String,
+      enum: ["percent", "fixed", "free_shipping"],
+      required: true,
+    },
+    // percent: 0-100, fixed: dollars off, free_shipping: unused
+    value: { type: Number, default: 0, min: 0 },
+    // optional cap for percent coupons (dollars)
+    maxDiscount: { type: Number, default: null },
+
+    // minimum cart subtotal (dollars, before discounts) to qualify
+    minSubtotal: { type: Number, default: 0 },
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+
+    // null = unlimited
+    usageLimit: { type: Number, default: null },
+    perUserLimit: { type: Number, default: null },
+    usageCount: { type: Number, default: 0 },
+
+    // restrictions: when any list is non-empty, only matching lines are
+    // discounted (a line matches if it matches any of the lists)
+    categories: { type: [String], default: [] },
+    tags: { type: [String], default: [] },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+
+    // stackable coupons may be combined with other stackable coupons;
+    // a non-stackable coupon must be used alone
+    stackable: { type: Boolean, default: false },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
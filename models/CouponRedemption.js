@@ -0,0 +1,27 @@
+// backend/models/CouponRedemption.js
+// Per-user usage counter for a coupon. The unique (coupon, user) index lets
+// checkout consume a use atomically: an upsert that can't match because the
+// counter is already at the limit fails with a duplicate key error.
+const mongoose = require("mongoose");
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    count: { type: Number, default: 0 },
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
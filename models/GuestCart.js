@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const Cart = require("./Cart");
+
+function guestCartTtlMs() {
+  const days = Number(process.env.GUEST_CART_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+// Cart of an anonymous visitor, found through the signed "guestCart" cookie
+// (middleware/cartOwner). Lines have the same shape as Cart's. Every save
+// pushes expiresAt forward; MongoDB's TTL monitor deletes abandoned carts.
+const GuestCartSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    items: [Cart.schema.path("items").schema],
+    saved: [Cart.schema.path("saved").schema],
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+GuestCartSchema.plugin(Cart.versioning);
+GuestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+GuestCartSchema.pre("validate", function (next) {
+  this.expiresAt = new Date(Date.now() + guestCartTtlMs());
+  next();
+});
+
+GuestCartSchema.statics.ttlMs = guestCartTtlMs;
+
+module.exports = mongoose.model("GuestCart", GuestCartSchema);
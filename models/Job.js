@@ -0,0 +1,55 @@
+// backend/models/Job.js
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, index: true }, // registered handler name
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // queued -> running -> completed
+    //                   -> queued (retry with backoff) -> ... -> dead
+    // cancelled is set by an admin while queued
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead", "cancelled"],
+      default: "queued",
+    },
+    priority: { type: Number, default: 0 }, // higher runs first
+    runAt: { type: Date, default: Date.now },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    backoffMs: { type: Number, default: 30 * 1000 }, // base for exponential backoff
+
+    // idempotency key: enqueueing the same key twice returns the first job
+    key: { type: String },
+
+    lockedAt: Date,
+    lockedBy: String,
+    startedAt: Date,
+    finishedAt: Date,
+
+    expiresAt: Date, // dead/cancelled jobs are removed then (lib/jobs)
+
+    lastError: String,
+    failures: [{ at: Date, attempt: Number, error: String, _id: false }],
+    result: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+// worker claim query: next due job by priority
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+// completed jobs are garbage-collected after a week
+jobSchema.index(
+  { finishedAt: 1 },
+  {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: "completed" },
+  }
+);
+// dead and cancelled jobs expire at expiresAt (JOBS_DEAD_TTL_DAYS, default 30)
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Job", jobSchema);
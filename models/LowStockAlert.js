@@ -0,0 +1,22 @@
+// backend/models/LowStockAlert.js
+// Last low-stock notification per variant, so admins hear about a variant at
+// most once per LOW_STOCK_ALERT_HOURS (lib/lowStock).
+const mongoose = require("mongoose");
+
+const lowStockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  color: { type: String, required: true }, // lower-case
+  size: { type: String, required: true },
+  sku: { type: String, default: null },
+  stock: Number, // when last alerted
+  threshold: Number,
+  alertedAt: { type: Date, default: null },
+});
+
+lowStockAlertSchema.index({ product: 1, color: 1, size: 1 }, { unique: true });
+
+module.exports = mongoose.model("LowStockAlert", lowStockAlertSchema);
@@ -16,9 +16,135 @@ const shippingSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// one attempt per payment intent created with a provider (lib/payments);
+// status is driven by the provider's webhook events
+const paymentAttemptSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    intentId: { type: String, required: true },
+    status: {
+      type: String,
+      enum: [
+        "requires_confirmation",
+        "succeeded",
+        "failed",
+        "canceled",
+        // money taken for an order that could no longer accept it
+        "refunded",
+      ],
+      default: "requires_confirmation",
+    },
+    amount: Number, // dollars
+    currency: String,
+    last4: String,
+    failureReason: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    succeededAt: Date,
+    failedAt: Date,
+    refundedAt: Date,
+    // webhook events applied to this attempt, oldest first
+    events: [
+      {
+        id: String,
+        type: { type: String },
+        receivedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// refunds ledger entry (see lib/refunds.js). Amounts in dollars.
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true }, // lines + shipping
+    shippingAmount: { type: Number, default: 0 },
+    reason: { type: String, required: true },
+    lines: [
+      {
+        index: Number, // position in order.items
+        quantity: Number,
+        amount: Number,
+        _id: false,
+      },
+    ],
+    restock: { type: Boolean, default: false },
+    restocked: { type: Boolean, default: false },
+    provider: String, // "manual" for orders paid before providers existed
+    intentId: String,
+    providerRefundId: String,
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    failureReason: String,
+    // set when the refund settles a customer return
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// one parcel; an order may be split into several (see lib/shipments.js)
+const shipmentSchema = new mongoose.Schema(
+  {
+    carrier: { type: String, required: true },
+    trackingNumber: { type: String, required: true },
+    trackingUrl: String,
+    // shipped lines (index into order.items)
+    items: [{ index: Number, quantity: Number, _id: false }],
+    estimatedDelivery: Date,
+    status: {
+      type: String,
+      enum: [
+        "label_created",
+        "in_transit",
+        "out_for_delivery",
+        "delivered",
+        "exception",
+      ],
+      default: "label_created",
+    },
+    shippedAt: { type: Date, default: Date.now },
+    deliveredAt: Date,
+    // carrier tracking events, de-duplicated by eventId
+    events: [
+      {
+        eventId: String,
+        status: String,
+        description: String,
+        location: String,
+        at: Date,
+        _id: false,
+      },
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
 const orderSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // human-readable number, e.g. PX39-2026-000123 (lib/orderNumbers.js)
+    orderNumber: { type: String, unique: true, sparse: true },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.guest;
+      },
+    },
+
+    // guest checkout (lib/guestOrders): no account at the time of purchase;
+    // claimedAt is set when an account with the same email claims it
+    guest: { type: Boolean, default: false },
+    claimedAt: Date,
 
     // snapshot of user contact info at time of order (non-sensitive)
     contactSnapshot: {
@@ -33,27 +159,110 @@ const orderSchema = new mongoose.Schema(
       {
         product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
         name: String,
+        // variant SKU at the time of the order (lib/variants)
+        sku: String,
         color: String,
         size: String,
         quantity: Number,
         price: Number,
         image: String,
+        // coupon discount allocated to this line (dollars, whole line)
+        discount: { type: Number, default: 0 },
       },
     ],
 
     // money stored as decimal-like Number (dollars)
+    // totalPrice = subtotal + shippingPrice - discountTotal
+    subtotal: { type: Number },
+    shippingPrice: { type: Number, default: 0 },
+    discountTotal: { type: Number, default: 0 },
     totalPrice: { type: Number, required: true },
 
-    // fulfillment status (no more "paid" here)
+    // coupons applied at checkout (breakdown snapshot)
+    discounts: [
+      {
+        coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+        code: String,
+        type: { type: String }, // percent | fixed | free_shipping
+        amount: Number, // dollars
+        shipping: { type: Boolean, default: false },
+        lines: [{ index: Number, amount: Number, _id: false }],
+        _id: false,
+      },
+    ],
+
+    // fulfillment status (no more "paid" here); allowed moves are declared in
+    // lib/orderState.js
     status: {
       type: String,
-      enum: ["pending", "shipped", "delivered", "cancelled"],
+      enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
       default: "pending",
     },
 
-    // new: was the order paid?
+    // timeline of status, payment and refund events, oldest first
+    history: [
+      {
+        type: {
+          type: String,
+          enum: ["status", "payment", "refund", "shipment"],
+        },
+        from: String,
+        to: String,
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        actorType: {
+          type: String,
+          enum: ["customer", "admin", "system", "provider"],
+        },
+        note: String,
+        data: { type: mongoose.Schema.Types.Mixed },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    shipments: [shipmentSchema],
+
+    // assigned once, when the first invoice is generated (lib/invoices.js)
+    invoice: {
+      number: String,
+      issuedAt: Date,
+    },
+
+    // when status became "delivered" (starts the return window)
+    deliveredAt: Date,
+    // bumped by every new return request so concurrent ones for the same
+    // order conflict instead of both passing the quantity check
+    returnsVersion: { type: Number, default: 0 },
+
+    // new: was the order paid? (set by the payment_intent.succeeded webhook)
     payed: { type: Boolean, default: false },
 
+    // payment attempts history, newest last
+    payments: [paymentAttemptSchema],
+
+    // money given back; refundedTotal sums pending + succeeded refunds
+    refunds: [refundSchema],
+    refundedTotal: { type: Number, default: 0 },
+
+    // derived from payed + refundedTotal (kept in sync by lib/refunds and
+    // the payment webhook); orders saved before it existed derive it on load
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "paid", "partially_refunded", "refunded"],
+      default: function () {
+        return this.payed ? "paid" : "unpaid";
+      },
+    },
+
+    // stock hold between checkout and payment (see lib/reservations.js)
+    reservation: {
+      status: { type: String, enum: ["active", "converted", "released"] },
+      expiresAt: Date,
+      convertedAt: Date,
+      releasedAt: Date,
+      releaseReason: String,
+    },
+
     // idempotency: optional unique key per user to prevent duplicate orders
     idempotencyKey: { type: String, index: true, sparse: true },
 
@@ -63,15 +272,6 @@ const orderSchema = new mongoose.Schema(
       userAgent: String,
       fingerprint: String,
       countryFromIP: String,
-      payment: {
-        provider: String,
-        transactionId: String,
-        last4: String,
-        paidAt: Date,
-        failedAt: Date,
-        reason: String,
-        paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-      },
       // add more as needed
     },
   },
@@ -80,5 +280,19 @@ const orderSchema = new mongoose.Schema(
 
 // optional: index for quicker admin listing by payed + status
 orderSchema.index({ payed: 1, status: 1, createdAt: -1 });
+// webhook lookups by provider intent id
+orderSchema.index({ "payments.intentId": 1 }, { sparse: true });
+orderSchema.index({ "contactSnapshot.email": 1, guest: 1 });
+orderSchema.index({ "invoice.number": 1 }, { unique: true, sparse: true });
+// tracking webhooks look shipments up by carrier + tracking number
+orderSchema.index(
+  { "shipments.carrier": 1, "shipments.trackingNumber": 1 },
+  { sparse: true }
+);
+// reservation sweeper: active holds by expiry
+orderSchema.index(
+  { "reservation.expiresAt": 1 },
+  { partialFilterExpression: { "reservation.status": "active" } }
+);
 
 module.exports = mongoose.model("Order", orderSchema);
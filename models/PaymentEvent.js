@@ -0,0 +1,20 @@
+// backend/models/PaymentEvent.js
+// Webhook events already processed, keyed by provider + event id, so a
+// redelivered webhook is acknowledged without being applied twice.
+const mongoose = require("mongoose");
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: String,
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    intentId: String,
+    payload: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -1,16 +1,70 @@
 const mongoose = require("mongoose");
+const { stockEntries, stockObject } = require("../lib/sizes");
+const { SKU_PATTERN, validGtin } = require("../lib/variants");
+
+// one sellable color+size (lib/variants); its stock is the variation's
+// stockBySize entry for the size
+const variantSchema = new mongoose.Schema(
+  {
+    size: { type: String, required: true }, // size label, e.g. "9.5"
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: SKU_PATTERN,
+    },
+    // GTIN-8/12/13/14 (EAN/UPC)
+    barcode: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => v == null || validGtin(v),
+        message: "barcode must be a valid GTIN",
+      },
+    },
+    // overrides the product price; the product discount doesn't apply to it
+    price: { type: Number, default: null, min: 0 },
+    // same meaning as the product discount fields; applied to this variant's
+    // price (own or the product's)
+    discount: { type: Number, default: 0 },
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      default: "percent",
+    },
+    discountActive: { type: Boolean, default: false },
+    discountExpires: { type: Date, default: null },
+  },
+  { _id: false }
+);
 
-// variation sub-schema (unchanged structure)
+// variation sub-schema
 const variationSchema = new mongoose.Schema({
   color: { type: String, required: true },
   images: [String], // URLs
+  // size -> quantity, e.g. { S: 10, M: 5 } or { "42": 3, "9_5": 1 }. Keys are
+  // lib/sizes.sizeKey of a size in the product's size system ("." stored as
+  // "_"); responses show the sizes themselves.
   stockBySize: {
-    // e.g. { S: 10, M: 5, L: 0 }
-    XS: Number,
-    S: Number,
-    M: Number,
-    L: Number,
-    XL: Number,
+    type: Map,
+    of: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "stock must be a whole number",
+      },
+    },
+    default: {},
+  },
+  variants: { type: [variantSchema], default: [] },
+});
+
+variationSchema.set("toJSON", {
+  transform(doc, ret) {
+    ret.stockBySize = stockObject(doc);
+    return ret;
   },
 });
 
@@ -51,10 +105,15 @@ const productSchema = new mongoose.Schema({
   description: { type: String, required: true },
   price: { type: Number, required: true },
   category: { type: String, required: true }, // e.g. "Clothes"/"Shoes"
-  sizes: [String], // ["XS","S","M","L","XL"]
+  // SizeSystem.key; when empty the category's size system applies
+  sizeSystem: { type: String, default: null },
+  sizes: [String], // sizes offered, e.g. ["XS","S","M"] or ["41","42","43"]
   variations: [variationSchema],
   tags: { type: [String], default: [] },
   hidden: { type: Boolean, default: false },
+  // low-stock alert level for each variant; null falls back to the category
+  // and global thresholds (lib/lowStock)
+  lowStockThreshold: { type: Number, default: null, min: 0 },
 
   // --- Discount fields (new) ---
   discount: { type: Number, default: 0 }, // percent (e.g. 20) or fixed amount depending on discountType
@@ -144,12 +203,32 @@ productSchema.pre("findOneAndUpdate", async function (next) {
   }
 });
 
+// SKUs and barcodes are unique across the catalogue (duplicates within one
+// product are refused by lib/variants)
+productSchema.index(
+  { "variations.variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variations.variants.sku": { $type: "string" } },
+  }
+);
+productSchema.index(
+  { "variations.variants.barcode": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "variations.variants.barcode": { $type: "string" },
+    },
+  }
+);
+
+productSchema.statics.computeSalePrice = computeSalePrice;
+
 // virtual to compute total stock across all variations (unchanged)
 productSchema.virtual("totalStock").get(function () {
   if (!this.variations || !this.variations.length) return 0;
   return this.variations.reduce((acc, v) => {
-    const vals = v?.stockBySize ? Object.values(v.stockBySize) : [];
-    const s = vals.reduce((a, b) => a + (Number(b) || 0), 0);
+    const s = stockEntries(v).reduce((a, [, qty]) => a + qty, 0);
     return acc + s;
   }, 0);
 });
@@ -0,0 +1,61 @@
+// backend/models/ReturnRequest.js
+// Customer return (RMA) for items of a delivered order.
+// Workflow: requested -> approved -> received -> refunded, or rejected from
+// any open state (see controllers/return.controller.js).
+const mongoose = require("mongoose");
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    orderNumber: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // snapshot of the returned lines (index into order.items)
+    items: [
+      {
+        index: { type: Number, required: true },
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: String,
+        color: String,
+        size: String,
+        quantity: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+
+    reason: { type: String, required: true },
+    photos: [String], // ImageKit URLs
+
+    status: {
+      type: String,
+      enum: ["requested", "approved", "received", "refunded", "rejected"],
+      default: "requested",
+      index: true,
+    },
+    restocked: { type: Boolean, default: false },
+    refundId: { type: mongoose.Schema.Types.ObjectId }, // order.refunds[]._id
+
+    history: [
+      {
+        status: String,
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
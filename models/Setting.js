@@ -0,0 +1,15 @@
+// backend/models/Setting.js
+// Runtime settings admins can change without a restart, one document per
+// key (see lib/settings.js).
+const mongoose = require("mongoose");
+
+const settingSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // setting key, e.g. "requireAdmin2fa"
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -0,0 +1,65 @@
+// backend/models/SizeSystem.js
+// Admin-defined size systems (apparel letters, EU/US shoe sizes, one size).
+// A product uses its own sizeSystem, or else the system whose categories
+// include its category (lib/sizes). Variation stock may only hold sizes of
+// that system.
+const mongoose = require("mongoose");
+
+// letters, digits and . , / + ½ and spaces; "_" is reserved for the stock map
+// keys (lib/sizes.sizeKey)
+const SIZE_PATTERN = /^[A-Za-z0-9½][A-Za-z0-9.,/+½ -]{0,15}$/;
+
+const sizeSystemSchema = new mongoose.Schema(
+  {
+    // stable id used by Product.sizeSystem, e.g. "apparel", "eu-shoes"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9-]{2,40}$/,
+    },
+    name: { type: String, required: true, trim: true },
+    // display order
+    sizes: {
+      type: [String],
+      validate: [
+        {
+          validator: (v) => Array.isArray(v) && v.length > 0,
+          message: "a size system needs at least one size",
+        },
+        {
+          validator: (v) => new Set(v).size === v.length,
+          message: "sizes must be unique",
+        },
+        {
+          validator: (v) => v.every((s) => SIZE_PATTERN.test(s)),
+          message: "sizes may only use letters, digits, spaces and . , / + ½",
+        },
+      ],
+    },
+    // Product.category values (lower-case) using this system by default; a
+    // category belongs to at most one system
+    categories: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+sizeSystemSchema.pre("validate", function (next) {
+  this.sizes = (this.sizes || []).map((s) => String(s).trim());
+  this.categories = [
+    ...new Set(
+      (this.categories || [])
+        .map((c) => String(c).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  next();
+});
+
+sizeSystemSchema.index({ categories: 1 });
+
+sizeSystemSchema.statics.SIZE_PATTERN = SIZE_PATTERN;
+
+module.exports = mongoose.model("SizeSystem", sizeSystemSchema);
@@ -0,0 +1,76 @@
+// backend/models/StockMovement.js
+// Append-only inventory ledger: one entry per change of a variation's stock
+// (lib/stock). For every stocked size, the sum of its movements equals
+// stockBySize (scripts/reconcile-stock.js checks this).
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = [
+  "sale", // checkout took stock
+  "cancel_restock", // cancelled / expired / failed order gave it back
+  "return", // returned goods back on the shelf (or taken back off)
+  "adjustment", // admin correction, with a reason
+  "import", // stock entered with a new product, or an opening balance
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  color: { type: String, required: true }, // as stored on the variation
+  size: { type: String, required: true }, // size label
+  sku: { type: String, default: null },
+  // signed change, e.g. -2 for a sale of two
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (v) => Number.isInteger(v) && v !== 0,
+      message: "quantity must be a non-zero whole number",
+    },
+  },
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  reason: { type: String, default: "" },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  actorType: {
+    type: String,
+    enum: ["customer", "admin", "system", "provider"],
+    default: "system",
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ReturnRequest",
+    default: null,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// entries are never changed or removed; corrections are new entries
+const appendOnly = function () {
+  throw new Error("StockMovement entries are append-only");
+};
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => stockMovementSchema.pre(op, appendOnly));
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("StockMovement entries are append-only"));
+  }
+  next();
+});
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,35 @@
+// backend/models/StockSubscription.js
+// "Notify me" requests for a sold-out variant (POST /products/:id/notify-me).
+// Removed once the subscriber has been told it is back (lib/backInStock).
+const mongoose = require("mongoose");
+
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  color: { type: String, required: true }, // lower-case
+  size: { type: String, required: true }, // size label
+  // a signed-in shopper, or a guest who confirmed their email (lib/backInStock)
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  guestEmail: { type: String, default: null, lowercase: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+stockSubscriptionSchema.index(
+  { product: 1, color: 1, size: 1, user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { user: { $type: "objectId" } },
+  }
+);
+stockSubscriptionSchema.index(
+  { product: 1, color: 1, size: 1, guestEmail: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { guestEmail: { $type: "string" } },
+  }
+);
+
+module.exports = mongoose.model("StockSubscription", stockSubscriptionSchema);
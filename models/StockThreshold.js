@@ -0,0 +1,18 @@
+// backend/models/StockThreshold.js
+// Low-stock thresholds (lib/lowStock): one global entry (category null) and
+// optional per-category ones. Products can override both with
+// Product.lowStockThreshold.
+const mongoose = require("mongoose");
+
+const stockThresholdSchema = new mongoose.Schema(
+  {
+    // lower-case Product.category, or null for the global threshold
+    category: { type: String, default: null, lowercase: true, trim: true },
+    threshold: { type: Number, required: true, min: 0 },
+  },
+  { timestamps: true }
+);
+
+stockThresholdSchema.index({ category: 1 }, { unique: true });
+
+module.exports = mongoose.model("StockThreshold", stockThresholdSchema);
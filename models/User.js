@@ -42,15 +42,22 @@ const userSchema = new mongoose.Schema(
     },
     verificationToken: String,
     verificationTokenExpiry: Date,
-    // Optional: track devices/sessions (we’ll add later)
     lastVerificationSent: Date,
 
     resetPasswordToken: String,
     resetPasswordExpiry: Date,
+    // server-side sessions: access/refresh tokens carry `sid` === tokenId and
+    // are rejected once the entry is gone. refreshJti is the only refresh
+    // token id currently accepted for the session (rotated on every refresh).
     sessions: [
       {
         tokenId: String,
+        refreshJti: String,
+        prevRefreshJti: String,
+        rotatedAt: Date,
         createdAt: { type: Date, default: Date.now },
+        lastUsedAt: Date,
+        lastIp: String,
         ip: String,
         browser: String,
         os: String,
@@ -61,13 +68,26 @@ const userSchema = new mongoose.Schema(
     magicLinkToken: String,
     magicLinkExpiry: Date,
 
+    // TOTP two-factor auth. Secrets and recovery hashes are never selected by
+    // default so they can't leak through /auth/me or admin user listings.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      lastUsedStep: { type: Number, select: false },
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date }],
+        select: false,
+        default: undefined,
+      },
+    },
+
     avatarUrl: {
       type: String,
       default:
         "https://ik.imagekit.io/ehggwul6k/avatars/150fa8800b0a0d5633abc1d1c4db3d87_ez-lfcXam.jpg",
     },
-
-    wishlist: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
   },
   { timestamps: true }
 );
@@ -0,0 +1,63 @@
+// backend/models/Wishlist.js
+// Named wishlists; a user can have several, one of them the default list the
+// legacy /api/wishlist endpoints use. Public lists can be read by anyone who
+// has the share slug (GET /api/wishlists/shared/:slug).
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const newSlug = () => crypto.randomBytes(16).toString("base64url");
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // optional variant the shopper had in mind
+  color: { type: String, default: null },
+  size: { type: String, default: null },
+  note: { type: String, default: "" },
+  addedAt: { type: Date, default: Date.now },
+});
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    isDefault: { type: Boolean, default: false },
+    visibility: {
+      type: String,
+      enum: ["private", "public"],
+      default: "private",
+    },
+    // unguessable; only resolves while the list is public
+    slug: { type: String, unique: true, default: newSlug },
+    items: [wishlistItemSchema],
+  },
+  { timestamps: true }
+);
+
+// at most one default list per user
+wishlistSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+wishlistSchema.index({ "items.product": 1 });
+
+/** the user's default list, created on first use */
+wishlistSchema.statics.defaultFor = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId, isDefault: true },
+    { $setOnInsert: { name: "My wishlist", items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+wishlistSchema.statics.newSlug = newSlug;
+
+module.exports = mongoose.model("Wishlist", wishlistSchema);
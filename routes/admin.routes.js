@@ -5,6 +5,13 @@ const permitRoles = require("../middleware/role.middleware");
 const productController = require("../controllers/product.controller");
 const orderController = require("../controllers/order.controller");
 const messageController = require("../controllers/message.controller");
+const jobController = require("../controllers/job.controller");
+const couponController = require("../controllers/coupon.controller");
+const returnController = require("../controllers/return.controller");
+const shipmentController = require("../controllers/shipment.controller");
+const sizeSystemController = require("../controllers/sizeSystem.controller");
+const inventoryController = require("../controllers/inventory.controller");
+const settingsController = require("../controllers/settings.controller");
 
 // ensure the models are required near top:
 const User = require("../models/User");
@@ -73,6 +80,13 @@ router.get("/stats", async (req, res) => {
 // Admin: orders listing + status update
 router.get("/orders", orderController.getAllOrders);
 router.patch("/orders/:id/status", orderController.updateOrderStatus);
+router.post("/orders/:id/refunds", orderController.refundOrder);
+router.post("/orders/:id/shipments", shipmentController.createOrderShipment);
+router.get("/orders/:id/packing-slip.pdf", orderController.getPackingSlipPdf);
+// Admin: returns / RMA workflow
+router.get("/returns", returnController.listReturns);
+router.get("/returns/:id", returnController.getReturn);
+router.patch("/returns/:id/status", returnController.updateReturnStatus);
 // Admin: send a message to a user
 router.post("/messages", messageController.adminSendMessage);
 
@@ -184,5 +198,39 @@ router.get("/products", productController.getAllProducts);
 router.get("/products/:id", productController.getProductById);
 router.put("/products/:id", productController.updateProduct);
 router.delete("/products/:id", productController.deleteProduct);
+router.get("/variants/:sku", productController.getVariantBySku);
+
+// ─── Inventory ────────────────────────────────────────────────────────────────
+router.post("/products/:id/stock-adjustments", inventoryController.adjustStock);
+router.get(
+  "/products/:id/stock-movements",
+  inventoryController.getStockMovements
+);
+router.get("/inventory/low-stock", inventoryController.getLowStock);
+router.get("/inventory/thresholds", inventoryController.getThresholds);
+router.put("/inventory/thresholds", inventoryController.updateThresholds);
+
+// ─── Size systems ─────────────────────────────────────────────────────────────
+router.get("/size-systems", sizeSystemController.listSizeSystems);
+router.post("/size-systems", sizeSystemController.createSizeSystem);
+router.put("/size-systems/:id", sizeSystemController.updateSizeSystem);
+router.delete("/size-systems/:id", sizeSystemController.deleteSizeSystem);
+
+// ─── Coupons ──────────────────────────────────────────────────────────────────
+router.get("/coupons", couponController.listCoupons);
+router.post("/coupons", couponController.createCoupon);
+router.get("/coupons/:id", couponController.getCoupon);
+router.put("/coupons/:id", couponController.updateCoupon);
+router.delete("/coupons/:id", couponController.deleteCoupon);
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+router.get("/settings", settingsController.getSettings);
+router.put("/settings", settingsController.updateSettings);
+
+// ─── Background jobs ──────────────────────────────────────────────────────────
+router.get("/jobs", jobController.listJobs);
+router.get("/jobs/:id", jobController.getJob);
+router.post("/jobs/:id/retry", jobController.retryJob);
+router.post("/jobs/:id/cancel", jobController.cancelJob);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const {
   register,
@@ -17,6 +18,12 @@ const {
   revokeSession,
   updateProfile,
   deleteAccount,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  verifyTwoFactorLogin,
 } = require("../controllers/auth.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 
@@ -36,6 +43,14 @@ router.post("/logout", logout);
 router.post("/magic-link-request", requestMagicLink);
 router.get("/magic", magicLogin);
 
+// second login step (mfa pending token + TOTP/recovery code); throttled
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: "Too many 2FA attempts, please try again later." },
+});
+router.post("/2fa/verify", twoFactorLimiter, verifyTwoFactorLogin);
+
 // Protected endpoints (must be *after* the public ones)
 router.get("/me", authMiddleware, (req, res) => {
   res.json({ user: req.user });
@@ -51,4 +66,16 @@ router.delete("/sessions/:tokenId", authMiddleware, revokeSession);
 router.put("/me", authMiddleware, updateProfile); // ← new
 router.delete("/me", authMiddleware, deleteAccount); // ← new
 
+// **Two-factor enrolment**
+router.get("/2fa", authMiddleware, getTwoFactorStatus);
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+router.post("/2fa/enable", authMiddleware, twoFactorLimiter, enableTwoFactor);
+router.post("/2fa/disable", authMiddleware, twoFactorLimiter, disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  twoFactorLimiter,
+  regenerateRecoveryCodes
+);
+
 module.exports = router;
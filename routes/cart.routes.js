@@ -1,13 +1,23 @@
 const express = require("express");
 const router = express.Router();
-const auth = require("../middleware/auth.middleware");
+const optionalAuth = require("../middleware/optionalAuth.middleware");
+const cartOwner = require("../middleware/cartOwner.middleware");
 const cc = require("../controllers/cart.controller");
 
-router.use(auth);
+// visitors get a guest cart (signed cookie) that is merged on login
+router.use(optionalAuth, cartOwner);
 router.get("/", cc.getCart);
+router.get("/validate", cc.validateCart);
 router.post("/", cc.addToCart);
-router.patch("/:index", cc.updateCartItem);
-router.delete("/:index", cc.removeFromCart);
+router.put("/", cc.replaceCart);
+router.post("/apply-coupon", cc.applyCoupon);
+// lines are addressed by their id (items[]._id), not their position
+router.patch("/:itemId", cc.updateCartItem);
+router.delete("/:itemId", cc.removeFromCart);
+// "saved for later"; a line keeps its id when moved
+router.post("/:itemId/move-to-saved", cc.moveToSaved);
+router.post("/saved/:itemId/move-to-cart", cc.moveToCart);
+router.delete("/saved/:itemId", cc.removeSaved);
 router.delete("/", cc.clearCart);
 
 module.exports = router;
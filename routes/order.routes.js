@@ -1,13 +1,31 @@
 // backend/routes/order.routes.js
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const auth = require("../middleware/auth.middleware");
+const optionalAuth = require("../middleware/optionalAuth.middleware");
+const cartOwner = require("../middleware/cartOwner.middleware");
 const oc = require("../controllers/order.controller");
 
-// Create order (checkout)
+// Create order from client-submitted items (legacy checkout)
 router.post("/", auth, oc.createOrder);
 
+// Create order from the server-side cart (user or guest cart)
+router.post("/checkout", optionalAuth, cartOwner, oc.checkoutFromCart);
+
+// Guest orders: lookup by email + order number, or the signed email link
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { message: "Too many order lookups, please try again later." },
+});
+router.post("/lookup", lookupLimiter, oc.lookupGuestOrder);
+router.get("/guest/:id", lookupLimiter, oc.getGuestOrder);
+
 // Get current user's orders
 router.get("/my", auth, oc.getMyOrders);
 
+// Invoice PDF for a paid order (owner only)
+router.get("/:id/invoice.pdf", auth, oc.getInvoicePdf);
+
 module.exports = router;
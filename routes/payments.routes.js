@@ -1,10 +1,21 @@
 // backend/routes/payments.routes.js
 const express = require("express");
 const router = express.Router();
-const auth = require("../middleware/auth.middleware");
+const optionalAuth = require("../middleware/optionalAuth.middleware");
 const paymentsController = require("../controllers/payments.controller");
 
-// Only authenticated users can call fake payment
-router.post("/fake", auth, paymentsController.fakePayment);
+// provider callbacks: authenticated by their HMAC signature, not a session
+router.post("/webhook/:provider", paymentsController.handleWebhook);
+
+// users, or guests with the guestToken of their order
+router.post("/intents", optionalAuth, paymentsController.createPaymentIntent);
+router.post(
+  "/mock/confirm",
+  optionalAuth,
+  paymentsController.confirmMockPayment
+);
+
+// Only authenticated users (or the guest owning the order) can call fake payment
+router.post("/fake", optionalAuth, paymentsController.fakePayment);
 
 module.exports = router;
@@ -1,9 +1,22 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
+const optionalAuth = require("../middleware/optionalAuth.middleware");
 const pc = require("../controllers/product.controller");
+const ssc = require("../controllers/sizeSystem.controller");
+
+// Back-in-stock requests (signed in, or guests confirming by email)
+const notifyMeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: "Too many requests, please try again later." },
+});
+router.get("/notify-me/confirm", notifyMeLimiter, pc.confirmNotifyMe);
+router.post("/:id/notify-me", notifyMeLimiter, optionalAuth, pc.notifyMe);
 
 // Public browsing
 router.get("/", pc.getAllProducts);
+router.get("/size-systems", ssc.listSizeSystems);
 router.get("/:id", pc.getProductById);
 
 module.exports = router;
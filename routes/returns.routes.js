@@ -0,0 +1,13 @@
+// backend/routes/returns.routes.js
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth.middleware");
+const rc = require("../controllers/return.controller");
+
+// Open a return for items of a delivered order
+router.post("/", auth, rc.createReturn);
+
+// Current user's returns
+router.get("/my", auth, rc.getMyReturns);
+
+module.exports = router;
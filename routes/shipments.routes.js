@@ -0,0 +1,9 @@
+// backend/routes/shipments.routes.js
+const express = require("express");
+const router = express.Router();
+const sc = require("../controllers/shipment.controller");
+
+// carrier callbacks: authenticated by their signature, not a session
+router.post("/webhook", sc.handleTrackingWebhook);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth.middleware");
+const wc = require("../controllers/wishlist.controller");
+
+// Anyone with the link can read a public list
+router.get("/shared/:slug", wc.getSharedWishlist);
+
+// Everything else is the logged-in user's own lists
+router.use(auth);
+
+router
+  .get("/", wc.listWishlists) // GET    /api/wishlists
+  .post("/", wc.createWishlist) // POST   /api/wishlists
+  .get("/:id", wc.getWishlistById) // GET    /api/wishlists/:id
+  .patch("/:id", wc.updateWishlist) // PATCH  /api/wishlists/:id
+  .delete("/:id", wc.deleteWishlist) // DELETE /api/wishlists/:id
+  .post("/:id/items", wc.addWishlistItem)
+  .patch("/:id/items/:itemId", wc.updateWishlistItem)
+  .delete("/:id/items/:itemId", wc.removeWishlistItem);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+// scripts/backfill-order-numbers.js
+// One-off migration: gives every order without an orderNumber one, oldest
+// first, from the same per-year counters new orders use (lib/orderNumbers).
+// Safe to re-run: orders that already have a number are skipped.
+//
+// Run it BEFORE the server that numbers new orders goes live (deploy with
+// the app stopped, run this, then start it). Numbers follow creation order
+// only if the backfill takes them first: once checkout has numbered an order
+// in a year, old orders of that year would get higher numbers than newer
+// ones. The script refuses in that case unless --force is given.
+//
+//   node scripts/backfill-order-numbers.js [--dry-run] [--force]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { nextOrderNumber } = require("../lib/orderNumbers");
+
+const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
+const dryRun = process.argv.includes("--dry-run");
+const force = process.argv.includes("--force");
+
+/**
+ * Years in which an order newer than the oldest un-numbered one already has
+ * a number, i.e. checkout numbered orders before the backfill reached them.
+ * (A backfill interrupted halfway only numbered older orders, so re-running
+ * it is fine.)
+ */
+async function yearsNumberedOutOfOrder(missing) {
+  const years = await Order.aggregate([
+    { $match: missing },
+    {
+      $project: {
+        createdAt: { $ifNull: ["$createdAt", { $toDate: "$_id" }] },
+      },
+    },
+    {
+      $group: { _id: { $year: "$createdAt" }, oldest: { $min: "$createdAt" } },
+    },
+  ]);
+  const clash = [];
+  for (const { _id: year, oldest } of years) {
+    const numbered = await Order.exists({
+      orderNumber: { $exists: true },
+      createdAt: { $gt: oldest, $lt: new Date(Date.UTC(year + 1, 0, 1)) },
+    });
+    if (numbered) clash.push(year);
+  }
+  return clash.sort();
+}
+
+async function main() {
+  await mongoose.connect(mongoUri);
+  console.log("Connected to mongo for order number backfill");
+
+  const missing = { orderNumber: { $exists: false } };
+  const total = await Order.countDocuments(missing);
+  console.log(`${total} order(s) without an order number`);
+
+  const clash = total ? await yearsNumberedOutOfOrder(missing) : [];
+  if (clash.length) {
+    console.warn(
+      `Orders of ${clash.join(", ")} were already numbered by checkout; ` +
+        "backfilled numbers there will not follow creation order."
+    );
+    if (!force && !dryRun) {
+      console.error("Aborting. Re-run with --force to number them anyway.");
+      await mongoose.disconnect();
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const cursor = Order.find(missing)
+    .sort({ createdAt: 1, _id: 1 })
+    .select("_id createdAt")
+    .lean()
+    .cursor();
+
+  let assigned = 0;
+  for await (const o of cursor) {
+    const createdAt = o.createdAt || o._id.getTimestamp();
+    if (dryRun) {
+      console.log(`would number ${o._id} (${createdAt.toISOString()})`);
+      continue;
+    }
+    const orderNumber = await nextOrderNumber(createdAt);
+    const res = await Order.updateOne(
+      { _id: o._id, orderNumber: { $exists: false } },
+      { $set: { orderNumber } }
+    );
+    if (res.modifiedCount) assigned++;
+  }
+
+  console.log(
+    dryRun ? "Dry run, nothing written" : `Assigned ${assigned} order number(s)`
+  );
+  await mongoose.disconnect();
+  console.log("Disconnected");
+}
+
+main().catch((err) => {
+  console.error("Backfill error", err);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// scripts/backfill-variant-skus.js
+// One-off backfill: gives every stocked color+size of existing products a
+// variant with a generated SKU (lib/variants). Variants that already exist
+// keep their SKU, so it is safe to re-run. Run after
+// migrate-size-systems.js.
+//
+//   node scripts/backfill-variant-skus.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { prepareVariants } = require("../lib/variants");
+
+const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await mongoose.connect(mongoUri);
+  console.log("Connected to mongo for variant SKU backfill");
+  // builds the unique SKU / barcode indexes if they don't exist yet
+  if (!dryRun) await Product.createIndexes();
+
+  let updated = 0;
+  const failed = [];
+  const cursor = Product.collection.find({}, { projection: { variations: 1 } });
+  for await (const p of cursor) {
+    const variations = p.variations || [];
+    const result = prepareVariants(p, variations, { previous: variations });
+    if (!result.ok) {
+      failed.push(`${p._id}: ${result.message}`);
+      continue;
+    }
+
+    const $set = {};
+    result.variations.forEach((v, i) => {
+      const before = (variations[i].variants || []).length;
+      if (v.variants.length !== before) {
+        $set[`variations.${i}.variants`] = v.variants;
+      }
+    });
+    if (!Object.keys($set).length) continue;
+    if (dryRun) {
+      console.log(`would update ${p._id}`, $set);
+      continue;
+    }
+    try {
+      await Product.collection.updateOne({ _id: p._id }, { $set });
+      updated++;
+    } catch (err) {
+      if (err && err.code === 11000) {
+        failed.push(`${p._id}: generated SKU already taken`);
+        continue;
+      }
+      throw err;
+    }
+  }
+
+  if (failed.length) {
+    console.warn(`${failed.length} product(s) need fixing by hand:`);
+    failed.forEach((f) => console.warn(`  ${f}`));
+  }
+  console.log(
+    dryRun ? "Dry run, nothing written" : `Updated ${updated} product(s)`
+  );
+  await mongoose.disconnect();
+  console.log("Disconnected");
+}
+
+main().catch((err) => {
+  console.error("Variant SKU backfill error", err);
+  process.exit(1);
+});
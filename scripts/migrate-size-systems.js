@@ -0,0 +1,135 @@
+// scripts/migrate-size-systems.js
+// One-off migration to size systems (models/SizeSystem):
+//  1. creates the default systems (apparel letters for "clothes", EU shoe
+//     sizes for "shoes", US shoe sizes, one size) unless they exist already;
+//  2. for every product, drops empty stock entries left by the old fixed
+//     XS–XL fields, and pins products whose stock doesn't fit their
+//     category's system (e.g. shoes stocked in S/M/L) to "apparel";
+//  3. trims `sizes` to the product's size system.
+// Stock quantities are never rewritten, so it is safe to run while the shop
+// is live, and safe to re-run.
+//
+//   node scripts/migrate-size-systems.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const SizeSystem = require("../models/SizeSystem");
+const Product = require("../models/Product");
+const { sizeFromKey, sizeSystemFor } = require("../lib/sizes");
+
+const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
+const dryRun = process.argv.includes("--dry-run");
+
+const range = (from, to, step = 1) => {
+  const out = [];
+  for (let n = from; n <= to; n += step) out.push(String(n));
+  return out;
+};
+
+const DEFAULT_SYSTEMS = [
+  {
+    key: "apparel",
+    name: "Apparel (letters)",
+    sizes: ["XS", "S", "M", "L", "XL", "XXL"],
+    categories: ["clothes"],
+  },
+  {
+    key: "eu-shoes",
+    name: "Shoes (EU)",
+    sizes: range(35, 47),
+    categories: ["shoes"],
+  },
+  { key: "us-shoes", name: "Shoes (US)", sizes: range(5, 13, 0.5) },
+  { key: "one-size", name: "One size", sizes: ["One size"] },
+];
+
+// (a dry run hasn't created the defaults yet)
+async function systemFor(p) {
+  const category = String(p.category || "").toLowerCase();
+  return (
+    (await sizeSystemFor(p)) ||
+    DEFAULT_SYSTEMS.find((s) =>
+      p.sizeSystem
+        ? s.key === p.sizeSystem
+        : (s.categories || []).includes(category)
+    ) ||
+    null
+  );
+}
+
+async function main() {
+  await mongoose.connect(mongoUri);
+  console.log("Connected to mongo for size system migration");
+
+  for (const def of DEFAULT_SYSTEMS) {
+    const exists = await SizeSystem.exists({ key: def.key });
+    if (exists) continue;
+    console.log(
+      `${dryRun ? "would create" : "creating"} size system ${def.key}`
+    );
+    if (!dryRun) await SizeSystem.create(def);
+  }
+  const apparel = DEFAULT_SYSTEMS[0];
+
+  let updated = 0;
+  const skipped = [];
+  // raw documents: the old stock shape may have explicit nulls
+  const cursor = Product.collection.find(
+    {},
+    { projection: { category: 1, sizeSystem: 1, sizes: 1, variations: 1 } }
+  );
+  for await (const p of cursor) {
+    const $unset = {};
+    const stocked = new Set();
+    (p.variations || []).forEach((v, i) => {
+      Object.entries(v.stockBySize || {}).forEach(([key, qty]) => {
+        if (qty == null) $unset[`variations.${i}.stockBySize.${key}`] = "";
+        else stocked.add(sizeFromKey(key));
+      });
+    });
+
+    let system = await systemFor(p);
+    const fits = (s) =>
+      s && [...stocked].every((size) => s.sizes.includes(size));
+
+    const $set = {};
+    if (!fits(system)) {
+      if (p.sizeSystem || !fits(apparel)) {
+        skipped.push(String(p._id));
+        continue;
+      }
+      system = apparel;
+      $set.sizeSystem = apparel.key;
+    }
+
+    const sizes = (p.sizes || []).filter((s) => system.sizes.includes(s));
+    if (sizes.length !== (p.sizes || []).length) $set.sizes = sizes;
+
+    if (!Object.keys($set).length && !Object.keys($unset).length) continue;
+    if (dryRun) {
+      console.log(`would update ${p._id}`, { $set, $unset });
+      continue;
+    }
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    await Product.collection.updateOne({ _id: p._id }, update);
+    updated++;
+  }
+
+  if (skipped.length) {
+    console.warn(
+      `${skipped.length} product(s) need a size system picked by hand:`,
+      skipped.join(", ")
+    );
+  }
+  console.log(
+    dryRun ? "Dry run, nothing written" : `Updated ${updated} product(s)`
+  );
+  await mongoose.disconnect();
+  console.log("Disconnected");
+}
+
+main().catch((err) => {
+  console.error("Size system migration error", err);
+  process.exit(1);
+});
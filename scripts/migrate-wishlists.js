@@ -0,0 +1,81 @@
+// scripts/migrate-wishlists.js
+// One-off migration: moves the old flat User.wishlist arrays (product ids)
+// into each user's default Wishlist, then removes the field from the user.
+// Safe to re-run: products already in the default list are not added twice,
+// and users without the field are skipped.
+//
+//   node scripts/migrate-wishlists.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Wishlist = require("../models/Wishlist");
+
+const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await mongoose.connect(mongoUri);
+  console.log("Connected to mongo for wishlist migration");
+
+  // User.wishlist is no longer in the schema; read the raw documents
+  const legacy = { wishlist: { $exists: true } };
+  const total = await User.collection.countDocuments(legacy);
+  console.log(`${total} user(s) with a legacy wishlist`);
+
+  const cursor = User.collection.find(legacy, {
+    projection: { _id: 1, wishlist: 1 },
+  });
+
+  let users = 0;
+  let moved = 0;
+  for await (const u of cursor) {
+    const ids = [
+      ...new Set(
+        (u.wishlist || []).map(String).filter(mongoose.isValidObjectId)
+      ),
+    ];
+    if (dryRun) {
+      console.log(`would move ${ids.length} product(s) for user ${u._id}`);
+      continue;
+    }
+
+    if (ids.length) {
+      const list = await Wishlist.defaultFor(u._id);
+      const have = new Set(list.items.map((it) => String(it.product)));
+      const missing = ids.filter((id) => !have.has(id));
+      if (missing.length) {
+        await Wishlist.updateOne(
+          { _id: list._id },
+          {
+            $push: {
+              items: {
+                $each: missing.map((id) => ({
+                  product: new mongoose.Types.ObjectId(id),
+                })),
+              },
+            },
+          }
+        );
+        moved += missing.length;
+      }
+    }
+    await User.collection.updateOne(
+      { _id: u._id },
+      { $unset: { wishlist: "" } }
+    );
+    users++;
+  }
+
+  console.log(
+    dryRun
+      ? "Dry run, nothing written"
+      : `Moved ${moved} item(s) for ${users} user(s)`
+  );
+  await mongoose.disconnect();
+  console.log("Disconnected");
+}
+
+main().catch((err) => {
+  console.error("Wishlist migration error", err);
+  process.exit(1);
+});
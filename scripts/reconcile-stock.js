@@ -0,0 +1,125 @@
+// scripts/reconcile-stock.js
+// Checks that every stocked size equals the sum of its StockMovement entries
+// and lists the ones that don't (also sizes with ledger entries but no stock
+// entry). Exits with status 1 when something is off.
+//
+// With --record, each difference is written to the ledger so the two agree
+// again: as an "import" (opening balance) when the size had no entries yet,
+// e.g. stock that predates the ledger, otherwise as an "adjustment".
+//
+//   node scripts/reconcile-stock.js [--record]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { stockEntries } = require("../lib/sizes");
+const { findVariant } = require("../lib/variants");
+
+const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
+const record = process.argv.includes("--record");
+
+const keyOf = (product, color, size) =>
+  JSON.stringify([String(product), String(color).toLowerCase(), size]);
+
+async function main() {
+  await mongoose.connect(mongoUri);
+  console.log("Connected to mongo for stock reconciliation");
+
+  // ledger sums per product / color / size
+  const ledger = new Map();
+  const sums = StockMovement.aggregate([
+    {
+      $group: {
+        _id: {
+          product: "$product",
+          color: { $toLower: "$color" },
+          size: "$size",
+        },
+        quantity: { $sum: "$quantity" },
+        entries: { $sum: 1 },
+      },
+    },
+  ]).cursor();
+  for await (const row of sums) {
+    const { product, color, size } = row._id;
+    ledger.set(keyOf(product, color, size), row);
+  }
+
+  const mismatches = [];
+  const cursor = Product.find({}).select("name variations").lean().cursor();
+  for await (const p of cursor) {
+    for (const v of p.variations || []) {
+      for (const [size, qty] of stockEntries(v)) {
+        const key = keyOf(p._id, v.color, size);
+        const row = ledger.get(key);
+        ledger.delete(key);
+        const booked = row ? row.quantity : 0;
+        if (booked === qty) continue;
+        const variant = findVariant(v, size);
+        mismatches.push({
+          product: p._id,
+          name: p.name,
+          color: v.color,
+          size,
+          sku: variant ? variant.sku : null,
+          stock: qty,
+          ledger: booked,
+          hasEntries: !!row,
+        });
+      }
+    }
+  }
+  // ledger balances for sizes that are no longer stocked (removed sizes or
+  // deleted products) must have come back to zero
+  for (const row of ledger.values()) {
+    if (row.quantity === 0) continue;
+    mismatches.push({
+      product: row._id.product,
+      name: null,
+      color: row._id.color,
+      size: row._id.size,
+      sku: null,
+      stock: 0,
+      ledger: row.quantity,
+      hasEntries: true,
+      orphan: true,
+    });
+  }
+
+  mismatches.forEach((m) =>
+    console.warn(
+      `${m.product} ${m.name || "(no stock entry)"} ${m.color} / ${
+        m.size
+      }: stock ${m.stock}, ledger ${m.ledger}`
+    )
+  );
+  console.log(`${mismatches.length} mismatch(es)`);
+
+  if (record && mismatches.length) {
+    const entries = mismatches
+      // an orphan balance belongs to a product or size that is gone; it is
+      // reported but has nothing to correct
+      .filter((m) => !m.orphan)
+      .map((m) => ({
+        product: m.product,
+        color: m.color,
+        size: m.size,
+        sku: m.sku,
+        quantity: m.stock - m.ledger,
+        type: m.hasEntries ? "adjustment" : "import",
+        reason: m.hasEntries ? "reconciliation" : "opening balance",
+        actorType: "system",
+      }));
+    if (entries.length) await StockMovement.insertMany(entries);
+    console.log(`Recorded ${entries.length} ledger entries`);
+  }
+
+  await mongoose.disconnect();
+  console.log("Disconnected");
+  if (mismatches.length && !record) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("Stock reconciliation error", err);
+  process.exit(1);
+});
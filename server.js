@@ -15,6 +15,7 @@ const orderRoutes = require("./routes/order.routes");
 const publicProductRoutes = require("./routes/products.routes");
 
 const User = require("./models/User");
+const jobs = require("./jobs");
 
 const app = express();
 
@@ -29,7 +30,11 @@ app.set("trust proxy", 1);
 const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/px39";
 mongoose
   .connect(mongoUri)
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    // background job worker + recurring schedules (see jobs/index.js)
+    jobs.start(app);
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err);
     process.exit(1);
@@ -38,8 +43,19 @@ mongoose
 console.log("User model loaded:", !!User);
 
 // ——————— 2. Global Middleware ———————
-app.use(express.json());
-app.use(cookieParser());
+// webhook routes verify signatures over the exact bytes received, so keep a
+// copy of the raw body for them
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes("/webhook")) {
+        req.rawBody = buf.toString("utf8");
+      }
+    },
+  })
+);
+// the secret signs the guest cart cookie (lib/guestCart)
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 /**
  * CORS: Support multiple frontend origins via FRONTEND_ORIGINS env var (comma-separated).
@@ -128,13 +144,16 @@ app.use("/admin", adminRoutes);
 app.use("/products", publicProductRoutes);
 app.use("/user", require("./routes/recentlyViewed.routes"));
 
-app.use("/api/wishlist", require("./routes/wishlist.routes"));
+app.use("/api/wishlist", require("./routes/wishlist.routes")); // default list
+app.use("/api/wishlists", require("./routes/wishlists.routes"));
 app.use("/cart", require("./routes/cart.routes"));
 app.use("/orders", orderRoutes);
+app.use("/returns", require("./routes/returns.routes"));
 app.use("/imagekit", require("./routes/imagekit.routes"));
 app.use("/push", require("./routes/push.routes"));
 app.use("/contacts", require("./routes/contact.routes"));
 app.use("/payments", require("./routes/payments.routes"));
+app.use("/shipments", require("./routes/shipments.routes"));
 
 app.use("/messages", require("./routes/message.routes"));
 // mount notifications (if file exists)
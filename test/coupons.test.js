@@ -0,0 +1,270 @@
+// backend/test/coupons.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const {
+  normalizeCouponCodes,
+  evaluateCoupons,
+  releaseCoupons,
+  consumeCoupons,
+} = require("../lib/coupons");
+
+// Coupon.find resolves to the given coupons, CouponRedemption to `redemption`
+function withCoupons(t, coupons, redemption = null) {
+  t.mock.method(Coupon, "find", async ({ code }) =>
+    coupons.filter((c) => code.$in.includes(c.code))
+  );
+  t.mock.method(CouponRedemption, "findOne", () => ({
+    lean: async () => redemption,
+  }));
+}
+
+const coupon = (fields) => ({
+  _id: fields.code,
+  active: true,
+  value: 0,
+  minSubtotal: 0,
+  usageCount: 0,
+  usageLimit: null,
+  perUserLimit: null,
+  maxDiscount: null,
+  stackable: false,
+  categories: [],
+  tags: [],
+  products: [],
+  ...fields,
+});
+
+const lines = [
+  { index: 0, productId: "p1", category: "Shoes", tags: [], lineCents: 3000 },
+  {
+    index: 1,
+    productId: "p2",
+    category: "Hats",
+    tags: ["sale"],
+    lineCents: 1000,
+  },
+];
+
+test("normalizeCouponCodes merges, trims, upper-cases and de-duplicates", () => {
+  assert.deepEqual(
+    normalizeCouponCodes({
+      couponCodes: [" summer", "", "WINTER"],
+      couponCode: "Summer ",
+    }),
+    ["SUMMER", "WINTER"]
+  );
+  assert.deepEqual(normalizeCouponCodes({}), []);
+});
+
+test("no codes leaves the total untouched", async () => {
+  const result = await evaluateCoupons({
+    lines,
+    subtotalCents: 4000,
+    shippingCents: 500,
+  });
+  assert.equal(result.ok, true);
+  assert.equal(result.discountCents, 0);
+  assert.equal(result.totalCents, 4500);
+});
+
+test("unknown codes are rejected", async (t) => {
+  withCoupons(t, []);
+  const result = await evaluateCoupons({
+    codes: ["NOPE"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.deepEqual(result, { ok: false, message: "Invalid coupon code: NOPE" });
+});
+
+test("percent coupon is split across lines by their value", async (t) => {
+  withCoupons(t, [coupon({ code: "TEN", type: "percent", value: 10 })]);
+  const result = await evaluateCoupons({
+    codes: ["TEN"],
+    lines,
+    subtotalCents: 4000,
+    shippingCents: 500,
+  });
+  assert.equal(result.ok, true);
+  assert.equal(result.discountCents, 400);
+  assert.deepEqual(result.lineDiscounts, { 0: 300, 1: 100 });
+  assert.equal(result.totalCents, 4100);
+});
+
+test("percent coupon respects maxDiscount", async (t) => {
+  withCoupons(t, [
+    coupon({ code: "HALF", type: "percent", value: 50, maxDiscount: 5 }),
+  ]);
+  const result = await evaluateCoupons({
+    codes: ["HALF"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.equal(result.discountCents, 500);
+});
+
+test("fixed coupon only discounts matching lines and never below zero", async (t) => {
+  withCoupons(t, [
+    coupon({ code: "HATS", type: "fixed", value: 25, tags: ["SALE"] }),
+  ]);
+  const result = await evaluateCoupons({
+    codes: ["HATS"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.equal(result.discountCents, 1000);
+  assert.deepEqual(result.lineDiscounts, { 1: 1000 });
+});
+
+test("allocation parts add up exactly", async (t) => {
+  withCoupons(t, [coupon({ code: "ONE", type: "fixed", value: 1 })]);
+  const three = [0, 1, 2].map((index) => ({ index, lineCents: 1000 }));
+  const result = await evaluateCoupons({
+    codes: ["ONE"],
+    lines: three,
+    subtotalCents: 3000,
+  });
+  const parts = result.applied[0].lines.map((p) => p.amountCents);
+  const total = parts.reduce((a, b) => a + b, 0);
+  assert.equal(total, 100);
+  assert.deepEqual(parts.sort(), [33, 33, 34]);
+});
+
+test("free shipping takes off the shipping cost", async (t) => {
+  withCoupons(t, [coupon({ code: "SHIP", type: "free_shipping" })]);
+  const result = await evaluateCoupons({
+    codes: ["SHIP"],
+    lines,
+    subtotalCents: 4000,
+    shippingCents: 599,
+  });
+  assert.equal(result.discountCents, 599);
+  assert.equal(result.applied[0].shipping, true);
+  assert.equal(result.totalCents, 4000);
+});
+
+test("stackable coupons apply to what the previous ones left", async (t) => {
+  withCoupons(t, [
+    coupon({ code: "FIVE", type: "fixed", value: 5, stackable: true }),
+    coupon({ code: "TEN", type: "percent", value: 10, stackable: true }),
+  ]);
+  const result = await evaluateCoupons({
+    codes: ["FIVE", "TEN"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.equal(result.ok, true);
+  const amounts = result.applied.map((a) => a.amountCents);
+  assert.deepEqual(amounts, [500, 350]);
+  assert.equal(result.totalCents, 3150);
+});
+
+test("a non-stackable coupon can't be combined", async (t) => {
+  withCoupons(t, [
+    coupon({ code: "A", type: "fixed", value: 1, stackable: true }),
+    coupon({ code: "B", type: "fixed", value: 1 }),
+  ]);
+  const result = await evaluateCoupons({
+    codes: ["A", "B"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /Coupon B cannot be combined/);
+});
+
+test("unavailable coupons are rejected with the reason", async (t) => {
+  const past = new Date(Date.now() - 60 * 1000);
+  const cases = [
+    [{ active: false }, /is not active/],
+    [{ startsAt: new Date(Date.now() + 60 * 1000) }, /is not valid yet/],
+    [{ endsAt: past }, /has expired/],
+    [{ usageLimit: 3, usageCount: 3 }, /reached its usage limit/],
+    [{ minSubtotal: 50 }, /minimum subtotal of 50\.00/],
+    [{ perUserLimit: 1 }, /requires an account/],
+  ];
+  for (const [fields, message] of cases) {
+    t.mock.restoreAll();
+    withCoupons(t, [coupon({ code: "X", type: "fixed", value: 1, ...fields })]);
+    const result = await evaluateCoupons({
+      codes: ["X"],
+      lines,
+      subtotalCents: 4000,
+    });
+    assert.equal(result.ok, false);
+    assert.match(result.message, message);
+  }
+});
+
+test("per-user limit counts the user's redemptions", async (t) => {
+  withCoupons(
+    t,
+    [coupon({ code: "ONCE", type: "fixed", value: 1, perUserLimit: 1 })],
+    { count: 1 }
+  );
+  const result = await evaluateCoupons({
+    codes: ["ONCE"],
+    lines,
+    subtotalCents: 4000,
+    userId: "u1",
+  });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /already used coupon ONCE/);
+});
+
+test("a restricted coupon must match some line", async (t) => {
+  withCoupons(t, [
+    coupon({ code: "BAGS", type: "fixed", value: 1, categories: ["bags"] }),
+  ]);
+  const result = await evaluateCoupons({
+    codes: ["BAGS"],
+    lines,
+    subtotalCents: 4000,
+  });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /doesn't apply to any item/);
+});
+
+test("releaseCoupons gives back the uses taken for that order", async (t) => {
+  const couponUpdates = t.mock.method(Coupon, "updateOne", async () => ({}));
+  const userUpdates = t.mock.method(
+    CouponRedemption,
+    "updateOne",
+    async () => ({})
+  );
+  await releaseCoupons([{ coupon: "c1", code: "TEN" }], "u1", "o1");
+  assert.equal(couponUpdates.mock.callCount(), 1);
+  assert.deepEqual(userUpdates.mock.calls[0].arguments.slice(0, 2), [
+    { coupon: "c1", user: "u1", orders: "o1", count: { $gt: 0 } },
+    { $inc: { count: -1 }, $pull: { orders: "o1" } },
+  ]);
+
+  // guest orders took no per-user use
+  await releaseCoupons([{ coupon: "c1", code: "TEN" }], null, "o2");
+  assert.equal(couponUpdates.mock.callCount(), 2);
+  assert.equal(userUpdates.mock.callCount(), 1);
+});
+
+test("consumeCoupons only takes coupons that are live right now", async (t) => {
+  const taken = t.mock.method(Coupon, "findOneAndUpdate", () => ({
+    lean: async () => null,
+  }));
+  const result = await consumeCoupons(
+    [{ coupon: "c1", code: "OLD" }],
+    null,
+    "o1"
+  );
+  assert.deepEqual(result, {
+    ok: false,
+    message: "Coupon OLD is no longer available.",
+  });
+  const [filter] = taken.mock.calls[0].arguments;
+  assert.equal(filter.active, true);
+  const [, starts, ends] = filter.$and;
+  assert.equal(starts.$or[0].startsAt, null);
+  assert.ok(starts.$or[1].startsAt.$lte instanceof Date);
+  assert.equal(ends.$or[0].endsAt, null);
+  assert.ok(ends.$or[1].endsAt.$gt instanceof Date);
+});
@@ -0,0 +1,64 @@
+// backend/test/cron.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron } = require("../lib/cron");
+
+// local times, like parseCron itself
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test("every minute moves to the next whole minute", () => {
+  const next = parseCron("* * * * *").next(new Date(2026, 0, 1, 10, 0, 30));
+  assert.deepEqual(next, at(2026, 1, 1, 10, 1));
+});
+
+test("steps and lists", () => {
+  const cron = parseCron("*/15 9,17 * * *");
+  assert.deepEqual(cron.next(at(2026, 3, 2, 9, 0)), at(2026, 3, 2, 9, 15));
+  assert.deepEqual(cron.next(at(2026, 3, 2, 9, 45)), at(2026, 3, 2, 17, 0));
+  assert.deepEqual(cron.next(at(2026, 3, 2, 17, 45)), at(2026, 3, 3, 9, 0));
+});
+
+test("daily schedule rolls over month and year ends", () => {
+  const cron = parseCron("0 7 * * *");
+  assert.deepEqual(cron.next(at(2026, 1, 31, 8)), at(2026, 2, 1, 7));
+  assert.deepEqual(cron.next(at(2026, 12, 31, 7)), at(2027, 1, 1, 7));
+});
+
+test("ranges with steps", () => {
+  const cron = parseCron("0-30/10 0 * * *");
+  assert.deepEqual(cron.next(at(2026, 5, 1, 0, 10)), at(2026, 5, 1, 0, 20));
+  assert.deepEqual(cron.next(at(2026, 5, 1, 0, 30)), at(2026, 5, 2, 0, 0));
+});
+
+test("day of week: 7 is Sunday like 0", () => {
+  // 2026-03-01 is a Sunday
+  const sunday = at(2026, 3, 1, 3, 30);
+  assert.deepEqual(parseCron("30 3 * * 7").next(at(2026, 2, 27)), sunday);
+  assert.deepEqual(parseCron("30 3 * * 0").next(at(2026, 2, 27)), sunday);
+});
+
+test("day of month or day of week when both are restricted", () => {
+  // the 15th, or any Monday (2026-06-01 is a Monday)
+  const cron = parseCron("0 12 15 * 1");
+  assert.deepEqual(cron.next(at(2026, 5, 31)), at(2026, 6, 1, 12));
+  assert.deepEqual(cron.next(at(2026, 6, 12, 13)), at(2026, 6, 15, 12));
+});
+
+test("month restriction skips to the first matching month", () => {
+  const cron = parseCron("0 0 1 1 *");
+  assert.deepEqual(cron.next(at(2026, 1, 1)), at(2027, 1, 1));
+});
+
+test("invalid expressions throw", () => {
+  assert.throws(() => parseCron("* * * *"), /needs 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid cron minute/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid cron step/);
+  assert.throws(() => parseCron("* * * * 5-2"), /Invalid cron dayOfWeek/);
+});
+
+test("expressions that never match throw on next()", () => {
+  assert.throws(
+    () => parseCron("0 0 31 2 *").next(at(2026, 1, 1)),
+    /never matches/
+  );
+});
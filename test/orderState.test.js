@@ -0,0 +1,80 @@
+// backend/test/orderState.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ORDER_STATUSES,
+  canTransition,
+  statusesLeadingTo,
+  historyEntry,
+} = require("../lib/orderState");
+
+test("orders move forward through fulfillment", () => {
+  assert.ok(canTransition("pending", "processing"));
+  assert.ok(canTransition("processing", "shipped"));
+  assert.ok(canTransition("shipped", "delivered"));
+  assert.ok(!canTransition("pending", "shipped"));
+  assert.ok(!canTransition("delivered", "shipped"));
+  assert.ok(!canTransition("shipped", "processing"));
+});
+
+test("orders can be cancelled only before shipment", () => {
+  assert.ok(canTransition("pending", "cancelled"));
+  assert.ok(canTransition("processing", "cancelled"));
+  assert.ok(!canTransition("shipped", "cancelled"));
+  assert.ok(!canTransition("delivered", "cancelled"));
+});
+
+test("final and unknown statuses go nowhere", () => {
+  for (const to of ORDER_STATUSES) {
+    assert.ok(!canTransition("delivered", to));
+    assert.ok(!canTransition("cancelled", to));
+    assert.ok(!canTransition("lost", to));
+    assert.ok(!canTransition(to, to));
+  }
+});
+
+test("statusesLeadingTo lists where a transition may start", () => {
+  assert.deepEqual(statusesLeadingTo("cancelled"), ["pending", "processing"]);
+  assert.deepEqual(statusesLeadingTo("delivered"), ["shipped"]);
+  assert.deepEqual(statusesLeadingTo("pending"), []);
+  assert.deepEqual(statusesLeadingTo("lost"), []);
+});
+
+test("historyEntry fills defaults and drops empty fields", () => {
+  const before = Date.now();
+  const entry = historyEntry({
+    type: "status",
+    from: "pending",
+    to: "processing",
+  });
+  assert.deepEqual(
+    { ...entry, at: undefined },
+    {
+      type: "status",
+      from: "pending",
+      to: "processing",
+      actor: undefined,
+      actorType: "system",
+      note: undefined,
+      data: undefined,
+      at: undefined,
+    }
+  );
+  assert.ok(entry.at instanceof Date);
+  assert.ok(entry.at.getTime() >= before);
+});
+
+test("historyEntry keeps who did it and why", () => {
+  const entry = historyEntry({
+    type: "refund",
+    actor: "u1",
+    actorType: "admin",
+    note: "Damaged in transit",
+    data: { amount: 20 },
+  });
+  assert.equal(entry.actor, "u1");
+  assert.equal(entry.actorType, "admin");
+  assert.equal(entry.note, "Damaged in transit");
+  assert.deepEqual(entry.data, { amount: 20 });
+  assert.equal(entry.from, undefined);
+});
@@ -0,0 +1,185 @@
+// backend/test/pricing.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../models/Product");
+const {
+  escapeRegExp,
+  findVariation,
+  unitPriceFor,
+  variantSku,
+  priceOrderItems,
+  shippingFeeCents,
+  toDollars,
+} = require("../lib/pricing");
+
+// Product.findById resolves to the given products by id
+function withProducts(t, ...products) {
+  t.mock.method(Product, "findById", (id) => ({
+    lean: async () => products.find((p) => p._id === id) || null,
+  }));
+}
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+const product = {
+  _id: "p1",
+  category: "Shoes",
+  tags: ["running"],
+  price: 100,
+  salePrice: 80,
+  variations: [
+    {
+      color: "Black",
+      variants: [
+        { size: "42", sku: "P1-BLACK-42" },
+        { size: "43", sku: "P1-BLACK-43", price: 120 },
+        {
+          size: "44",
+          sku: "P1-BLACK-44",
+          discount: 25,
+          discountType: "percent",
+          discountActive: true,
+        },
+        {
+          size: "45",
+          sku: "P1-BLACK-45",
+          discount: 10,
+          discountType: "fixed",
+          discountActive: true,
+          discountExpires: yesterday(),
+        },
+      ],
+    },
+  ],
+};
+
+test("escapeRegExp escapes regex syntax", () => {
+  assert.equal(escapeRegExp("a.b*c(d)"), "a\\.b\\*c\\(d\\)");
+  assert.equal(escapeRegExp(), "");
+  assert.ok(new RegExp(`^${escapeRegExp("1+1?")}$`).test("1+1?"));
+});
+
+test("findVariation matches colors case-insensitively and literally", () => {
+  assert.equal(findVariation(product, "black"), product.variations[0]);
+  assert.equal(findVariation(product, "Bl.ck"), null);
+  assert.equal(findVariation(product, ""), null);
+  assert.equal(findVariation(null, "Black"), null);
+});
+
+test("unitPriceFor falls back to the product's sale price", () => {
+  assert.equal(unitPriceFor(product, "Black", "42"), 80);
+  assert.equal(unitPriceFor(product, "Red", "42"), 80);
+  assert.equal(unitPriceFor({ price: 50 }, "Black", "42"), 50);
+  assert.equal(unitPriceFor({}, "Black", "42"), null);
+});
+
+test("unitPriceFor uses a variant's own price or live discount", () => {
+  assert.equal(unitPriceFor(product, "Black", "43"), 120);
+  // 25% off the product's base price, not its sale price
+  assert.equal(unitPriceFor(product, "Black", "44"), 75);
+  // an expired discount falls back to the product's sale price
+  assert.equal(unitPriceFor(product, "Black", "45"), 80);
+});
+
+test("a variant discount applies until it expires", () => {
+  const live = {
+    price: 40,
+    variations: [
+      {
+        color: "Red",
+        variants: [
+          {
+            size: "M",
+            discount: 5,
+            discountType: "fixed",
+            discountActive: true,
+            discountExpires: tomorrow(),
+          },
+        ],
+      },
+    ],
+  };
+  assert.equal(unitPriceFor(live, "red", "M"), 35);
+});
+
+test("variantSku looks up the color/size variant", () => {
+  assert.equal(variantSku(product, "BLACK", "43"), "P1-BLACK-43");
+  assert.equal(variantSku(product, "Black", "46"), null);
+  assert.equal(variantSku(null, "Black", "43"), null);
+});
+
+test("priceOrderItems prices lines from the stored products", async (t) => {
+  withProducts(t, product);
+  const { lines, subtotalCents } = await priceOrderItems([
+    { product: "p1", color: "Black", size: "43", quantity: 2, price: 1 },
+    { productId: "p1", color: "Black", size: "42" },
+    { price: 25.5, quantity: 2 },
+  ]);
+  assert.equal(subtotalCents, 24000 + 8000 + 5100);
+  assert.deepEqual(lines[0], {
+    index: 0,
+    productId: "p1",
+    category: "Shoes",
+    tags: ["running"],
+    unitCents: 12000,
+    quantity: 2,
+    lineCents: 24000,
+    sku: "P1-BLACK-43",
+  });
+  assert.equal(lines[1].quantity, 1);
+  assert.equal(lines[2].productId, null);
+  assert.equal(lines[2].sku, null);
+});
+
+test("priceOrderItems uses the products the caller already loaded", async (t) => {
+  withProducts(t);
+  const products = new Map([["p1", product]]);
+  const { subtotalCents } = await priceOrderItems(
+    [{ product: "p1", color: "Black", size: "42", quantity: 1 }],
+    { products }
+  );
+  assert.equal(subtotalCents, 8000);
+  assert.equal(Product.findById.mock.callCount(), 0);
+});
+
+test("priceOrderItems rejects unknown products", async (t) => {
+  withProducts(t);
+  await assert.rejects(
+    priceOrderItems([{ product: "nope", quantity: 1 }]),
+    /Product not found: nope/
+  );
+});
+
+test("priceOrderItems only trusts a client price when the product has none", async (t) => {
+  withProducts(t, { _id: "p2", category: "Hats" });
+  const { subtotalCents } = await priceOrderItems([
+    { product: "p2", quantity: 1, price: 12 },
+  ]);
+  assert.equal(subtotalCents, 1200);
+  await assert.rejects(
+    priceOrderItems([{ product: "p2", quantity: 1 }]),
+    /Price missing for product p2/
+  );
+});
+
+test("shippingFeeCents applies the flat fee below the threshold", (t) => {
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+  });
+  process.env.SHIPPING_FEE = "4.99";
+  delete process.env.FREE_SHIPPING_THRESHOLD;
+  assert.equal(shippingFeeCents(100000), 499);
+  process.env.FREE_SHIPPING_THRESHOLD = "50";
+  assert.equal(shippingFeeCents(4999), 499);
+  assert.equal(shippingFeeCents(5000), 0);
+  process.env.SHIPPING_FEE = "nonsense";
+  assert.equal(shippingFeeCents(100), 0);
+});
+
+test("toDollars rounds to two decimals", () => {
+  assert.equal(toDollars(1999), 19.99);
+  assert.equal(toDollars(5), 0.05);
+  assert.equal(toDollars(0), 0);
+});
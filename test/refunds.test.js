@@ -0,0 +1,220 @@
+// backend/test/refunds.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Order = require("../models/Order");
+const { planRefund, recordProviderRefund } = require("../lib/refunds");
+
+// $104 order: 3 x $20 less a $6 coupon, 1 x $40 and $10 shipping
+const order = (fields = {}) => ({
+  _id: "o1",
+  items: [
+    { price: 20, quantity: 3, discount: 6 },
+    { price: 40, quantity: 1 },
+  ],
+  shippingPrice: 10,
+  discounts: [],
+  totalPrice: 104,
+  refunds: [],
+  ...fields,
+});
+
+test("a full refund gives back every line and shipping", () => {
+  const plan = planRefund(order());
+  assert.deepEqual(plan, {
+    ok: true,
+    lines: [
+      { index: 0, quantity: 3, amountCents: 5400 },
+      { index: 1, quantity: 1, amountCents: 4000 },
+    ],
+    shippingCents: 1000,
+    amountCents: 10400,
+  });
+});
+
+test("partial refunds are prorated net of the line's discount", () => {
+  const plan = planRefund(order(), { items: [{ index: 0, quantity: 1 }] });
+  assert.equal(plan.ok, true);
+  assert.deepEqual(plan.lines, [{ index: 0, quantity: 1, amountCents: 1800 }]);
+  assert.equal(plan.shippingCents, 0);
+  assert.equal(plan.amountCents, 1800);
+});
+
+test("the last unit of a line refunds exactly what's left of it", () => {
+  // 3 x $10 with $1 off: $29 net, so thirds don't divide evenly
+  const o = order({
+    items: [{ price: 10, quantity: 3, discount: 1 }],
+    shippingPrice: 0,
+    totalPrice: 29,
+  });
+  const first = planRefund(o, { items: [{ index: 0, quantity: 2 }] });
+  assert.equal(first.amountCents, 1933);
+
+  o.refunds.push({
+    status: "succeeded",
+    amount: 19.33,
+    lines: [{ index: 0, quantity: 2, amount: 19.33 }],
+  });
+  const rest = planRefund(o, { items: [{ index: 0, quantity: 1 }] });
+  assert.equal(rest.amountCents, 967);
+});
+
+test("refunded quantities can't be refunded again", () => {
+  const o = order({
+    refunds: [
+      {
+        status: "succeeded",
+        amount: 36,
+        lines: [{ index: 0, quantity: 2, amount: 36 }],
+      },
+    ],
+  });
+  const plan = planRefund(o, { items: [{ index: 0, quantity: 2 }] });
+  assert.deepEqual(plan, {
+    ok: false,
+    message: "Only 1 of item 0 can still be refunded.",
+  });
+  // the full refund picks up only what's left
+  const rest = planRefund(o);
+  assert.deepEqual(
+    rest.lines.map((l) => [l.index, l.quantity, l.amountCents]),
+    [
+      [0, 1, 1800],
+      [1, 1, 4000],
+    ]
+  );
+  assert.equal(rest.amountCents, 6800);
+});
+
+test("failed refunds don't count", () => {
+  const o = order({
+    refunds: [
+      {
+        status: "failed",
+        amount: 104,
+        shippingAmount: 10,
+        lines: [{ index: 1, quantity: 1, amount: 40 }],
+      },
+    ],
+  });
+  assert.equal(planRefund(o).amountCents, 10400);
+});
+
+test("shipping is included on request, net of shipping discounts", () => {
+  const o = order({ discounts: [{ shipping: true, amount: 4 }] });
+  const plan = planRefund(o, {
+    items: [{ index: 1, quantity: 1 }],
+    includeShipping: true,
+  });
+  assert.equal(plan.shippingCents, 600);
+  assert.equal(plan.amountCents, 4600);
+});
+
+test("invalid requests are refused", () => {
+  const cases = [
+    [[{ index: 5, quantity: 1 }], "Invalid item index 5."],
+    [[{ index: "x", quantity: 1 }], "Invalid item index x."],
+    [
+      [
+        { index: 1, quantity: 1 },
+        { index: 1, quantity: 1 },
+      ],
+      "Item 1 is listed twice.",
+    ],
+    [[{ index: 0, quantity: 0 }], "Invalid quantity for item 0."],
+    [[{ index: 0, quantity: 1.5 }], "Invalid quantity for item 0."],
+  ];
+  for (const [items, message] of cases) {
+    assert.deepEqual(planRefund(order(), { items }), { ok: false, message });
+  }
+});
+
+test("never refunds more than was charged", () => {
+  const o = order({ totalPrice: 50 });
+  assert.equal(planRefund(o).amountCents, 5000);
+
+  o.refunds.push({ status: "succeeded", amount: 50, lines: [] });
+  assert.deepEqual(planRefund(o), {
+    ok: false,
+    message: "Nothing left to refund on this order.",
+  });
+});
+
+// Order writes recorded instead of sent to MongoDB
+function stubOrderWrites(t, { appended = 1 } = {}) {
+  const calls = [];
+  t.mock.method(Order, "updateOne", async (filter, update) => {
+    calls.push({ filter, update });
+    return {
+      modifiedCount: update.$push && update.$push.refunds ? appended : 1,
+    };
+  });
+  t.mock.method(Order, "findOneAndUpdate", async () => null);
+  return calls;
+}
+
+const webhook = {
+  provider: "mock",
+  intentId: "pi_1",
+  providerRefundId: "re_1",
+  amountCents: 2000,
+};
+
+test("a provider refund confirms the pending refund it belongs to", async (t) => {
+  const calls = stubOrderWrites(t);
+  const o = order({
+    refunds: [{ _id: "r1", status: "pending", amount: 20, intentId: "pi_1" }],
+  });
+  const result = await recordProviderRefund(o, webhook);
+  assert.deepEqual(result, { outcome: "refund_confirmed" });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].filter, { _id: "o1", "refunds._id": "r1" });
+  assert.deepEqual(calls[0].update.$set, {
+    "refunds.$.status": "succeeded",
+    "refunds.$.providerRefundId": "re_1",
+  });
+  assert.equal(Order.findOneAndUpdate.mock.callCount(), 1);
+});
+
+test("a provider refund that's already recorded is ignored", async (t) => {
+  const calls = stubOrderWrites(t);
+  const o = order({
+    refunds: [
+      { _id: "r1", status: "succeeded", amount: 20, providerRefundId: "re_1" },
+    ],
+  });
+  const result = await recordProviderRefund(o, webhook);
+  assert.deepEqual(result, { outcome: "ignored", reason: "already_recorded" });
+  assert.equal(calls.length, 0);
+});
+
+test("a refund made at the provider is appended to the ledger", async (t) => {
+  const calls = stubOrderWrites(t);
+  const o = order({
+    refunds: [{ _id: "r1", status: "succeeded", amount: 5, intentId: "pi_1" }],
+  });
+  const result = await recordProviderRefund(o, webhook);
+  assert.deepEqual(result, { outcome: "refund_recorded" });
+  assert.deepEqual(calls[0].filter, { _id: "o1", refunds: { $size: 1 } });
+  const pushed = calls[0].update.$push.refunds;
+  assert.equal(pushed.amount, 20);
+  assert.equal(pushed.status, "succeeded");
+  assert.equal(pushed.providerRefundId, "re_1");
+});
+
+test("a provider refund racing another ledger change throws for a retry", async (t) => {
+  stubOrderWrites(t, { appended: 0 });
+  await assert.rejects(
+    recordProviderRefund(order(), webhook),
+    /Order refunds changed meanwhile/
+  );
+});
+
+test("malformed provider refunds are ignored", async (t) => {
+  const calls = stubOrderWrites(t);
+  const result = await recordProviderRefund(order(), {
+    ...webhook,
+    amountCents: 0,
+  });
+  assert.deepEqual(result, { outcome: "ignored", reason: "malformed_refund" });
+  assert.equal(calls.length, 0);
+});
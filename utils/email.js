@@ -345,6 +345,222 @@ async function sendContactAutoReply({ to, name, message }) {
   });
 }
 
+/**
+ * sendOrderPaidEmail — payment confirmation with the invoice PDF attached.
+ * invoice: { number, filename, content: Buffer }; orderUrl for guest orders
+ */
+async function sendOrderPaidEmail({
+  to,
+  name,
+  orderNumber,
+  total,
+  invoice,
+  orderUrl,
+}) {
+  if (!to) return;
+
+  // guest orders link to their signed order page instead of the account
+  const ordersUrl = orderUrl || `${process.env.FRONTEND_URL}/orders`;
+  const content = `
+    <h1>Payment received</h1>
+    <p>Hi ${name || "there"},</p>
+    <p>Thanks for your order! We've received your payment of <strong>$${Number(
+      total || 0
+    ).toFixed(2)}</strong> for order ${orderNumber}.</p>
+    ${
+      invoice
+        ? `<p>Your invoice <strong>${invoice.number}</strong> is attached to this email.</p>`
+        : ""
+    }
+
+    <div style="text-align: center;">
+      <a href="${ordersUrl}" class="button">${
+    orderUrl ? "View your order" : "View your orders"
+  }</a>
+    </div>
+
+    <div class="divider"></div>
+
+    <p>We'll let you know as soon as your order ships.</p>
+  `;
+
+  await transporter.sendMail({
+    from: `"PX39" <${process.env.SMTP_USER}>`,
+    to,
+    subject: "Payment received — PX39",
+    html: emailTemplate(content),
+    attachments: invoice
+      ? [
+          {
+            filename: invoice.filename,
+            content: invoice.content,
+            contentType: "application/pdf",
+          },
+        ]
+      : [],
+  });
+}
+
+/**
+ * sendGuestOrderEmail — confirmation for an order placed without an account,
+ * with the signed link to view (and pay for) it.
+ */
+async function sendGuestOrderEmail({ to, name, orderNumber, total, url }) {
+  if (!to) return;
+
+  const content = `
+    <h1>Order placed</h1>
+    <p>Hi ${name || "there"},</p>
+    <p>Thanks for your order ${orderNumber} of <strong>$${Number(
+    total || 0
+  ).toFixed(2)}</strong>.</p>
+    <p>You can follow it with the link below, or look it up any time with this email address and the order number.</p>
+
+    <div style="text-align: center;">
+      <a href="${url}" class="button">View your order</a>
+    </div>
+
+    <div class="divider"></div>
+
+    <p>Create an account with this email address and the order will show up in your order history.</p>
+  `;
+
+  await transporter.sendMail({
+    from: `"PX39" <${process.env.SMTP_USER}>`,
+    to,
+    subject: `Order ${orderNumber} placed — PX39`,
+    html: emailTemplate(content),
+  });
+}
+
+/**
+ * sendLowStockDigest — daily list of variants at or below their low-stock
+ * threshold (lib/lowStock.lowStockVariants), for an admin.
+ */
+async function sendLowStockDigest({ to, name, items = [], days }) {
+  if (!to || !items.length) return;
+
+  const esc = (s) =>
+    String(s == null ? "" : s).replace(
+      /[&<>"]/g,
+      (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c])
+    );
+  const rows = items
+    .map(
+      (it) => `
+      <tr>
+        <td style="padding:6px 8px;">${esc(it.product.name)}</td>
+        <td style="padding:6px 8px;">${esc(it.color)} / ${esc(it.size)}</td>
+        <td style="padding:6px 8px;">${esc(it.sku || "-")}</td>
+        <td style="padding:6px 8px; text-align:right;">${it.stock}</td>
+        <td style="padding:6px 8px; text-align:right;">${it.velocity}/day</td>
+      </tr>`
+    )
+    .join("");
+
+  const content = `
+    <h1>Low stock</h1>
+    <p>Hi ${esc(name) || "there"},</p>
+    <p><span class="highlight">${
+      items.length
+    }</span> variant(s) are at or below their low-stock threshold. Sales are averaged over the last ${days} days.</p>
+
+    <table style="width:100%; border-collapse:collapse; font-size:14px;">
+      <tr style="text-align:left; color:#718096;">
+        <th style="padding:6px 8px;">Product</th>
+        <th style="padding:6px 8px;">Variant</th>
+        <th style="padding:6px 8px;">SKU</th>
+        <th style="padding:6px 8px; text-align:right;">Stock</th>
+        <th style="padding:6px 8px; text-align:right;">Sales</th>
+      </tr>
+      ${rows}
+    </table>
+
+    <div style="text-align: center;">
+      <a href="${
+        process.env.FRONTEND_URL
+      }/admin/dashboard/inventory" class="button">Open inventory</a>
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"PX39" <${process.env.SMTP_USER}>`,
+    to,
+    subject: `${items.length} variant(s) low on stock — PX39`,
+    html: emailTemplate(content),
+  });
+}
+
+/**
+ * sendBackInStockEmail — a variant someone asked to hear about (POST
+ * /products/:id/notify-me) has stock again.
+ */
+async function sendBackInStockEmail({
+  to,
+  name,
+  productName,
+  color,
+  size,
+  url,
+}) {
+  if (!to) return;
+
+  const content = `
+    <h1>Back in stock</h1>
+    <p>Hi ${name || "there"},</p>
+    <p>Good news: <strong>${productName}</strong> in <span class="highlight">${color} / ${size}</span> is available again.</p>
+
+    <div style="text-align: center;">
+      <a href="${url}" class="button">Shop now</a>
+    </div>
+
+    <div class="divider"></div>
+
+    <p class="info-text">Stock can run out quickly. You won't get another email about this item unless you ask again.</p>
+  `;
+
+  await transporter.sendMail({
+    from: `"PX39" <${process.env.SMTP_USER}>`,
+    to,
+    subject: `${productName} is back in stock — PX39`,
+    html: emailTemplate(content),
+  });
+}
+
+/**
+ * sendBackInStockConfirmEmail — a guest asked to hear when a variant is back
+ * (POST /products/:id/notify-me); nothing is sent until they confirm.
+ */
+async function sendBackInStockConfirmEmail({
+  to,
+  productName,
+  color,
+  size,
+  url,
+}) {
+  if (!to) return;
+
+  const content = `
+    <h1>Confirm your request</h1>
+    <p>Someone asked us to email this address when <strong>${productName}</strong> in <span class="highlight">${color} / ${size}</span> is back in stock.</p>
+
+    <div style="text-align: center;">
+      <a href="${url}" class="button">Yes, notify me</a>
+    </div>
+
+    <div class="divider"></div>
+
+    <p class="info-text">This link is valid for 48 hours. If it wasn't you, ignore this email and you won't hear from us about it.</p>
+  `;
+
+  await transporter.sendMail({
+    from: `"PX39" <${process.env.SMTP_USER}>`,
+    to,
+    subject: "Confirm your back-in-stock alert — PX39",
+    html: emailTemplate(content),
+  });
+}
+
 module.exports = {
   sendVerificationEmail,
   sendResetPasswordEmail,
@@ -352,4 +568,9 @@ module.exports = {
   // newly exported helpers:
   sendInboundContactEmail,
   sendContactAutoReply,
+  sendOrderPaidEmail,
+  sendGuestOrderEmail,
+  sendLowStockDigest,
+  sendBackInStockEmail,
+  sendBackInStockConfirmEmail,
 };
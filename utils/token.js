@@ -13,4 +13,27 @@ function createRefreshToken(payload) {
   });
 }
 
-module.exports = { createAccessToken, createRefreshToken };
+/**
+ * Short-lived token proving the first login factor (password, magic link or
+ * email verification) succeeded. Only accepted by POST /auth/2fa/verify.
+ */
+function createMfaPendingToken(payload) {
+  return jwt.sign({ ...payload, purpose: "mfa" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || "5m",
+  });
+}
+
+function verifyMfaPendingToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (!payload || payload.purpose !== "mfa") {
+    throw new Error("Not an MFA token");
+  }
+  return payload;
+}
+
+module.exports = {
+  createAccessToken,
+  createRefreshToken,
+  createMfaPendingToken,
+  verifyMfaPendingToken,
+};
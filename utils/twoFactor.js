@@ -0,0 +1,84 @@
+// backend/utils/twoFactor.js
+const crypto = require("crypto");
+const speakeasy = require("speakeasy");
+const QRCode = require("qrcode");
+
+const ISSUER = process.env.TOTP_ISSUER || "PX39";
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * generateTotpSecret(label)
+ * Returns { base32, otpauthUrl } for a new authenticator enrolment.
+ */
+function generateTotpSecret(label) {
+  const secret = speakeasy.generateSecret({
+    length: 20,
+    name: `${ISSUER} (${label})`,
+    issuer: ISSUER,
+  });
+  return { base32: secret.base32, otpauthUrl: secret.otpauth_url };
+}
+
+async function buildQrDataUrl(otpauthUrl) {
+  return QRCode.toDataURL(otpauthUrl);
+}
+
+/**
+ * verifyTotp(secret, code, lastUsedStep)
+ * Accepts one step of clock drift either way. Returns the matched time step
+ * (so callers can persist it and reject replays) or null when invalid.
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+  const token = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: "base32",
+    token,
+    window: 1,
+    step: TOTP_STEP_SECONDS,
+  });
+  if (!result) return null;
+
+  const step =
+    Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + Number(result.delta);
+  if (lastUsedStep != null && step <= lastUsedStep) return null;
+  return step;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+}
+
+/**
+ * generateRecoveryCodes()
+ * Returns { codes, hashes }: plain codes are shown to the user once,
+ * only the hashes are stored.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  generateTotpSecret,
+  buildQrDataUrl,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};